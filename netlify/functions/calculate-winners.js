@@ -1 +1,95 @@
+// netlify/functions/calculate-winners.js
+// Picks for games that haven't locked, tiebreaker guesses included, only
+// count for their own player and parents; see viewerFrom.
+import { visiblePicks } from '../../src/lib/consensus.js';
+import { scoreWeek, TIEBREAKER_FALLBACKS } from '../../src/lib/scoring.js';
+import { viewerFrom } from '../lib/auth.js';
+import { corsHeaders, json, parseWeekRef } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
 
+const headers = corsHeaders();
+
+const gameIds = (games) => games.map(game => game.id);
+
+// Dependencies are injectable so the function can run against fixture JSON
+// and an in-memory store instead of ESPN and Netlify Blobs.
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const week = parseWeekRef(event);
+    if (!week) {
+      return json(400, headers, { error: 'A valid week number is required' });
+    }
+
+    const fallback = event.queryStringParameters?.fallback || TIEBREAKER_FALLBACKS.CLOSEST;
+    if (!Object.values(TIEBREAKER_FALLBACKS).includes(fallback)) {
+      return json(400, headers, { error: `Unknown tiebreaker fallback: ${fallback}` });
+    }
+
+    const { store } = await openLeague(getStore(event), event);
+    const [{ games }, { picks: storedPicks }, rules, who] = await Promise.all([
+      loadWeekGames(store, week, loadScoreboard),
+      loadWeekPicks(store, week),
+      loadRules(store, week.season),
+      viewerFrom(store, event)
+    ]);
+    const weekPicks = visiblePicks(storedPicks, games, who);
+
+    const players = Object.keys(weekPicks);
+
+    const { scores, details, leaders, winners, complete, tiebreaker } = scoreWeek({
+      players,
+      games,
+      picks: weekPicks,
+      rules,
+      tiebreakerFallback: fallback
+    });
+
+    return json(200, headers, {
+      week,
+      complete,
+      games: games.length,
+      gamesCompleted: games.filter(g => g.completed).length,
+      leaders,
+      winners,
+      // Only a finished week has a final winner
+      winner: complete && winners.length === 1 ? winners[0] : null,
+      rules,
+      tiebreaker,
+      players: players.map(player => ({
+        name: player,
+        score: scores[player],
+        correct: gameIds(details[player].correct),
+        incorrect: gameIds(details[player].incorrect),
+        push: gameIds(details[player].push),
+        pending: gameIds(details[player].pending),
+        tiebreaker: weekPicks[player]?.tiebreaker ?? null
+      })),
+      calculatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
@@ -0,0 +1,35 @@
+// netlify/functions/current-week.js
+// The season, season type and week the app should open on.
+import { corsHeaders, json } from '../lib/http.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { loadCurrentWeek } from '../lib/results.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const current = await loadCurrentWeek(getStore(event), loadScoreboard);
+    if (!current) {
+      return json(404, headers, { error: 'No current week (offseason)' });
+    }
+    return json(200, headers, current);
+
+  } catch (error) {
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
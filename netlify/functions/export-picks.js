@@ -0,0 +1,91 @@
+// netlify/functions/export-picks.js
+// A season of picks as CSV for spreadsheets: ?season=2025&format=csv gives
+// one row per player per game, format=grid a column per player. Picks for
+// games that haven't locked are left out unless they're the reader's own.
+import { visiblePicks } from '../../src/lib/consensus.js';
+import { playerName } from '../../src/lib/roster.js';
+import { pickGridCSV, picksCSV } from '../../src/lib/transfer.js';
+import { seasonForDate, seasonWeeks, weekKey } from '../../src/lib/weeks.js';
+import { viewerFrom } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { loadRoster } from '../lib/roster.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+const FORMATS = ['csv', 'grid'];
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const query = event.queryStringParameters || {};
+    const season = parseInt(query.season) || seasonForDate();
+    const format = query.format || 'csv';
+    if (!FORMATS.includes(format)) {
+      return json(400, headers, { error: `format must be one of ${FORMATS.join(', ')}` });
+    }
+
+    const { store } = await openLeague(getStore(event), event);
+    const allWeeks = seasonWeeks(season, { preseason: true });
+    const records = await Promise.all(allWeeks.map(ref => loadWeekPicks(store, ref)));
+
+    // Weeks nobody picked are left out rather than exported empty
+    const picked = allWeeks
+      .map((ref, i) => ({ ref, picks: records[i].picks }))
+      .filter(({ picks }) => Object.keys(picks).length > 0);
+
+    const who = await viewerFrom(store, event);
+    const weeks = await Promise.all(picked.map(async ({ ref, picks }) => {
+      const { games } = await loadWeekGames(store, ref, loadScoreboard);
+      return { key: weekKey(ref), games, picks: visiblePicks(picks, games, who) };
+    }));
+
+    const roster = await loadRoster(store);
+    const nameOf = (id) => playerName(roster, id);
+
+    // Roster order first, then anyone who has since left the roster
+    const pickers = new Set(weeks.flatMap(({ picks }) => Object.keys(picks)));
+    const players = [
+      ...roster.players.map(player => player.id).filter(id => pickers.has(id)),
+      ...[...pickers].filter(id => !roster.players.some(player => player.id === id))
+    ];
+
+    const body = format === 'grid'
+      ? pickGridCSV(weeks, players, nameOf)
+      : picksCSV(weeks, players, nameOf, await loadRules(store, season));
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/csv; charset=utf-8',
+        'Content-Disposition': `attachment; filename="nfl-pickem-${season}-${format === 'grid' ? 'grid' : 'picks'}.csv"`
+      },
+      body
+    };
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
@@ -0,0 +1,92 @@
+// netlify/functions/games.js
+// Read side of the results store: the week's schedule, scores and winners.
+// GET answers with an ETag so polling clients get a 304 until something
+// changes; stale: true means the provider couldn't be reached and the
+// stored copy was served instead.
+// POST { season, type, week, gameId, adminPin } picks the week's tiebreaker
+// game; a null gameId goes back to the last game of the week.
+import { weekKey } from '../../src/lib/weeks.js';
+import { appendAudit, isLeagueAdmin } from '../lib/auth.js';
+import { corsHeaders, json, parseWeekRef } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadScoreboard as providerScoreboard, ProviderError } from '../lib/providers.js';
+import { loadWeekGames, saveTiebreakerOverride } from '../lib/results.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, POST, OPTIONS');
+
+const matchup = (game) => (game ? `${game.away} @ ${game.home}` : null);
+
+// Changes whenever anything a client shows would; checkedAt alone doesn't count
+const recordTag = (record) => (
+  `"${weekKey(record.week)}-${record.updatedAt}-${record.tiebreakerOverride || 'default'}-${record.overriddenAt || 'none'}-${record.stale ? 'stale' : 'fresh'}"`
+);
+
+// The provider's own etag stays on the server
+const publicRecord = ({ etag, ...record }) => record;
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const week = parseWeekRef(event);
+    if (!week) {
+      return json(400, headers, { error: 'A valid week number is required' });
+    }
+
+    const { store } = await openLeague(getStore(event), event);
+    const record = await loadWeekGames(store, week, loadScoreboard);
+
+    if (event.httpMethod === 'GET') {
+      const tag = recordTag(record);
+      const cacheHeaders = { ...headers, ETag: tag, 'Cache-Control': 'no-cache' };
+      if (event.headers?.['if-none-match'] === tag) {
+        return { statusCode: 304, headers: cacheHeaders, body: '' };
+      }
+      return json(200, cacheHeaders, publicRecord(record));
+    }
+
+    const { gameId = null, adminPin } = JSON.parse(event.body);
+    if (!(await isLeagueAdmin(store, adminPin))) {
+      return json(401, headers, { error: 'The parent PIN is needed to change the tiebreaker game' });
+    }
+    if (gameId !== null && !record.games.some(game => game.id === gameId)) {
+      return json(400, headers, { error: `Game ${gameId} is not part of this week` });
+    }
+
+    const previous = record.games.find(game => game.tiebreaker);
+    await saveTiebreakerOverride(store, week, gameId);
+    const updated = await loadWeekGames(store, week, loadScoreboard);
+
+    await appendAudit(store, [{
+      at: new Date().toISOString(),
+      action: 'set-tiebreaker',
+      week: weekKey(week),
+      from: matchup(previous),
+      to: matchup(updated.games.find(game => game.tiebreaker))
+    }]);
+
+    return json(200, headers, publicRecord(updated));
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    if (error instanceof ProviderError) {
+      return json(502, headers, { error: `Could not load the schedule: ${error.message}` });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
@@ -0,0 +1,82 @@
+// netlify/functions/leagues.js
+// GET returns the requested league (see leagueIdFrom); ?check=1 only says
+// whether it exists, without creating the default league's info. POST actions:
+//   create  { name, adminPin }            starts a league with its own parent PIN
+//   join    { code }                      looks a league up by join code
+//   update  { name, sheetId, adminPin }   renames the league or sets its spreadsheet
+import { appendAudit, isLeagueAdmin } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { checkLeague, createLeague, findLeagueByCode, LeagueError, openLeague, publicLeague, updateLeague } from '../lib/leagues.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders();
+
+const fail = (status, code, message) => json(status, headers, { error: { code, message } });
+
+export const createHandler = ({ getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const store = getStore(event);
+
+    if (event.httpMethod === 'GET' && event.queryStringParameters?.check) {
+      await checkLeague(store, event);
+      return json(200, headers, { ok: true });
+    }
+
+    if (event.httpMethod === 'GET') {
+      const { league } = await openLeague(store, event);
+      return json(200, headers, { league: publicLeague(league) });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return fail(405, 'method_not_allowed', 'Method not allowed');
+    }
+
+    let request;
+    try {
+      request = JSON.parse(event.body);
+    } catch (error) {
+      return fail(400, 'invalid_json', 'Request body must be JSON');
+    }
+
+    const { action, name, adminPin, code, sheetId } = request;
+
+    if (action === 'create') {
+      return json(200, headers, { league: publicLeague(await createLeague(store, { name, adminPin })) });
+    }
+
+    if (action === 'join') {
+      return json(200, headers, { league: publicLeague(await findLeagueByCode(store, code)) });
+    }
+
+    if (action === 'update') {
+      const { league, store: leagueStore } = await openLeague(store, event);
+      if (!(await isLeagueAdmin(leagueStore, adminPin))) {
+        return fail(401, 'admin_required', 'The parent PIN is needed to change league settings');
+      }
+
+      const updated = await updateLeague(leagueStore, league, { name, sheetId });
+      await appendAudit(leagueStore, [{
+        at: new Date().toISOString(),
+        action: 'update-league',
+        from: league.name,
+        to: updated.name
+      }]);
+      return json(200, headers, { league: publicLeague(updated) });
+    }
+
+    return fail(400, 'invalid_action', 'action must be create, join or update');
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return fail(error.status, error.code, error.message);
+    }
+    console.error('Error:', error);
+    return fail(500, 'internal_error', error.message);
+  }
+};
+
+export const handler = createHandler();
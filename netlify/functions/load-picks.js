@@ -0,0 +1,52 @@
+// netlify/functions/load-picks.js
+// Every player's picks for a week, with the per-pick stamps clients merge on.
+// Picks for games that haven't locked are only returned to their own player
+// and parents; see viewerFrom.
+import { visibleRecord } from '../../src/lib/consensus.js';
+import { viewerFrom } from '../lib/auth.js';
+import { corsHeaders, json, parseWeekRef } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard, ProviderError } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+export const createHandler = ({ loadScoreboard = providerScoreboard, getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const week = parseWeekRef(event);
+    if (!week) {
+      return json(400, headers, { error: 'A valid week number is required' });
+    }
+
+    const { store } = await openLeague(getStore(event), event);
+    const [record, { games }, who] = await Promise.all([
+      loadWeekPicks(store, week),
+      loadWeekGames(store, week, loadScoreboard),
+      viewerFrom(store, event)
+    ]);
+    const { picks, stamps } = visibleRecord(record, games, who);
+    return json(200, headers, { week, picks, stamps });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    if (error instanceof ProviderError) {
+      return json(502, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
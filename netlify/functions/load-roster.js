@@ -0,0 +1,32 @@
+// netlify/functions/load-roster.js
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadRoster } from '../lib/roster.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+export const createHandler = ({ getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const { store } = await openLeague(getStore(event), event);
+    const roster = await loadRoster(store);
+    return json(200, headers, { roster });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
@@ -0,0 +1,60 @@
+// netlify/functions/pick-history.js
+// Every change to a week's picks as the server received them, plus what
+// each player had in when each game locked and any changes made after.
+// Like load-picks, changes to picks for games that haven't locked are only
+// returned to their own player and parents.
+import { isPickKeyVisible, visiblePicks } from '../../src/lib/consensus.js';
+import { lateEvents, picksAtLock } from '../../src/lib/history.js';
+import { viewerFrom } from '../lib/auth.js';
+import { corsHeaders, json, parseWeekRef } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadPickHistory } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard, ProviderError } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+export const createHandler = ({ loadScoreboard = providerScoreboard, getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const week = parseWeekRef(event);
+    if (!week) {
+      return json(400, headers, { error: 'A valid week number is required' });
+    }
+
+    const { store } = await openLeague(getStore(event), event);
+    const [allEvents, { games }, who] = await Promise.all([
+      loadPickHistory(store, week),
+      loadWeekGames(store, week, loadScoreboard),
+      viewerFrom(store, event)
+    ]);
+    const events = allEvents.filter(({ player, key }) => isPickKeyVisible(key, player, games, who));
+
+    return json(200, headers, {
+      week,
+      events,
+      atLock: visiblePicks(picksAtLock(allEvents, games), games, who),
+      late: lateEvents(events, games)
+    });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    if (error instanceof ProviderError) {
+      return json(502, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
@@ -0,0 +1,79 @@
+// netlify/functions/player-auth.js
+// GET lists which players have PINs. POST actions:
+//   verify   { playerId, pin } or { adminPin }; 429 while that PIN is
+//            locked after too many wrong tries
+//   set-pin  { playerId, pin, auth: { pin | adminPin } }  (pin null clears it)
+//   audit    { adminPin }
+import { AuthError, isLeagueAdmin, isPlayerPin, loadAudit, loadPins, pinLockedUntil, setPlayerPin } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders();
+
+const fail = (status, code, message) => json(status, headers, { error: { code, message } });
+
+export const createHandler = ({ getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { store } = await openLeague(getStore(event), event);
+
+    if (event.httpMethod === 'GET') {
+      return json(200, headers, { pinPlayers: Object.keys(await loadPins(store)) });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return fail(405, 'method_not_allowed', 'Method not allowed');
+    }
+
+    let request;
+    try {
+      request = JSON.parse(event.body);
+    } catch (error) {
+      return fail(400, 'invalid_json', 'Request body must be JSON');
+    }
+
+    const { action, playerId, pin, adminPin, auth } = request;
+
+    if (action === 'verify') {
+      const lockedUntil = await pinLockedUntil(store, adminPin !== undefined ? null : playerId);
+      if (lockedUntil) {
+        const minutes = Math.ceil((Date.parse(lockedUntil) - Date.now()) / 60000);
+        return fail(429, 'too_many_attempts', `Too many wrong PINs. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`);
+      }
+      if (adminPin !== undefined) {
+        return json(200, headers, { ok: await isLeagueAdmin(store, adminPin), admin: true });
+      }
+      return json(200, headers, { ok: await isPlayerPin(store, await loadPins(store), playerId, pin) });
+    }
+
+    if (action === 'set-pin') {
+      if (typeof playerId !== 'string' || !playerId) {
+        return fail(400, 'invalid_player', 'playerId is required');
+      }
+      const pinPlayers = await setPlayerPin(store, playerId, pin ?? null, auth);
+      return json(200, headers, { pinPlayers });
+    }
+
+    if (action === 'audit') {
+      if (!(await isLeagueAdmin(store, adminPin))) {
+        return fail(401, 'admin_required', 'The parent PIN is needed to read the audit log');
+      }
+      return json(200, headers, { entries: await loadAudit(store) });
+    }
+
+    return fail(400, 'invalid_action', 'action must be verify, set-pin or audit');
+
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof LeagueError) {
+      return fail(error.status, error.code, error.message);
+    }
+    console.error('Error:', error);
+    return fail(500, 'internal_error', error.message);
+  }
+};
+
+export const handler = createHandler();
@@ -0,0 +1,88 @@
+// netlify/functions/player-stats.js
+// A player's profile: career stats, head-to-head records and badges from
+// every week the league has stored picks for, across seasons.
+import { visiblePicks } from '../../src/lib/consensus.js';
+import { playerProfile } from '../../src/lib/stats.js';
+import { compareWeekRefs, parseWeekKey, weekKey } from '../../src/lib/weeks.js';
+import { viewerFrom } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard, ProviderError } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { loadRoster } from '../lib/roster.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+// Where loadWeekPicks keeps each week, as picks/<weekKey>
+const PICKS_PREFIX = 'picks/';
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const player = event.queryStringParameters?.player;
+    if (!player) {
+      return json(400, headers, { error: 'A player is required' });
+    }
+
+    const { store } = await openLeague(getStore(event), event);
+    const refs = (await store.list(PICKS_PREFIX))
+      .map(key => parseWeekKey(key.slice(PICKS_PREFIX.length)))
+      .filter(Boolean)
+      .sort(compareWeekRefs);
+
+    const records = await Promise.all(refs.map(ref => loadWeekPicks(store, ref)));
+    const picked = refs
+      .map((ref, i) => ({ ref, picks: records[i].picks }))
+      .filter(({ picks }) => picks[player]);
+
+    const seasons = [...new Set(picked.map(({ ref }) => ref.season))];
+    const rulesBySeason = Object.fromEntries(await Promise.all(
+      seasons.map(async season => [season, await loadRules(store, season)])
+    ));
+
+    // Picks for games that haven't locked only count for their own player
+    // and parents, so the profile can't give them away
+    const who = await viewerFrom(store, event);
+    const weeks = await Promise.all(picked.map(async ({ ref, picks }) => {
+      const { games } = await loadWeekGames(store, ref, loadScoreboard);
+      return { key: weekKey(ref), games, picks: visiblePicks(picks, games, who), rules: rulesBySeason[ref.season] };
+    }));
+
+    const roster = await loadRoster(store);
+    const opponents = [...new Set([
+      ...roster.players.map(p => p.id),
+      ...weeks.flatMap(({ picks }) => Object.keys(picks))
+    ])].filter(id => id !== player);
+
+    return json(200, headers, {
+      weeks: weeks.map(({ key }) => key),
+      profile: playerProfile(weeks, player, opponents),
+      calculatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    if (error instanceof ProviderError) {
+      return json(502, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
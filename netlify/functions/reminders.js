@@ -0,0 +1,135 @@
+// netlify/functions/reminders.js
+// Reminder sign-ups. GET says who gets reminders and hands out the public
+// VAPID key devices subscribe with. POST actions:
+//   subscribe      { playerId, subscription, auth: { pin | adminPin } }
+//   unsubscribe    { playerId, endpoint, auth: { pin | adminPin } }
+//   settings       { adminPin }  (the league's webhook and email addresses)
+//   save-settings  { adminPin, webhookUrl, emails: { [playerId]: address } }
+import { AuthError, isLeagueAdmin, isPlayerPin, loadPins } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import {
+  addSubscription,
+  isValidEmail,
+  loadReminderSettings,
+  loadSubscriptions,
+  removeSubscriptions,
+  saveReminderSettings
+} from '../lib/reminders.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders();
+
+const fail = (status, code, message) => json(status, headers, { error: { code, message } });
+
+// Changing a player's reminders takes their PIN or the parent PIN
+const authorizePlayer = async (store, playerId, auth = {}, what) => {
+  if (!(await isLeagueAdmin(store, auth.adminPin)) && !(await isPlayerPin(store, await loadPins(store), playerId, auth.pin))) {
+    throw new AuthError('pin_required', `The player's PIN or the parent PIN is needed to ${what}`);
+  }
+};
+
+const isHttpsUrl = (value) => {
+  try {
+    return new URL(value).protocol === 'https:';
+  } catch (error) {
+    return false;
+  }
+};
+
+const isValidSubscription = (subscription) => (
+  !!subscription
+  && isHttpsUrl(subscription.endpoint)
+  && typeof subscription.keys?.p256dh === 'string'
+  && typeof subscription.keys?.auth === 'string'
+);
+
+export const createHandler = ({ getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { store } = await openLeague(getStore(event), event);
+
+    if (event.httpMethod === 'GET') {
+      const [settings, subscriptions] = await Promise.all([loadReminderSettings(store), loadSubscriptions(store)]);
+      return json(200, headers, {
+        vapidPublicKey: process.env.VAPID_PUBLIC_KEY || null,
+        pushPlayers: Object.keys(subscriptions).filter(player => subscriptions[player].length > 0),
+        emailPlayers: Object.keys(settings.emails),
+        hasWebhook: !!settings.webhookUrl
+      });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return fail(405, 'method_not_allowed', 'Method not allowed');
+    }
+
+    let request;
+    try {
+      request = JSON.parse(event.body);
+    } catch (error) {
+      return fail(400, 'invalid_json', 'Request body must be JSON');
+    }
+
+    const { action, playerId, adminPin } = request;
+
+    if (action === 'subscribe') {
+      if (typeof playerId !== 'string' || !playerId) {
+        return fail(400, 'invalid_player', 'playerId is required');
+      }
+      if (!isValidSubscription(request.subscription)) {
+        return fail(400, 'invalid_subscription', 'That is not a push subscription');
+      }
+      await authorizePlayer(store, playerId, request.auth, 'turn on reminders');
+
+      const { endpoint, keys } = request.subscription;
+      await addSubscription(store, playerId, { endpoint, keys: { p256dh: keys.p256dh, auth: keys.auth } });
+      return json(200, headers, { ok: true });
+    }
+
+    if (action === 'unsubscribe') {
+      if (typeof playerId !== 'string' || !playerId) {
+        return fail(400, 'invalid_player', 'playerId is required');
+      }
+      if (typeof request.endpoint !== 'string') {
+        return fail(400, 'invalid_subscription', 'endpoint is required');
+      }
+      await authorizePlayer(store, playerId, request.auth, 'turn off reminders');
+      await removeSubscriptions(store, [{ player: playerId, endpoint: request.endpoint }]);
+      return json(200, headers, { ok: true });
+    }
+
+    if (action === 'settings' || action === 'save-settings') {
+      if (!(await isLeagueAdmin(store, adminPin))) {
+        return fail(401, 'admin_required', 'The parent PIN is needed for reminder settings');
+      }
+      if (action === 'settings') {
+        return json(200, headers, { settings: await loadReminderSettings(store) });
+      }
+
+      const { webhookUrl = null, emails = {} } = request;
+      if (webhookUrl && !isHttpsUrl(webhookUrl)) {
+        return fail(400, 'invalid_webhook', 'The webhook has to be an https:// address');
+      }
+      const bad = Object.entries(emails).filter(([, email]) => email && !isValidEmail(email));
+      if (bad.length > 0) {
+        return fail(400, 'invalid_email', `Not an email address: ${bad.map(([, email]) => email).join(', ')}`);
+      }
+
+      return json(200, headers, { settings: await saveReminderSettings(store, { webhookUrl, emails }) });
+    }
+
+    return fail(400, 'invalid_action', 'action must be subscribe, unsubscribe, settings or save-settings');
+
+  } catch (error) {
+    if (error instanceof AuthError || error instanceof LeagueError) {
+      return fail(error.status, error.code, error.message);
+    }
+    console.error('Error:', error);
+    return fail(500, 'internal_error', error.message);
+  }
+};
+
+export const handler = createHandler();
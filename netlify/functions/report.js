@@ -0,0 +1,93 @@
+// netlify/functions/report.js
+// Printable pages as static HTML, so a link can be shared or printed without
+// the app: ?kind=recap gives the week's recap, kind=sheet a blank pick sheet.
+import { visiblePicks } from '../../src/lib/consensus.js';
+import { buildRecap } from '../../src/lib/recap.js';
+import { renderPickSheetHTML, renderRecapHTML } from '../../src/lib/reports.js';
+import { playerName } from '../../src/lib/roster.js';
+import { viewerFrom } from '../lib/auth.js';
+import { corsHeaders, json, parseWeekRef } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard, ProviderError } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { loadRoster } from '../lib/roster.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+const KINDS = ['recap', 'sheet'];
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const kind = event.queryStringParameters?.kind || 'recap';
+    if (!KINDS.includes(kind)) {
+      return json(400, headers, { error: `kind must be one of ${KINDS.join(', ')}` });
+    }
+
+    const week = parseWeekRef(event);
+    if (!week) {
+      return json(400, headers, { error: 'A valid week number is required' });
+    }
+
+    const { league, store } = await openLeague(getStore(event), event);
+    const [{ games }, rules] = await Promise.all([
+      loadWeekGames(store, week, loadScoreboard),
+      loadRules(store, week.season)
+    ]);
+
+    let body;
+    if (kind === 'sheet') {
+      body = renderPickSheetHTML({ ref: week, games, rules, leagueName: league.name });
+    } else {
+      // A shared link is usually opened by nobody in particular, who only
+      // sees picks for games that have locked
+      const [record, roster, who] = await Promise.all([loadWeekPicks(store, week), loadRoster(store), viewerFrom(store, event)]);
+      const picks = visiblePicks(record.picks, games, who);
+      const recap = buildRecap({
+        ref: week,
+        players: Object.keys(picks),
+        games,
+        picks,
+        rules,
+        nameOf: (id) => playerName(roster, id)
+      });
+      body = renderRecapHTML(recap, { leagueName: league.name });
+    }
+
+    return {
+      statusCode: 200,
+      headers: {
+        ...headers,
+        'Content-Type': 'text/html; charset=utf-8',
+        // Short enough that a recap shared mid-week catches up quickly
+        'Cache-Control': 'public, max-age=60'
+      },
+      body
+    };
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    if (error instanceof ProviderError) {
+      return json(502, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
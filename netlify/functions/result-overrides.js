@@ -0,0 +1,145 @@
+// netlify/functions/result-overrides.js
+// Parent corrections to a week's results. POST actions, all with
+// { season, type, week, adminPin }:
+//   set      { gameId, override: { result, homeScore, awayScore }, reason }
+//   clear    { gameId, reason }  (back to what the schedule provider says)
+//   rescore  { reason }  (asks the provider again and scores the week afresh)
+// Each answers with the corrected week; every change goes in the audit log.
+import { describeOverride, OVERRIDE_RESULTS, overrideProblem } from '../../src/lib/overrides.js';
+import { playerName } from '../../src/lib/roster.js';
+import { scoreWeek } from '../../src/lib/scoring.js';
+import { weekKey } from '../../src/lib/weeks.js';
+import { appendAudit, isLeagueAdmin } from '../lib/auth.js';
+import { corsHeaders, json, parseWeekRef } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard, ProviderError } from '../lib/providers.js';
+import { loadWeekGames, saveResultOverride } from '../lib/results.js';
+import { loadRoster } from '../lib/roster.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('POST, OPTIONS');
+
+const ACTIONS = ['set', 'clear', 'rescore'];
+
+const fail = (status, code, message) => json(status, headers, { error: { code, message } });
+
+// The provider's etag stays on the server
+const publicRecord = ({ etag, ...record }) => record;
+
+// A game's result as the audit log shows it
+const resultLabel = (game) => {
+  if (game.result) return OVERRIDE_RESULTS[game.result];
+  if (game.completed) return `${game.away} ${game.awayScore} - ${game.homeScore} ${game.home}`;
+  return 'Not final';
+};
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return fail(405, 'method_not_allowed', 'Method not allowed');
+  }
+
+  let request;
+  try {
+    request = JSON.parse(event.body);
+  } catch (error) {
+    return fail(400, 'invalid_json', 'Request body must be JSON');
+  }
+
+  const { action, gameId, override, adminPin } = request;
+  const reason = typeof request.reason === 'string' ? request.reason.trim() : '';
+  const week = parseWeekRef(event);
+
+  if (!ACTIONS.includes(action)) {
+    return fail(400, 'invalid_action', `action must be one of ${ACTIONS.join(', ')}`);
+  }
+  if (!week) {
+    return fail(400, 'invalid_week', 'A valid week is required');
+  }
+  if (action !== 'rescore' && !reason) {
+    return fail(400, 'reason_required', 'Say why the result is being changed');
+  }
+  if (action === 'set' && overrideProblem(override)) {
+    return fail(400, 'invalid_override', overrideProblem(override));
+  }
+
+  try {
+    const { store } = await openLeague(getStore(event), event);
+    if (!(await isLeagueAdmin(store, adminPin))) {
+      return fail(401, 'admin_required', 'The parent PIN is needed to correct results');
+    }
+
+    const at = new Date().toISOString();
+
+    if (action === 'rescore') {
+      const record = await loadWeekGames(store, week, loadScoreboard, { refresh: true });
+      const [{ picks }, rules, roster] = await Promise.all([
+        loadWeekPicks(store, week),
+        loadRules(store, week.season),
+        loadRoster(store)
+      ]);
+      const { scores, winners, complete } = scoreWeek({ players: Object.keys(picks), games: record.games, picks, rules });
+
+      await appendAudit(store, [{
+        at,
+        action: 'rescore',
+        week: weekKey(week),
+        from: null,
+        to: complete ? `Won by ${winners.map(id => playerName(roster, id)).join(' & ')}` : 'Week not final',
+        reason: reason || null
+      }]);
+
+      return json(200, headers, { ...publicRecord(record), scores, winners, complete });
+    }
+
+    const before = await loadWeekGames(store, week, loadScoreboard);
+    const game = before.games.find(g => g.id === gameId);
+    if (!game) {
+      return fail(400, 'unknown_game', `Game ${gameId} is not part of this week`);
+    }
+
+    const cleaned = action === 'set'
+      ? {
+        result: override.result,
+        homeScore: override.result === 'final' ? parseInt(override.homeScore) : null,
+        awayScore: override.result === 'final' ? parseInt(override.awayScore) : null,
+        reason
+      }
+      : null;
+    await saveResultOverride(store, week, gameId, cleaned);
+    const after = await loadWeekGames(store, week, loadScoreboard);
+
+    await appendAudit(store, [{
+      at,
+      action: action === 'set' ? 'set-result' : 'clear-result',
+      week: weekKey(week),
+      gameId,
+      matchup: `${game.away} @ ${game.home}`,
+      from: resultLabel(game),
+      to: cleaned ? describeOverride(game, cleaned) : resultLabel(after.games.find(g => g.id === gameId)),
+      reason
+    }]);
+
+    return json(200, headers, publicRecord(after));
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return fail(error.status, error.code, error.message);
+    }
+    if (error instanceof ProviderError) {
+      return fail(502, 'provider_unavailable', `Could not load the schedule: ${error.message}`);
+    }
+    console.error('Error:', error);
+    return fail(500, 'internal_error', error.message);
+  }
+};
+
+export const handler = createHandler();
@@ -1,52 +1,214 @@
 // netlify/functions/save-to-sheets.js
-import { GoogleSpreadsheet } from 'google-spreadsheet';
-
-exports.handler = async (event, context) => {
-  // CORS headers
-  const headers = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+import { describePickKey } from '../../src/lib/picks.js';
+import { isValidRoster } from '../../src/lib/roster.js';
+import { scoreWeek } from '../../src/lib/scoring.js';
+import { toWeekRef, weekKey } from '../../src/lib/weeks.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { AuthError, isLeagueAdmin } from '../lib/auth.js';
+import { leagueSheetId, LeagueError, openLeague } from '../lib/leagues.js';
+import { InvalidPicksError, loadWeekPicks, PicksLockedError, saveWeekPicks, UnknownPicksError } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { loadRules } from '../lib/rules.js';
+import { saveRoster } from '../lib/roster.js';
+import { createGoogleSheetsClient } from '../lib/sheets.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('POST, OPTIONS');
+
+const TYPES = ['schedule', 'picks', 'standings', 'roster'];
+
+const fail = (status, code, message, details) => json(status, headers, { error: { code, message, details } });
+
+const scheduleRows = (week, games) => games.map(game => ({
+  week,
+  gameId: game.id,
+  away: game.away,
+  home: game.home,
+  time: game.time,
+  status: game.status,
+  completed: game.completed,
+  winner: game.winner,
+  awayScore: game.awayScore,
+  homeScore: game.homeScore,
+  tiebreaker: game.tiebreaker
+}));
+
+// One row per player per game, with the tiebreaker guess as its own row
+const pickRows = (week, { picks, stamps }, players) => players.flatMap(player => (
+  Object.entries(picks[player] || {}).map(([gameId, pick]) => ({
+    week,
+    player,
+    gameId,
+    pick,
+    updatedAt: stamps[player]?.[gameId]
+  }))
+));
+
+const standingsRows = (week, games, picks, rules) => {
+  const players = Object.keys(picks);
+  const { scores, details, winners, complete } = scoreWeek({ players, games, picks, rules });
+
+  return players.map(player => ({
+    week,
+    player,
+    score: scores[player],
+    correct: details[player].correct.length,
+    incorrect: details[player].incorrect.length,
+    pending: details[player].pending.length,
+    tiebreaker: picks[player]?.tiebreaker,
+    winner: complete && winners.includes(player)
+  }));
+};
+
+const rosterRows = (roster) => roster.players.map((player, order) => ({
+  id: player.id,
+  name: player.name,
+  active: player.active,
+  order,
+  color: player.color,
+  emoji: player.emoji
+}));
+
+// Leagues without a spreadsheet keep their data in the store only
+const skippedSheets = { upsertRows: async () => ({ skipped: true }) };
+
+// The spreadsheet only mirrors the store, so once the store has the data a
+// save has succeeded. Writing the mirror is best-effort: the first failure
+// (missing credentials included) is kept as sheetsError for the response
+// and the remaining tabs are skipped.
+const createMirror = (openSheets) => {
+  let sheets = null;
+  const mirror = {
+    result: {},
+    sheetsError: null,
+    write: async (tab, rows) => {
+      if (mirror.sheetsError) return;
+      try {
+        sheets = sheets || openSheets();
+        mirror.result[tab] = await sheets.upsertRows(tab, rows);
+      } catch (error) {
+        console.warn(`Could not mirror the ${tab} tab: ${error.message}`);
+        mirror.sheetsError = { code: error.code || 'sheets_write_failed', message: error.message };
+      }
+    }
   };
+  return mirror;
+};
 
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore,
+  getSheets = createGoogleSheetsClient
+} = {}) => async (event) => {
   if (event.httpMethod === 'OPTIONS') {
     return { statusCode: 200, headers, body: '' };
   }
 
   if (event.httpMethod !== 'POST') {
-    return { 
-      statusCode: 405, 
-      headers,
-      body: JSON.stringify({ error: 'Method not allowed' }) 
-    };
+    return fail(405, 'method_not_allowed', 'Method not allowed');
+  }
+
+  let request;
+  try {
+    request = JSON.parse(event.body);
+  } catch (error) {
+    return fail(400, 'invalid_json', 'Request body must be JSON');
   }
 
+  const { type, data = {} } = request;
+  const week = toWeekRef(request.week ?? data.week);
+
+  if (!TYPES.includes(type)) {
+    return fail(400, 'invalid_type', `type must be one of ${TYPES.join(', ')}`);
+  }
+  if (type !== 'roster' && !week) {
+    return fail(400, 'invalid_week', 'A valid week is required');
+  }
+  if (type === 'schedule' && !Array.isArray(data.games)) {
+    return fail(400, 'invalid_data', 'schedule saves need a games array');
+  }
+  if (type === 'picks' && (typeof data.picks !== 'object' || data.picks === null)) {
+    return fail(400, 'invalid_data', 'picks saves need a picks object');
+  }
+  if (type === 'roster' && !isValidRoster(data.roster)) {
+    return fail(400, 'invalid_data', 'roster saves need players with unique ids and names');
+  }
+
+  let games = [];
   try {
-    const { type, data, week } = JSON.parse(event.body);
-    
-    // Initialize Google Sheets (requires service account credentials)
-    const doc = new GoogleSpreadsheet(process.env.GOOGLE_SHEET_ID);
-    
-    // This would require setting up Google Service Account credentials
-    // For now, just log the data
-    console.log('Would save to sheets:', { type, data, week });
-    
-    return {
-      statusCode: 200,
-      headers,
-      body: JSON.stringify({ 
-        success: true, 
-        message: 'Data processed successfully',
+    const { league, store } = await openLeague(getStore(event), event);
+    const sheetId = leagueSheetId(league);
+    const mirror = createMirror(() => (sheetId ? getSheets({ sheetId }) : skippedSheets));
+
+    // The roster isn't tied to a week, and only parents change it
+    if (type === 'roster') {
+      if (!(await isLeagueAdmin(store, data.auth?.adminPin))) {
+        return fail(401, 'admin_required', 'The parent PIN is needed to change the roster');
+      }
+      const roster = await saveRoster(store, data.roster);
+      await mirror.write('roster', rosterRows(roster));
+      return json(200, headers, {
+        success: true,
+        type,
+        roster,
+        result: mirror.result,
+        sheetsError: mirror.sheetsError,
         timestamp: new Date().toISOString()
-      })
-    };
-    
+      });
+    }
+
+    ({ games } = await loadWeekGames(store, week, loadScoreboard));
+
+    // The store is the source of truth; the spreadsheet mirrors it. Incoming
+    // picks are merged pick by pick so an older device can't undo newer edits.
+    const record = type === 'picks'
+      ? await saveWeekPicks(store, week, { picks: data.picks, stamps: data.stamps || {} }, { games, auth: data.auth })
+      : await loadWeekPicks(store, week);
+
+    const sheetWeek = weekKey(week);
+
+    if (type === 'schedule') {
+      await mirror.write('schedule', scheduleRows(sheetWeek, data.games));
+    }
+    if (type === 'picks') {
+      await mirror.write('picks', pickRows(sheetWeek, record, Object.keys(data.picks)));
+    }
+
+    // Standings follow every picks save so the sheet never lags behind
+    if (type === 'picks' || type === 'standings') {
+      const rules = await loadRules(store, week.season);
+      await mirror.write('standings', standingsRows(sheetWeek, games, record.picks, rules));
+    }
+
+    return json(200, headers, {
+      success: true,
+      type,
+      week,
+      result: mirror.result,
+      sheetsError: mirror.sheetsError,
+      timestamp: new Date().toISOString()
+    });
+
   } catch (error) {
+    if (error instanceof PicksLockedError) {
+      const labels = error.entries.map(({ player, key }) => `${player}: ${describePickKey(key, games)}`);
+      return fail(409, 'picks_locked', `These picks are locked: ${labels.join(', ')}`, { locked: error.entries });
+    }
+    if (error instanceof UnknownPicksError) {
+      const keys = error.entries.map(({ player, key }) => `${player}: ${key}`);
+      return fail(400, 'unknown_picks', `These picks aren't for games in this week: ${keys.join(', ')}`, { unknown: error.entries });
+    }
+    if (error instanceof InvalidPicksError) {
+      const labels = error.entries.map(({ player, key, problem }) => `${player}: ${describePickKey(key, games)} (${problem})`);
+      return fail(400, 'invalid_picks', `These picks can't be saved: ${labels.join(', ')}`, { invalid: error.entries });
+    }
+    if (error instanceof AuthError || error instanceof LeagueError) {
+      return fail(error.status, error.code, error.message, error.details);
+    }
     console.error('Error:', error);
-    return {
-      statusCode: 500,
-      headers,
-      body: JSON.stringify({ error: error.message })
-    };
+    return fail(500, 'internal_error', error.message);
   }
 };
+
+export const handler = createHandler();
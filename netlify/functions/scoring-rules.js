@@ -0,0 +1,78 @@
+// netlify/functions/scoring-rules.js
+// GET ?season= returns the season's scoring rules. POST
+// { season, rules, adminPin } changes them; only a parent can.
+import { isValidRules, TIE_SCORING } from '../../src/lib/rules.js';
+import { seasonForDate } from '../../src/lib/weeks.js';
+import { appendAudit, isLeagueAdmin } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadRules, saveRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders();
+
+const fail = (status, code, message) => json(status, headers, { error: { code, message } });
+
+export const createHandler = ({ getStore = openStore } = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  try {
+    const { store } = await openLeague(getStore(event), event);
+
+    if (event.httpMethod === 'GET') {
+      const season = parseInt(event.queryStringParameters?.season) || seasonForDate();
+      return json(200, headers, { season, rules: await loadRules(store, season) });
+    }
+
+    if (event.httpMethod !== 'POST') {
+      return fail(405, 'method_not_allowed', 'Method not allowed');
+    }
+
+    let request;
+    try {
+      request = JSON.parse(event.body);
+    } catch (error) {
+      return fail(400, 'invalid_json', 'Request body must be JSON');
+    }
+
+    const { rules, adminPin } = request;
+    const season = parseInt(request.season);
+
+    if (!(await isLeagueAdmin(store, adminPin))) {
+      return fail(401, 'admin_required', 'The parent PIN is needed to change the scoring rules');
+    }
+    if (!season) {
+      return fail(400, 'invalid_season', 'A season is required');
+    }
+    if (!isValidRules(rules)) {
+      return fail(400, 'invalid_rules', 'Unknown scoring rule, bad upset bonus or unknown tie setting');
+    }
+
+    const previous = await loadRules(store, season);
+    const saved = await saveRules(store, season, rules);
+
+    // The rule and how ties count are logged as separate changes
+    const at = new Date().toISOString();
+    await appendAudit(store, [
+      ...(previous.type !== saved.type || previous.upsetBonus !== saved.upsetBonus
+        ? [{ at, action: 'set-rules', season, from: previous.type, to: saved.type }]
+        : []),
+      ...(previous.ties !== saved.ties
+        ? [{ at, action: 'set-ties', season, from: TIE_SCORING[previous.ties], to: TIE_SCORING[saved.ties] }]
+        : [])
+    ]);
+
+    return json(200, headers, { season, rules: saved });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return fail(error.status, error.code, error.message);
+    }
+    console.error('Error:', error);
+    return fail(500, 'internal_error', error.message);
+  }
+};
+
+export const handler = createHandler();
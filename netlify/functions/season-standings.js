@@ -0,0 +1,72 @@
+// netlify/functions/season-standings.js
+import { scoreSeason } from '../../src/lib/season.js';
+import { seasonForDate, seasonWeeks, weekKey } from '../../src/lib/weeks.js';
+import { loadAudit } from '../lib/auth.js';
+import { corsHeaders, json } from '../lib/http.js';
+import { LeagueError, openLeague } from '../lib/leagues.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { loadWeekGames } from '../lib/results.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+const headers = corsHeaders('GET, OPTIONS');
+
+// Parent changes that move the standings, listed with them so everyone can
+// see why a score isn't what the scoreboard said
+const CORRECTIONS = ['set-result', 'clear-result', 'edit-pick', 'rescore', 'set-ties'];
+
+const inSeason = (entry, season) => (
+  entry.season === season || (typeof entry.week === 'string' && entry.week.startsWith(`${season}-`))
+);
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET') {
+    return json(405, headers, { error: 'Method not allowed' });
+  }
+
+  try {
+    const season = parseInt(event.queryStringParameters?.season) || seasonForDate();
+    const allWeeks = seasonWeeks(season);
+
+    const { store } = await openLeague(getStore(event), event);
+    const records = await Promise.all(allWeeks.map(ref => loadWeekPicks(store, ref)));
+
+    // Only weeks somebody picked need their results loaded
+    const picked = allWeeks
+      .map((ref, i) => ({ ref, picks: records[i].picks }))
+      .filter(({ picks }) => Object.keys(picks).length > 0);
+
+    const weeks = await Promise.all(picked.map(async ({ ref, picks }) => {
+      const { games } = await loadWeekGames(store, ref, loadScoreboard);
+      return { key: weekKey(ref), games, picks };
+    }));
+
+    const players = [...new Set(weeks.flatMap(({ picks }) => Object.keys(picks)))];
+    const [rules, audit] = await Promise.all([loadRules(store, season), loadAudit(store)]);
+
+    return json(200, headers, {
+      season,
+      rules,
+      ...scoreSeason(weeks, players, rules),
+      corrections: audit.filter(entry => CORRECTIONS.includes(entry.action) && inSeason(entry, season)),
+      calculatedAt: new Date().toISOString()
+    });
+
+  } catch (error) {
+    if (error instanceof LeagueError) {
+      return json(error.status, headers, { error: error.message });
+    }
+    console.error('Error:', error);
+    return json(500, headers, { error: error.message });
+  }
+};
+
+export const handler = createHandler();
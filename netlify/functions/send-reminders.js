@@ -0,0 +1,101 @@
+// netlify/functions/send-reminders.js
+// Scheduled in netlify.toml. Ahead of each lock window, reminds every
+// league's players who still have games to pick, through the channels set
+// in REMINDER_CHANNELS (see ../lib/notify.js). Each player hears about a
+// lock window once, however often this runs. REMINDER_LEAD_MINUTES sets
+// how far ahead of a lock reminders start (default 180).
+import { REMINDER_LEAD_MINUTES } from '../../src/lib/reminders.js';
+import { weekKey } from '../../src/lib/weeks.js';
+import { listLeagues, scopeStore } from '../lib/leagues.js';
+import { channelsFromEnv } from '../lib/notify.js';
+import { loadWeekPicks } from '../lib/picks.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { dueReminders, loadReminderSettings, loadSubscriptions, remindersSentKey, removeSubscriptions } from '../lib/reminders.js';
+import { loadCurrentWeek, loadWeekGames } from '../lib/results.js';
+import { loadRoster } from '../lib/roster.js';
+import { loadRules } from '../lib/rules.js';
+import { openStore } from '../lib/store.js';
+
+// One league's reminders; returns how many went out on each channel
+const remindLeague = async ({ store, league, week, channels, now, leadMinutes, baseUrl, loadScoreboard }) => {
+  const [{ games }, { picks }, roster, rules, sent] = await Promise.all([
+    loadWeekGames(store, week, loadScoreboard),
+    loadWeekPicks(store, week),
+    loadRoster(store),
+    loadRules(store, week.season),
+    store.get(remindersSentKey(week))
+  ]);
+
+  const due = dueReminders({ ref: week, games, picks, roster, rules, sent: sent || {}, now, leadMinutes, baseUrl });
+  if (due.reminders.length === 0) return {};
+
+  const [settings, subscriptions] = await Promise.all([loadReminderSettings(store), loadSubscriptions(store)]);
+  const contacts = { ...settings, subscriptions };
+
+  const counts = {};
+  const expired = [];
+  for (const channel of channels) {
+    try {
+      const result = await channel.send({ league, reminders: due.reminders, contacts });
+      counts[channel.name] = result.sent;
+      expired.push(...result.expired);
+    } catch (error) {
+      console.error(`${league.id}: ${channel.name} reminders failed:`, error);
+    }
+  }
+
+  // Marked sent even if a channel failed, so a broken channel can't turn
+  // into a reminder every run
+  await store.set(remindersSentKey(week), due.sent);
+  await removeSubscriptions(store, expired);
+  return counts;
+};
+
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore,
+  getChannels = channelsFromEnv,
+  now = () => Date.now()
+} = {}) => async (event) => {
+  try {
+    const store = getStore(event);
+    const channels = getChannels();
+    const current = await loadCurrentWeek(store, loadScoreboard);
+    if (!current || channels.length === 0) {
+      return { statusCode: 200, body: JSON.stringify({ sent: {} }) };
+    }
+
+    const week = { season: current.season, type: current.type, week: current.week };
+    const leadMinutes = parseInt(process.env.REMINDER_LEAD_MINUTES) || REMINDER_LEAD_MINUTES;
+    const sent = {};
+
+    for (const league of await listLeagues(store)) {
+      try {
+        sent[league.id] = await remindLeague({
+          store: scopeStore(store, league.id),
+          league,
+          week,
+          channels,
+          now: now(),
+          leadMinutes,
+          baseUrl: process.env.URL || '',
+          loadScoreboard
+        });
+      } catch (error) {
+        console.error(`${league.id}: reminders failed:`, error);
+      }
+    }
+
+    console.log(`${weekKey(week)} reminders:`, JSON.stringify(sent));
+    return { statusCode: 200, body: JSON.stringify({ week, sent }) };
+
+  } catch (error) {
+    console.error('Error sending reminders:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+export const handler = createHandler();
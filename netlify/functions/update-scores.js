@@ -1 +1,36 @@
+// netlify/functions/update-scores.js
+// Scheduled in netlify.toml; pulls the current week's scoreboard into the
+// results store so clients never have to poll the provider themselves.
+import { weekKey } from '../../src/lib/weeks.js';
+import { loadScoreboard as providerScoreboard } from '../lib/providers.js';
+import { ingestWeek, saveCurrentWeek } from '../lib/results.js';
+import { openStore } from '../lib/store.js';
 
+export const createHandler = ({
+  loadScoreboard = providerScoreboard,
+  getStore = openStore
+} = {}) => async (event) => {
+  try {
+    const store = getStore(event);
+    const { data } = await loadScoreboard(null);
+
+    await saveCurrentWeek(store, data);
+    const { week, changed, games } = await ingestWeek(store, null, async () => ({ data }));
+
+    console.log(`${weekKey(week)}: ${changed.length} of ${games.length} games changed`);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ week, changed })
+    };
+
+  } catch (error) {
+    console.error('Error updating scores:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: error.message })
+    };
+  }
+};
+
+export const handler = createHandler();
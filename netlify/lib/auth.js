@@ -0,0 +1,178 @@
+// Player PINs, the parent/admin PIN and the audit log of admin changes.
+// PINs are stored hashed. A league created in the app keeps its parent PIN
+// hashed with its data; the default league uses the ADMIN_PIN environment
+// variable. Too many wrong PINs in a short while lock that player's PIN,
+// or the parent PIN, for a while so they can't be guessed.
+import { randomBytes, scryptSync, timingSafeEqual } from 'node:crypto';
+
+export const PINS_KEY = 'league/pins';
+export const AUDIT_KEY = 'league/audit';
+export const ADMIN_PIN_KEY = 'league/admin-pin';
+// Wrong PINs go under league/pin-attempts/<player:id or parent>/, and the
+// last right one under league/pin-cleared/<player:id or parent>
+export const PIN_ATTEMPTS_PREFIX = 'league/pin-attempts/';
+export const PIN_CLEARED_PREFIX = 'league/pin-cleared/';
+
+const PIN_PATTERN = /^\d{4,6}$/;
+
+export const MAX_PIN_ATTEMPTS = 5;
+export const PIN_LOCKOUT_MS = 15 * 60 * 1000;
+
+export class AuthError extends Error {
+  constructor(code, message, status = 401, details) {
+    super(message);
+    this.name = 'AuthError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+export const isValidPin = (pin) => typeof pin === 'string' && PIN_PATTERN.test(pin);
+
+export const hashPin = (pin) => {
+  const salt = randomBytes(16).toString('hex');
+  return `${salt}:${scryptSync(pin, salt, 32).toString('hex')}`;
+};
+
+// A damaged stored hash is the wrong length, which timingSafeEqual throws on
+const matchesHash = (pin, stored) => {
+  if (typeof pin !== 'string' || typeof stored !== 'string') return false;
+  const [salt, hash = ''] = stored.split(':');
+  const expected = Buffer.from(hash, 'hex');
+  const actual = scryptSync(pin, salt, 32);
+  return actual.length === expected.length && timingSafeEqual(actual, expected);
+};
+
+// Wrong PINs are counted per player, and for the parent PIN under null
+const attemptsTarget = (playerId) => (playerId ? `player:${playerId}` : 'parent');
+
+const attemptsPrefix = (playerId) => `${PIN_ATTEMPTS_PREFIX}${attemptsTarget(playerId)}/`;
+
+// Times of the wrong PINs that still count, oldest first: those since the
+// last right PIN and inside the lockout window. Each wrong PIN has its own
+// key, so checks running side by side can't write over each other's count.
+const recentFailures = async (store, playerId, now) => {
+  const prefix = attemptsPrefix(playerId);
+  const [keys, cleared] = await Promise.all([
+    store.list(prefix),
+    store.get(`${PIN_CLEARED_PREFIX}${attemptsTarget(playerId)}`)
+  ]);
+  const since = Math.max(cleared ? Date.parse(cleared.at) : 0, now - PIN_LOCKOUT_MS);
+
+  return keys
+    .map(key => parseInt(key.slice(prefix.length)))
+    .filter(time => time > since)
+    .sort((a, b) => a - b);
+};
+
+// MAX_PIN_ATTEMPTS wrong PINs inside the window lock it until the oldest of
+// them drops out
+const lockedUntil = (failures) => (
+  failures.length >= MAX_PIN_ATTEMPTS ? failures[failures.length - MAX_PIN_ATTEMPTS] + PIN_LOCKOUT_MS : null
+);
+
+// When the PIN is locked after too many wrong tries, as an ISO time; null
+// when it can be tried
+export const pinLockedUntil = async (store, playerId = null, now = Date.now()) => {
+  const until = lockedUntil(await recentFailures(store, playerId, now));
+  return until ? new Date(until).toISOString() : null;
+};
+
+// Run check() on a PIN unless it's locked, which fails without looking.
+// A wrong PIN counts towards the lockout and a right one clears the count;
+// no PIN at all isn't a try.
+const limitAttempts = async (store, playerId, pin, check, now = Date.now()) => {
+  if (pin === undefined || pin === null) return false;
+
+  const failures = await recentFailures(store, playerId, now);
+  if (lockedUntil(failures)) return false;
+
+  const ok = check();
+  const at = new Date(now).toISOString();
+  if (!ok) {
+    await store.set(`${attemptsPrefix(playerId)}${now}-${randomBytes(4).toString('hex')}`, { at });
+  } else if (failures.length > 0) {
+    await store.set(`${PIN_CLEARED_PREFIX}${attemptsTarget(playerId)}`, { at });
+  }
+  return ok;
+};
+
+export const isAdminPin = (pin, adminPin = process.env.ADMIN_PIN) => {
+  if (!adminPin || typeof pin !== 'string' || pin.length !== adminPin.length) return false;
+  return timingSafeEqual(Buffer.from(pin), Buffer.from(adminPin));
+};
+
+// Checks the league's own parent PIN when it has one, else ADMIN_PIN
+export const isLeagueAdmin = async (store, pin) => {
+  const stored = await store.get(ADMIN_PIN_KEY);
+  return limitAttempts(store, null, pin, () => (stored ? matchesHash(pin, stored) : isAdminPin(pin)));
+};
+
+export const loadPins = async (store) => await store.get(PINS_KEY) || {};
+
+// A player without a PIN needs none
+export const isPlayerPin = async (store, pins, playerId, pin) => (
+  !pins[playerId] || limitAttempts(store, playerId, pin, () => matchesHash(pin, pins[playerId]))
+);
+
+// Setting or clearing a PIN needs the player's current PIN or the admin PIN
+export const setPlayerPin = async (store, playerId, pin, auth = {}) => {
+  const pins = await loadPins(store);
+  if (!(await isLeagueAdmin(store, auth.adminPin)) && !(await isPlayerPin(store, pins, playerId, auth.pin))) {
+    throw new AuthError('pin_required', 'The current PIN or the parent PIN is needed to change this PIN');
+  }
+  if (pin !== null && !isValidPin(pin)) {
+    throw new AuthError('invalid_pin', 'PINs are 4 to 6 digits', 400);
+  }
+
+  const next = { ...pins };
+  if (pin === null) {
+    delete next[playerId];
+  } else {
+    next[playerId] = hashPin(pin);
+  }
+  await store.set(PINS_KEY, next);
+  return Object.keys(next);
+};
+
+// Who is reading picks, from the request headers: a parent when
+// X-Admin-Pin checks out, else the player in X-Player-Id when X-Player-Pin
+// does (or they have no PIN). Anyone else is { viewer: null, admin: false }
+// and only sees picks for games that have locked.
+export const viewerFrom = async (store, event) => {
+  const headers = event.headers || {};
+  if (await isLeagueAdmin(store, headers['x-admin-pin'])) {
+    return { viewer: null, admin: true };
+  }
+
+  const playerId = headers['x-player-id'];
+  const unlocked = playerId && await isPlayerPin(store, await loadPins(store), playerId, headers['x-player-pin']);
+  return { viewer: unlocked ? playerId : null, admin: false };
+};
+
+// Check that whoever is saving may change every player touched by the
+// save. admin says whether the parent PIN checked out (see isLeagueAdmin)
+// and player is whoever's own PIN did (see isPlayerPin); returns whether
+// the parent PIN was used.
+export const authorizeChanges = (changes, pins, { admin = false, player: unlocked = null } = {}) => {
+  if (admin) {
+    return { admin: true };
+  }
+
+  const blocked = [...new Set(changes.map(({ player }) => player))]
+    .filter(player => pins[player] && player !== unlocked);
+
+  if (blocked.length > 0) {
+    throw new AuthError('pin_required', `A PIN is needed to change picks for: ${blocked.join(', ')}`, 401, { players: blocked });
+  }
+  return { admin: false };
+};
+
+export const appendAudit = async (store, entries) => {
+  if (entries.length === 0) return;
+  const log = await store.get(AUDIT_KEY) || [];
+  await store.set(AUDIT_KEY, [...log, ...entries]);
+};
+
+export const loadAudit = async (store) => await store.get(AUDIT_KEY) || [];
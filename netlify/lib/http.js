@@ -0,0 +1,31 @@
+// Shared response helpers for the Netlify functions
+import { toWeekRef } from '../../src/lib/weeks.js';
+
+// X-Player-Id, X-Player-Pin and X-Admin-Pin say who is reading picks; see
+// viewerFrom
+export const corsHeaders = (methods = 'GET, POST, OPTIONS') => ({
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, X-League-Id, X-Player-Id, X-Player-Pin, X-Admin-Pin',
+  'Access-Control-Allow-Methods': methods
+});
+
+export const json = (statusCode, headers, body) => ({
+  statusCode,
+  headers: { ...headers, 'Content-Type': 'application/json' },
+  body: JSON.stringify(body)
+});
+
+// Read a { season, type, week } reference from the query string or a JSON
+// body; see toWeekRef for what's accepted
+export const parseWeekRef = (event) => {
+  const query = event.queryStringParameters || {};
+  if (query.week !== undefined) {
+    return toWeekRef(query);
+  }
+
+  if (event.body) {
+    const body = JSON.parse(event.body);
+    return toWeekRef(typeof body.week === 'object' ? body.week : body);
+  }
+  return null;
+};
@@ -0,0 +1,178 @@
+// League registry and league-scoped storage. Every league's data sits
+// under its own key prefix; only NFL results and the join code index are
+// shared by all leagues.
+import { randomBytes, randomInt } from 'node:crypto';
+import { DEFAULT_LEAGUE_ID, isValidLeagueId, JOIN_CODE_ALPHABET, JOIN_CODE_LENGTH, normalizeJoinCode } from '../../src/lib/leagues.js';
+import { EMPTY_ROSTER } from '../../src/lib/roster.js';
+import { ADMIN_PIN_KEY, hashPin, isValidPin } from './auth.js';
+import { ROSTER_KEY } from './roster.js';
+
+export const LEAGUE_INFO_KEY = 'league/info';
+
+const SHARED_PREFIXES = ['results/', 'meta/', 'join-codes/'];
+
+const joinCodeKey = (code) => `join-codes/${code}`;
+
+export class LeagueError extends Error {
+  constructor(code, message, status = 404) {
+    super(message);
+    this.name = 'LeagueError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// The store as one league sees it. The default league keeps the unprefixed
+// keys it always had and never sees another league's prefix.
+export const scopeStore = (store, leagueId) => {
+  const prefix = leagueId === DEFAULT_LEAGUE_ID ? '' : `leagues/${leagueId}/`;
+  const isShared = (key) => SHARED_PREFIXES.some(shared => key.startsWith(shared));
+  const scoped = (key) => (isShared(key) ? key : `${prefix}${key}`);
+
+  return {
+    get: (key) => store.get(scoped(key)),
+    set: (key, value) => store.set(scoped(key), value),
+    list: async (keyPrefix = '') => (await store.list(scoped(keyPrefix)))
+      .filter(key => isShared(key) || (prefix ? key.startsWith(prefix) : !key.startsWith('leagues/')))
+      .map(key => (isShared(key) ? key : key.slice(prefix.length)))
+  };
+};
+
+// Which league a request is for: ?league= or the X-League-Id header. Old
+// clients that send neither get the default league.
+export const leagueIdFrom = (event) => (
+  event.queryStringParameters?.league
+  || event.headers?.['x-league-id']
+  || DEFAULT_LEAGUE_ID
+);
+
+const newJoinCode = () => Array.from(
+  { length: JOIN_CODE_LENGTH },
+  () => JOIN_CODE_ALPHABET[randomInt(JOIN_CODE_ALPHABET.length)]
+).join('');
+
+const claimJoinCode = async (store, leagueId) => {
+  for (let attempt = 0; attempt < 10; attempt++) {
+    const code = newJoinCode();
+    if (!(await store.get(joinCodeKey(code)))) {
+      await store.set(joinCodeKey(code), { leagueId });
+      return code;
+    }
+  }
+  throw new Error('Could not find a free join code');
+};
+
+
+// The default league's info is created the first time it's asked for
+const loadLeagueInfo = async (store, leagueId) => {
+  const scoped = scopeStore(store, leagueId);
+  const info = await scoped.get(LEAGUE_INFO_KEY);
+  if (info || leagueId !== DEFAULT_LEAGUE_ID) return info;
+
+  const created = {
+    id: DEFAULT_LEAGUE_ID,
+    name: 'Family League',
+    joinCode: await claimJoinCode(store, DEFAULT_LEAGUE_ID),
+    sheetId: null,
+    createdAt: new Date().toISOString()
+  };
+  await scoped.set(LEAGUE_INFO_KEY, created);
+  return created;
+};
+
+const requestLeagueId = (event) => {
+  const id = leagueIdFrom(event);
+  if (!isValidLeagueId(id)) {
+    throw new LeagueError('invalid_league', 'That league id is not valid', 400);
+  }
+  return id;
+};
+
+// Make sure the request's league can be used without writing anything;
+// the default league counts before its info is first created
+export const checkLeague = async (store, event) => {
+  const id = requestLeagueId(event);
+  if (id !== DEFAULT_LEAGUE_ID && !(await scopeStore(store, id).get(LEAGUE_INFO_KEY))) {
+    throw new LeagueError('unknown_league', 'No league with that id');
+  }
+  return id;
+};
+
+// Resolve the request's league and hand back its scoped store
+export const openLeague = async (store, event) => {
+  const id = requestLeagueId(event);
+  const info = await loadLeagueInfo(store, id);
+  if (!info) {
+    throw new LeagueError('unknown_league', 'No league with that id');
+  }
+
+  return { league: info, store: scopeStore(store, id) };
+};
+
+// The spreadsheet a league mirrors to. The default league falls back to the
+// deployment's GOOGLE_SHEET_ID; other leagues only mirror once they set one.
+export const leagueSheetId = (info) => (
+  info.sheetId || (info.id === DEFAULT_LEAGUE_ID ? process.env.GOOGLE_SHEET_ID || null : null)
+);
+
+// What clients may see about a league
+export const publicLeague = (info) => ({
+  id: info.id,
+  name: info.name,
+  joinCode: info.joinCode,
+  hasSheet: !!leagueSheetId(info)
+});
+
+export const createLeague = async (store, { name, adminPin }) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    throw new LeagueError('invalid_name', 'A league needs a name', 400);
+  }
+  if (!isValidPin(adminPin)) {
+    throw new LeagueError('invalid_pin', 'The parent PIN must be 4 to 6 digits', 400);
+  }
+
+  const id = `lg-${randomBytes(6).toString('hex')}`;
+  const info = {
+    id,
+    name: name.trim(),
+    joinCode: await claimJoinCode(store, id),
+    sheetId: null,
+    createdAt: new Date().toISOString()
+  };
+
+  const scoped = scopeStore(store, id);
+  await scoped.set(ADMIN_PIN_KEY, hashPin(adminPin));
+  await scoped.set(ROSTER_KEY, { ...EMPTY_ROSTER, updatedAt: info.createdAt });
+  await scoped.set(LEAGUE_INFO_KEY, info);
+  return info;
+};
+
+// Every league, found through the join code index every league is in, plus
+// the default league even if nobody has opened it yet. Takes the unscoped
+// store.
+export const listLeagues = async (store) => {
+  const entries = await Promise.all((await store.list('join-codes/')).map(key => store.get(key)));
+  const ids = [...new Set([DEFAULT_LEAGUE_ID, ...entries.filter(Boolean).map(entry => entry.leagueId)])];
+  const infos = await Promise.all(ids.map(id => loadLeagueInfo(store, id)));
+  return infos.filter(Boolean);
+};
+
+export const findLeagueByCode = async (store, code) => {
+  const entry = await store.get(joinCodeKey(normalizeJoinCode(code)));
+  const info = entry && await loadLeagueInfo(store, entry.leagueId);
+  if (!info) {
+    throw new LeagueError('unknown_code', 'No league uses that join code');
+  }
+  return info;
+};
+
+// Name and spreadsheet are the only settings a parent can change
+export const updateLeague = async (scoped, info, { name, sheetId }) => {
+  const next = {
+    ...info,
+    name: typeof name === 'string' && name.trim() ? name.trim() : info.name,
+    sheetId: sheetId === undefined ? info.sheetId : (sheetId || null)
+  };
+  await scoped.set(LEAGUE_INFO_KEY, next);
+  return next;
+};
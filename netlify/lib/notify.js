@@ -0,0 +1,145 @@
+// Reminder channels: how a league's pick reminders reach people.
+//
+// A channel is { name, send(batch) } where batch is
+// { league, reminders: [{ player, name, text, url }], contacts } and
+// contacts are the league's reminder settings (see reminders.js):
+// { webhookUrl, emails: { [player]: address }, subscriptions: { [player]: [push subscription] } }.
+// send resolves to { sent, expired } where expired lists push subscriptions
+// the push service said are gone, as { player, endpoint }.
+//
+// REMINDER_CHANNELS picks them, comma separated (default push,email,webhook):
+//   push     web push through the app's service worker; needs VAPID_PUBLIC_KEY,
+//            VAPID_PRIVATE_KEY and VAPID_SUBJECT (a mailto: or https: contact)
+//   email    through an HTTP email API (Resend's by default); needs
+//            EMAIL_API_KEY and REMINDER_EMAIL_FROM, and EMAIL_API_URL to use another
+//   webhook  a JSON POST to the league's webhook, e.g. a family group chat
+//   log      prints reminders and keeps them in memory; a stand-in for testing
+import webpush from 'web-push';
+
+export const pushChannel = ({ publicKey, privateKey, subject }, { sendNotification = webpush.sendNotification } = {}) => ({
+  name: 'push',
+  send: async ({ reminders, contacts }) => {
+    let sent = 0;
+    const expired = [];
+
+    for (const reminder of reminders) {
+      for (const subscription of contacts.subscriptions?.[reminder.player] || []) {
+        try {
+          await sendNotification(
+            subscription,
+            JSON.stringify({ title: "NFL Pick'em", body: `${reminder.name}: ${reminder.text}`, url: reminder.url }),
+            { vapidDetails: { subject, publicKey, privateKey }, TTL: 60 * 60 }
+          );
+          sent++;
+        } catch (error) {
+          // 404 and 410 mean the browser dropped the subscription for good
+          if (error.statusCode === 404 || error.statusCode === 410) {
+            expired.push({ player: reminder.player, endpoint: subscription.endpoint });
+          } else {
+            console.warn(`Push to ${reminder.player} failed: ${error.message}`);
+          }
+        }
+      }
+    }
+
+    return { sent, expired };
+  }
+});
+
+export const emailChannel = ({ apiKey, from, url = 'https://api.resend.com/emails' }) => ({
+  name: 'email',
+  send: async ({ league, reminders, contacts }) => {
+    let sent = 0;
+
+    for (const reminder of reminders) {
+      const to = contacts.emails?.[reminder.player];
+      if (!to) continue;
+
+      const response = await fetch(url, {
+        method: 'POST',
+        headers: { Authorization: `Bearer ${apiKey}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          from,
+          to,
+          subject: `${league.name}: picks due for ${reminder.name}`,
+          text: `${reminder.name}: ${reminder.text}.\n\nMake your picks: ${reminder.url}`
+        })
+      });
+      if (response.ok) {
+        sent++;
+      } else {
+        console.warn(`Email to ${reminder.player} failed: ${response.status}`);
+      }
+    }
+
+    return { sent, expired: [] };
+  }
+});
+
+// One message for the whole league, with text for Slack-style hooks and
+// content for Discord-style ones
+export const webhookChannel = () => ({
+  name: 'webhook',
+  send: async ({ league, reminders, contacts }) => {
+    if (!contacts.webhookUrl || reminders.length === 0) return { sent: 0, expired: [] };
+
+    const text = [
+      `🏈 ${league.name} pick reminders`,
+      ...reminders.map(reminder => `• ${reminder.name}: ${reminder.text}`)
+    ].join('\n');
+
+    const response = await fetch(contacts.webhookUrl, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ text, content: text, reminders })
+    });
+    if (!response.ok) {
+      console.warn(`Webhook for ${league.id} failed: ${response.status}`);
+      return { sent: 0, expired: [] };
+    }
+    return { sent: 1, expired: [] };
+  }
+});
+
+export const logChannel = () => {
+  const sent = [];
+  return {
+    name: 'log',
+    sent,
+    send: async ({ league, reminders }) => {
+      reminders.forEach(reminder => {
+        console.log(`[reminder] ${league.id} ${reminder.player}: ${reminder.text}`);
+        sent.push({ league: league.id, ...reminder });
+      });
+      return { sent: reminders.length, expired: [] };
+    }
+  };
+};
+
+// Channels missing their settings are left out with a warning rather than
+// failing every run
+export const channelsFromEnv = (env = process.env) => {
+  const names = (env.REMINDER_CHANNELS || 'push,email,webhook').split(',').map(name => name.trim()).filter(Boolean);
+
+  return names.flatMap(name => {
+    if (name === 'push') {
+      if (!env.VAPID_PUBLIC_KEY || !env.VAPID_PRIVATE_KEY || !env.VAPID_SUBJECT) {
+        console.warn('Push reminders need VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY and VAPID_SUBJECT');
+        return [];
+      }
+      return [pushChannel({ publicKey: env.VAPID_PUBLIC_KEY, privateKey: env.VAPID_PRIVATE_KEY, subject: env.VAPID_SUBJECT })];
+    }
+    if (name === 'email') {
+      if (!env.EMAIL_API_KEY || !env.REMINDER_EMAIL_FROM) {
+        console.warn('Email reminders need EMAIL_API_KEY and REMINDER_EMAIL_FROM');
+        return [];
+      }
+      return [emailChannel({ apiKey: env.EMAIL_API_KEY, from: env.REMINDER_EMAIL_FROM, url: env.EMAIL_API_URL })];
+    }
+    if (name === 'webhook') return [webhookChannel()];
+    if (name === 'log') return [logChannel()];
+
+    console.warn(`Unknown reminder channel: ${name}`);
+    return [];
+  });
+};
@@ -0,0 +1,115 @@
+// Stored pick records, one { picks, stamps } record per week, and the
+// history of every change made to them
+import { isPickKeyLocked } from '../../src/lib/locks.js';
+import { changedEntries, clampStamps, emptyRecord, mergeRecords, pickKeyGame } from '../../src/lib/picks.js';
+import { pickValueProblem } from '../../src/lib/rules.js';
+import { weekKey } from '../../src/lib/weeks.js';
+import { appendAudit, authorizeChanges, isLeagueAdmin, isPlayerPin, loadPins } from './auth.js';
+
+export const picksKey = (ref) => `picks/${weekKey(ref)}`;
+export const pickHistoryKey = (ref) => `pick-history/${weekKey(ref)}`;
+
+export class PicksLockedError extends Error {
+  constructor(entries) {
+    super('Some picks are for games that have already locked');
+    this.name = 'PicksLockedError';
+    this.entries = entries;
+  }
+}
+
+// Entries for games the week doesn't have; refused for everyone, parents too
+export class UnknownPicksError extends Error {
+  constructor(entries) {
+    super('Some picks are for games that aren\'t in this week');
+    this.name = 'UnknownPicksError';
+    this.entries = entries;
+  }
+}
+
+// Entries whose value can't be right, each with its problem; refused for
+// everyone, parents too
+export class InvalidPicksError extends Error {
+  constructor(entries) {
+    super('Some picks have values that can\'t be saved');
+    this.name = 'InvalidPicksError';
+    this.entries = entries;
+  }
+}
+
+export const loadWeekPicks = async (store, ref) => (
+  await store.get(picksKey(ref)) || emptyRecord()
+);
+
+export const loadPickHistory = async (store, ref) => await store.get(pickHistoryKey(ref)) || [];
+
+const appendPickHistory = async (store, ref, events) => {
+  if (events.length === 0) return;
+  await store.set(pickHistoryKey(ref), [...await loadPickHistory(store, ref), ...events]);
+};
+
+// Merge an incoming record into the stored one and save the result. The
+// incoming stamps are held to the server's clock and every change has to
+// be for one of the week's games, with a value it could have (see
+// pickValueProblem). Every player whose picks change must be
+// unlocked by their PIN, and changes to locked games are refused, unless
+// the admin PIN is given; admin changes are written to the audit log
+// instead. Every change that lands goes into the week's pick history,
+// stamped with when it reached the server.
+export const saveWeekPicks = async (store, ref, incoming, { games = [], auth = {} } = {}) => {
+  const at = new Date().toISOString();
+  const stored = await loadWeekPicks(store, ref);
+  const merged = mergeRecords(stored, { picks: incoming.picks, stamps: clampStamps(incoming.stamps, at) });
+  const changes = changedEntries(stored, merged);
+
+  const unknown = changes.filter(({ key }) => !pickKeyGame(key, games));
+  if (unknown.length > 0) {
+    throw new UnknownPicksError(unknown);
+  }
+
+  const invalid = changes
+    .map(({ player, key }) => ({ player, key, problem: pickValueProblem(key, merged.picks[player], games) }))
+    .filter(({ problem }) => problem);
+  if (invalid.length > 0) {
+    throw new InvalidPicksError(invalid);
+  }
+
+  const pins = await loadPins(store);
+  const isAdmin = await isLeagueAdmin(store, auth.adminPin);
+  const player = !isAdmin && auth.playerId && await isPlayerPin(store, pins, auth.playerId, auth.pin) ? auth.playerId : null;
+  const { admin } = authorizeChanges(changes, pins, { admin: isAdmin, player });
+
+  if (!admin) {
+    const locked = changes.filter(({ key }) => isPickKeyLocked(key, games));
+    if (locked.length > 0) {
+      throw new PicksLockedError(locked);
+    }
+  }
+
+  await store.set(picksKey(ref), merged);
+
+  await appendPickHistory(store, ref, changes.map(({ player, key }) => ({
+    at: merged.stamps[player]?.[key] || at,
+    receivedAt: at,
+    player,
+    key,
+    from: stored.picks[player]?.[key] ?? null,
+    to: merged.picks[player][key] ?? null,
+    by: admin ? 'parent' : 'player',
+    locked: isPickKeyLocked(key, games, Date.parse(at))
+  })));
+
+  if (admin) {
+    await appendAudit(store, changes.map(({ player, key }) => ({
+      at,
+      action: 'edit-pick',
+      week: weekKey(ref),
+      player,
+      key,
+      from: stored.picks[player]?.[key] ?? null,
+      to: merged.picks[player][key],
+      reason: auth.reason || null
+    })));
+  }
+
+  return merged;
+};
@@ -0,0 +1,74 @@
+// Schedule providers: where games and scores come from.
+//
+// A provider is { name, fetchScoreboard(ref, { etag }) } and resolves to
+// { data, etag } where data is an ESPN-shaped scoreboard payload (see
+// src/lib/espn.js for how it's read), or to { notModified: true } when the
+// etag it was given still matches. A null ref asks for the current week.
+//
+// SCHEDULE_PROVIDER picks one: espn (the default) or fixture, which reads
+// saved payloads from SCHEDULE_FIXTURES (default fixtures/scoreboard) as
+// <season>-<type>-<week>.json, plus current.json for the current week.
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { scoreboardUrl } from '../../src/lib/espn.js';
+import { withRetry } from '../../src/lib/retry.js';
+import { weekKey } from '../../src/lib/weeks.js';
+
+export class ProviderError extends Error {
+  constructor(message, { status = null, retryable = true } = {}) {
+    super(message);
+    this.name = 'ProviderError';
+    this.status = status;
+    this.retryable = retryable;
+  }
+}
+
+export const espnProvider = {
+  name: 'espn',
+  fetchScoreboard: async (ref, { etag } = {}) => {
+    let response;
+    try {
+      response = await fetch(scoreboardUrl(ref), { headers: etag ? { 'If-None-Match': etag } : {} });
+    } catch (error) {
+      throw new ProviderError(`Could not reach ESPN: ${error.message}`);
+    }
+
+    if (response.status === 304) {
+      return { notModified: true };
+    }
+    if (!response.ok) {
+      // Rate limits and server trouble pass; anything else won't
+      const retryable = response.status === 429 || response.status >= 500;
+      throw new ProviderError(`ESPN answered ${response.status}`, { status: response.status, retryable });
+    }
+
+    return { data: await response.json(), etag: response.headers.get('etag') };
+  }
+};
+
+export const fixtureProvider = (dir = 'fixtures/scoreboard') => ({
+  name: 'fixture',
+  fetchScoreboard: async (ref) => {
+    const file = path.resolve(dir, `${ref ? weekKey(ref) : 'current'}.json`);
+
+    try {
+      return { data: JSON.parse(await readFile(file, 'utf8')), etag: null };
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        throw new ProviderError(`No fixture at ${file}`, { status: 404, retryable: false });
+      }
+      throw new ProviderError(`Could not read ${file}: ${error.message}`, { retryable: false });
+    }
+  }
+});
+
+export const providerFromEnv = (env = process.env) => (
+  env.SCHEDULE_PROVIDER === 'fixture' ? fixtureProvider(env.SCHEDULE_FIXTURES) : espnProvider
+);
+
+// What the functions call: the provider's fetchScoreboard with retries
+export const createScoreboardLoader = (provider = providerFromEnv(), retry = {}) => (
+  (ref, options) => withRetry(() => provider.fetchScoreboard(ref, options), retry)
+);
+
+export const loadScoreboard = createScoreboardLoader();
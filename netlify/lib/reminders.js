@@ -0,0 +1,87 @@
+// A league's reminder settings, each player's push subscriptions and which
+// reminders have already gone out
+import { dueWindow, missingPicks, REMINDER_LEAD_MINUTES, reminderText } from '../../src/lib/reminders.js';
+import { activePlayers, playerName } from '../../src/lib/roster.js';
+import { pathForWeekRef, weekKey } from '../../src/lib/weeks.js';
+
+export const REMINDER_SETTINGS_KEY = 'league/reminders';
+export const PUSH_SUBSCRIPTIONS_KEY = 'league/push-subscriptions';
+
+// Which lock windows each player has been reminded about, per week
+export const remindersSentKey = (ref) => `reminders/${weekKey(ref)}`;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const isValidEmail = (email) => typeof email === 'string' && EMAIL_PATTERN.test(email);
+
+export const loadReminderSettings = async (store) => (
+  await store.get(REMINDER_SETTINGS_KEY) || { webhookUrl: null, emails: {} }
+);
+
+// webhookUrl and emails are replaced as given; blank emails are dropped
+export const saveReminderSettings = async (store, { webhookUrl, emails = {} }) => {
+  const settings = {
+    webhookUrl: webhookUrl || null,
+    emails: Object.fromEntries(Object.entries(emails).filter(([, email]) => email)),
+    updatedAt: new Date().toISOString()
+  };
+  await store.set(REMINDER_SETTINGS_KEY, settings);
+  return settings;
+};
+
+export const loadSubscriptions = async (store) => await store.get(PUSH_SUBSCRIPTIONS_KEY) || {};
+
+// A device subscribing again replaces its old subscription
+export const addSubscription = async (store, playerId, subscription) => {
+  const all = await loadSubscriptions(store);
+  const mine = (all[playerId] || []).filter(existing => existing.endpoint !== subscription.endpoint);
+  await store.set(PUSH_SUBSCRIPTIONS_KEY, { ...all, [playerId]: [...mine, subscription] });
+};
+
+// Drop subscriptions by endpoint, from one player or (player null) everyone
+export const removeSubscriptions = async (store, removals) => {
+  if (removals.length === 0) return;
+
+  const all = await loadSubscriptions(store);
+  const next = Object.fromEntries(Object.entries(all).map(([player, subscriptions]) => [
+    player,
+    subscriptions.filter(subscription => !removals.some(({ player: who, endpoint }) => (
+      endpoint === subscription.endpoint && (!who || who === player)
+    )))
+  ]));
+  await store.set(PUSH_SUBSCRIPTIONS_KEY, next);
+};
+
+// Reminders due now: active players with picks missing whose first lock is
+// within the lead time and who haven't been reminded about that lock yet.
+// Returns the reminders and the sent record to save once they're out.
+export const dueReminders = ({
+  ref,
+  games,
+  picks,
+  roster,
+  rules,
+  sent = {},
+  now = Date.now(),
+  leadMinutes = REMINDER_LEAD_MINUTES,
+  baseUrl = ''
+}) => {
+  const reminders = [];
+  const nextSent = { ...sent };
+
+  activePlayers(roster).forEach(({ id }) => {
+    const missing = missingPicks(games, picks[id], rules, now);
+    const lockWindow = dueWindow(missing, now, leadMinutes);
+    if (!lockWindow || (sent[id] || []).includes(lockWindow)) return;
+
+    reminders.push({
+      player: id,
+      name: playerName(roster, id),
+      text: reminderText(missing, now),
+      url: `${baseUrl}${pathForWeekRef(ref)}`
+    });
+    nextSent[id] = [...(sent[id] || []), lockWindow];
+  });
+
+  return { reminders, sent: nextSent };
+};
@@ -0,0 +1,201 @@
+// Persisted game results, written by update-scores and read by everything
+// that needs schedules or final scores. The stored week doubles as the
+// cache in front of the schedule provider.
+import { calendarWeekRef, normalizeScoreboard, scoreboardWeekRef } from '../../src/lib/espn.js';
+import { applyLocks, LOCK_MODES } from '../../src/lib/locks.js';
+import { applyOverride } from '../../src/lib/overrides.js';
+import { assignTiebreaker, sortByKickoff } from '../../src/lib/schedule.js';
+import { weekKey } from '../../src/lib/weeks.js';
+import { loadScoreboard as providerScoreboard } from './providers.js';
+
+export const resultsKey = (ref) => `results/${weekKey(ref)}`;
+
+// Admin's choice of tiebreaker game, kept apart from the results so
+// ingesting never overwrites it
+export const tiebreakerKey = (ref) => `tiebreakers/${weekKey(ref)}`;
+
+// A parent's result corrections for a week, { updatedAt, games: { [id]: override } }.
+// Kept apart from the results like the tiebreaker, and per league since
+// each league's parents decide for themselves.
+export const overridesKey = (ref) => `overrides/${weekKey(ref)}`;
+
+export const CURRENT_WEEK_KEY = 'meta/current-week';
+
+// How long a stored current week is trusted before asking ESPN again
+const CURRENT_WEEK_MAX_AGE = 6 * 60 * 60 * 1000;
+
+// How long a stored week is served before the provider is asked again.
+// Weeks with every game final never change and are kept for good.
+const LIVE_WEEK_MAX_AGE = 60 * 1000;
+const WEEK_MAX_AGE = 15 * 60 * 1000;
+
+export const LOCK_MODE = process.env.LOCK_MODE || LOCK_MODES.PER_GAME;
+
+// Fields that count as a change worth writing
+const TRACKED_FIELDS = ['time', 'kickoff', 'status', 'completed', 'winner', 'homeScore', 'awayScore', 'live', 'odds', 'result'];
+
+const sameState = (a, b) => TRACKED_FIELDS.every(field => JSON.stringify(a[field]) === JSON.stringify(b[field]));
+
+// Spread picks are graded against the line at kickoff, and ESPN drops the
+// odds once a game is over, so the last pre-game line is kept from then on
+const lockedOdds = (game, prior) => (
+  game.status === 'pre' ? (game.odds || prior?.odds || null) : (prior?.odds || game.odds || null)
+);
+
+// Merge freshly normalized games into the stored copy. Untouched games keep
+// their stored entry; changed ones get a new updatedAt, and finalAt is set
+// the first time a game is seen completed.
+export const mergeResults = (stored, games, now) => {
+  const previous = new Map((stored?.games || []).map(game => [game.id, game]));
+  const changed = [];
+
+  const merged = games.map(incoming => {
+    const prior = previous.get(incoming.id);
+    const game = { ...incoming, odds: lockedOdds(incoming, prior) };
+    if (prior && sameState(prior, game)) {
+      return prior;
+    }
+
+    changed.push(game.id);
+    return {
+      ...game,
+      updatedAt: now,
+      finalAt: game.completed ? (prior?.finalAt || now) : null
+    };
+  });
+
+  return { games: merged, changed };
+};
+
+// Fetch a week from the provider and save whatever changed. Leaving out the
+// week ingests the provider's current week. checkedAt records every time
+// the provider was asked, even when nothing had changed.
+export const ingestWeek = async (store, ref, loadScoreboard = providerScoreboard) => {
+  const known = ref ? await store.get(resultsKey(ref)) : null;
+  const now = new Date().toISOString();
+
+  const response = await loadScoreboard(ref, { etag: known?.etag });
+  if (response.notModified) {
+    const record = { ...known, checkedAt: now };
+    await store.set(resultsKey(ref), record);
+    return { ...record, changed: [] };
+  }
+
+  const { data, etag = null } = response;
+  const resolvedWeek = ref || scoreboardWeekRef(data);
+  if (!resolvedWeek) {
+    throw new Error('Scoreboard did not say which week it is');
+  }
+
+  const key = resultsKey(resolvedWeek);
+  const stored = known || await store.get(key);
+  const { games, changed } = mergeResults(stored, normalizeScoreboard(data), now);
+
+  const record = {
+    week: resolvedWeek,
+    updatedAt: stored && changed.length === 0 ? stored.updatedAt : now,
+    checkedAt: now,
+    etag,
+    games
+  };
+  await store.set(key, record);
+  return { ...record, changed };
+};
+
+// Whether a stored week can be served without asking the provider again
+export const isFresh = (record, now = Date.now()) => {
+  if (record.games.length > 0 && record.games.every(game => game.completed)) return true;
+
+  const age = now - Date.parse(record.checkedAt || record.updatedAt);
+  const live = record.games.some(game => game.status === 'in');
+  return age < (live ? LIVE_WEEK_MAX_AGE : WEEK_MAX_AGE);
+};
+
+// Stored games for a week in kickoff order with their lock times, any
+// parent overrides applied and exactly one tiebreaker. The provider is asked
+// when the week has never been seen, its copy has gone stale or refresh is
+// set; if it can't be reached, the stored copy is served anyway, marked stale.
+export const loadWeekGames = async (store, ref, loadScoreboard = providerScoreboard, { refresh = false } = {}) => {
+  let record = await store.get(resultsKey(ref));
+  let stale = false;
+
+  if (!record || refresh || !isFresh(record)) {
+    try {
+      const { changed, ...ingested } = await ingestWeek(store, ref, loadScoreboard);
+      record = ingested;
+    } catch (error) {
+      if (!record) throw error;
+      console.warn(`Serving stored ${weekKey(ref)}: ${error.message}`);
+      stale = true;
+    }
+  }
+
+  const [override, corrections] = await Promise.all([store.get(tiebreakerKey(ref)), store.get(overridesKey(ref))]);
+  const corrected = record.games.map(game => applyOverride(game, corrections?.games[game.id]));
+  const games = assignTiebreaker(sortByKickoff(corrected), override?.gameId);
+
+  return {
+    ...record,
+    stale,
+    lockMode: LOCK_MODE,
+    tiebreakerOverride: override?.gameId || null,
+    overriddenAt: corrections?.updatedAt || null,
+    games: applyLocks(games, LOCK_MODE)
+  };
+};
+
+export const loadResultOverrides = async (store, ref) => (
+  await store.get(overridesKey(ref)) || { updatedAt: null, games: {} }
+);
+
+// Set a game's override, or clear it with null. Returns the one replaced.
+export const saveResultOverride = async (store, ref, gameId, override) => {
+  const stored = await loadResultOverrides(store, ref);
+  const now = new Date().toISOString();
+  const games = { ...stored.games };
+
+  if (override) {
+    games[gameId] = { ...override, setAt: now };
+  } else {
+    delete games[gameId];
+  }
+
+  await store.set(overridesKey(ref), { updatedAt: now, games });
+  return stored.games[gameId] || null;
+};
+
+// Pick a different tiebreaker game for a week, or null to go back to the
+// default rule
+export const saveTiebreakerOverride = async (store, ref, gameId) => {
+  const record = { gameId, setAt: new Date().toISOString() };
+  await store.set(tiebreakerKey(ref), record);
+  return record;
+};
+
+// Work out the current week from a default (no week) scoreboard payload
+// and remember it for clients
+export const saveCurrentWeek = async (store, data) => {
+  const ref = calendarWeekRef(data) || scoreboardWeekRef(data);
+  if (!ref) return null;
+
+  const record = { ...ref, detectedAt: new Date().toISOString() };
+  await store.set(CURRENT_WEEK_KEY, record);
+  return record;
+};
+
+export const loadCurrentWeek = async (store, loadScoreboard = providerScoreboard) => {
+  const stored = await store.get(CURRENT_WEEK_KEY);
+  if (stored && Date.now() - Date.parse(stored.detectedAt) < CURRENT_WEEK_MAX_AGE) {
+    return stored;
+  }
+
+  try {
+    const { data } = await loadScoreboard(null);
+    return await saveCurrentWeek(store, data);
+  } catch (error) {
+    // An old answer beats none
+    if (!stored) throw error;
+    console.warn(`Serving stored current week: ${error.message}`);
+    return stored;
+  }
+};
@@ -0,0 +1,17 @@
+// The stored league roster
+import { DEFAULT_ROSTER } from '../../src/lib/roster.js';
+
+export const ROSTER_KEY = 'league/roster';
+
+export const loadRoster = async (store) => await store.get(ROSTER_KEY) || DEFAULT_ROSTER;
+
+// Whole-roster last write wins; an older copy from a stale device is ignored
+export const saveRoster = async (store, roster) => {
+  const stored = await store.get(ROSTER_KEY);
+  if (stored && (stored.updatedAt || '') > (roster.updatedAt || '')) {
+    return stored;
+  }
+
+  await store.set(ROSTER_KEY, roster);
+  return roster;
+};
@@ -0,0 +1,15 @@
+// The scoring rules the league chose for each season
+import { DEFAULT_RULES, normalizeRules } from '../../src/lib/rules.js';
+
+export const rulesKey = (season) => `league/rules/${season}`;
+
+export const loadRules = async (store, season) => {
+  const stored = await store.get(rulesKey(season));
+  return stored ? normalizeRules(stored.rules) : DEFAULT_RULES;
+};
+
+export const saveRules = async (store, season, rules) => {
+  const record = { rules: normalizeRules(rules), updatedAt: new Date().toISOString() };
+  await store.set(rulesKey(season), record);
+  return record.rules;
+};
@@ -0,0 +1,146 @@
+// Google Sheets mirror of the league data. Functions talk to a small client
+// interface, upsertRows(tab, rows), so the real spreadsheet can be swapped
+// for createMemorySheetsClient() when running offline.
+import { GoogleSpreadsheet } from 'google-spreadsheet';
+import { JWT } from 'google-auth-library';
+
+export const TABS = {
+  schedule: {
+    headers: ['week', 'gameId', 'away', 'home', 'time', 'status', 'completed', 'winner', 'awayScore', 'homeScore', 'tiebreaker'],
+    key: ['week', 'gameId']
+  },
+  picks: {
+    headers: ['week', 'player', 'gameId', 'pick', 'updatedAt'],
+    key: ['week', 'player', 'gameId']
+  },
+  standings: {
+    headers: ['week', 'player', 'score', 'correct', 'incorrect', 'pending', 'tiebreaker', 'winner'],
+    key: ['week', 'player']
+  },
+  roster: {
+    headers: ['id', 'name', 'active', 'order', 'color', 'emoji'],
+    key: ['id']
+  }
+};
+
+export class SheetsError extends Error {
+  constructor(code, message, status = 500) {
+    super(message);
+    this.name = 'SheetsError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Sheets hands every cell back as a string, so compare that way too
+const toCells = (headers, row) => Object.fromEntries(
+  headers.map(header => [header, row[header] === undefined || row[header] === null ? '' : String(row[header])])
+);
+
+const rowKey = (key, cells) => key.map(column => cells[column]).join('|');
+
+// Work out which rows are new, which differ from what's stored and which
+// can be left alone. Re-sending the same rows never adds duplicates.
+export const planUpsert = (tab, existing, rows) => {
+  const { headers, key } = TABS[tab];
+  const index = new Map(existing.map((cells, position) => [rowKey(key, cells), position]));
+
+  const inserts = [];
+  const updates = [];
+  let unchanged = 0;
+
+  rows.forEach(row => {
+    const cells = toCells(headers, row);
+    const position = index.get(rowKey(key, cells));
+
+    if (position === undefined) {
+      index.set(rowKey(key, cells), existing.length + inserts.length);
+      inserts.push(cells);
+    } else if (headers.some(header => existing[position][header] !== cells[header])) {
+      updates.push({ position, cells });
+    } else {
+      unchanged++;
+    }
+  });
+
+  return { inserts, updates, unchanged };
+};
+
+const summarize = ({ inserts, updates, unchanged }) => ({
+  inserted: inserts.length,
+  updated: updates.length,
+  unchanged
+});
+
+export const createGoogleSheetsClient = ({
+  sheetId = process.env.GOOGLE_SHEET_ID,
+  email = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL,
+  privateKey = process.env.GOOGLE_PRIVATE_KEY
+} = {}) => {
+  if (!sheetId || !email || !privateKey) {
+    throw new SheetsError('sheets_not_configured', 'Google Sheets credentials are not configured', 503);
+  }
+
+  const auth = new JWT({
+    email,
+    // Netlify env vars keep the key's newlines escaped
+    key: privateKey.replace(/\\n/g, '\n'),
+    scopes: ['https://www.googleapis.com/auth/spreadsheets']
+  });
+  const doc = new GoogleSpreadsheet(sheetId, auth);
+  let loaded = null;
+
+  const getSheet = async (tab) => {
+    if (!loaded) {
+      loaded = doc.loadInfo().catch(error => {
+        loaded = null;
+        throw new SheetsError('sheets_auth_failed', `Could not open the spreadsheet: ${error.message}`, 502);
+      });
+    }
+    await loaded;
+
+    return doc.sheetsByTitle[tab] || doc.addSheet({ title: tab, headerValues: TABS[tab].headers });
+  };
+
+  return {
+    upsertRows: async (tab, rows) => {
+      try {
+        const sheet = await getSheet(tab);
+        const stored = await sheet.getRows();
+        const plan = planUpsert(tab, stored.map(row => toCells(TABS[tab].headers, row.toObject())), rows);
+
+        for (const { position, cells } of plan.updates) {
+          stored[position].assign(cells);
+          await stored[position].save();
+        }
+        if (plan.inserts.length > 0) {
+          await sheet.addRows(plan.inserts);
+        }
+
+        return summarize(plan);
+      } catch (error) {
+        if (error instanceof SheetsError) throw error;
+        throw new SheetsError('sheets_write_failed', `Could not write the ${tab} tab: ${error.message}`, 502);
+      }
+    }
+  };
+};
+
+export const createMemorySheetsClient = () => {
+  const tabs = {};
+
+  return {
+    tabs,
+    upsertRows: async (tab, rows) => {
+      const stored = tabs[tab] || (tabs[tab] = []);
+      const plan = planUpsert(tab, stored, rows);
+
+      plan.updates.forEach(({ position, cells }) => {
+        stored[position] = cells;
+      });
+      stored.push(...plan.inserts);
+
+      return summarize(plan);
+    }
+  };
+};
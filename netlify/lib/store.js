@@ -0,0 +1,34 @@
+// JSON key/value store shared by the Netlify functions. Production uses
+// Netlify Blobs; createMemoryStore() stands in when running offline.
+import { connectLambda, getStore } from '@netlify/blobs';
+
+const STORE_NAME = 'nfl-pickem';
+
+export const openStore = (event) => {
+  // Lambda-style handlers have to hand the Blobs context over explicitly
+  if (event?.blobs) {
+    connectLambda(event);
+  }
+  const store = getStore(STORE_NAME);
+
+  return {
+    get: (key) => store.get(key, { type: 'json' }),
+    set: (key, value) => store.setJSON(key, value),
+    list: async (prefix) => {
+      const { blobs } = await store.list({ prefix });
+      return blobs.map(blob => blob.key);
+    }
+  };
+};
+
+export const createMemoryStore = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+
+  return {
+    get: async (key) => (data.has(key) ? structuredClone(data.get(key)) : null),
+    set: async (key, value) => {
+      data.set(key, structuredClone(value));
+    },
+    list: async (prefix = '') => [...data.keys()].filter(key => key.startsWith(prefix))
+  };
+};
@@ -0,0 +1,128 @@
+// Service worker: keeps the app shell and each week's last schedule
+// available offline, and shows pick reminders pushed by send-reminders.
+// Pick saves are queued by the app itself (see src/lib/outbox.js), so POSTs
+// pass straight through.
+
+const SHELL_CACHE = 'pickem-shell-v2';
+const DATA_CACHE = 'pickem-data-v2';
+
+const SHELL_FILES = ['/', '/index.html', '/manifest.json', '/icon.svg'];
+
+// Function responses worth keeping for offline use, one entry per URL and
+// league (so per week for the schedule)
+const CACHED_FUNCTIONS = ['/.netlify/functions/games', '/.netlify/functions/current-week'];
+
+// The app sends the league in a header, which the cache doesn't key on, so
+// it goes into the cached URL instead; otherwise one league's week could be
+// served to another offline
+const leagueCacheKey = (request) => {
+  const url = new URL(request.url);
+  url.searchParams.set('league', request.headers.get('X-League-Id') || '');
+  return url.href;
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys
+          .filter(key => key !== SHELL_CACHE && key !== DATA_CACHE)
+          .map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+// Network first, falling back to whatever was cached last under key (the
+// request itself by default)
+const networkFirst = async (request, cacheName, key = request) => {
+  const cache = await caches.open(cacheName);
+  try {
+    const response = await fetch(request);
+    if (response.ok) {
+      cache.put(key, response.clone());
+    }
+    return response;
+  } catch (error) {
+    const cached = await cache.match(key);
+    if (cached) return cached;
+    throw error;
+  }
+};
+
+// Built assets have hashed names, so a cached copy never goes stale
+const cacheFirst = async (request) => {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+
+  // Every page is the single-page app, including /2025/reg/7 deep links
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request, SHELL_CACHE, '/index.html'));
+    return;
+  }
+
+  if (CACHED_FUNCTIONS.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, DATA_CACHE, leagueCacheKey(request)));
+    return;
+  }
+
+  if (url.pathname.startsWith('/assets/')) {
+    event.respondWith(cacheFirst(request));
+    return;
+  }
+
+  if (SHELL_FILES.includes(url.pathname)) {
+    event.respondWith(networkFirst(request, SHELL_CACHE));
+  }
+});
+
+// Reminders arrive as { title, body, url }
+self.addEventListener('push', (event) => {
+  const reminder = event.data ? event.data.json() : {};
+  event.waitUntil(
+    self.registration.showNotification(reminder.title || "NFL Pick'em", {
+      body: reminder.body || 'You have picks to make!',
+      icon: '/icon.svg',
+      tag: 'pick-reminder',
+      data: { url: reminder.url || '/' }
+    })
+  );
+});
+
+// Tapping a reminder brings the app up on the week it was about
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const url = new URL(event.notification.data?.url || '/', self.location.origin).href;
+
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then(windows => {
+      const open = windows.find(client => client.url.startsWith(self.location.origin));
+      if (open) {
+        return open.navigate(url).then(client => (client || open).focus());
+      }
+      return self.clients.openWindow(url);
+    })
+  );
+});
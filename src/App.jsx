@@ -1,232 +1,610 @@
 import React, { useState, useEffect } from 'react';
-import { Trophy, Calendar, User, Target, RefreshCw, Wifi, WifiOff, Download } from 'lucide-react';
+import { Trophy, Calendar, User, Target, RefreshCw, Wifi, WifiOff, Download, Lock, Clock, ShieldCheck, UploadCloud, Undo2, Redo2 } from 'lucide-react';
+import AdminConsole from './components/AdminConsole';
+import AuditLog from './components/AuditLog';
+import LeagueManager from './components/LeagueManager';
+import LiveLeaderboard from './components/LiveLeaderboard';
+import PickGrid from './components/PickGrid';
+import PickHistory from './components/PickHistory';
+import PickTransfer from './components/PickTransfer';
+import PinPrompt from './components/PinPrompt';
+import PlayerProfile from './components/PlayerProfile';
+import QuickFill from './components/QuickFill';
+import ReminderSettings from './components/ReminderSettings';
+import RosterManager from './components/RosterManager';
+import ScoringRules from './components/ScoringRules';
+import SeasonStandings from './components/SeasonStandings';
+import { createLeague, fetchCurrentWeek, fetchLeague, fetchPinPlayers, fetchScoringRules, fetchSeasonExport, fetchWeekGames, joinLeague, reportUrl, rescoreWeek, saveScoringRules, setPlayerPin, setResultOverride, setTiebreakerGame, updateLeague, verifyAdminPin, verifyPlayerPin } from './lib/api';
+import { visiblePicks } from './lib/consensus';
+import { historyCSV, pickEvents, reapplyEvents, revertEvents } from './lib/history';
+import { isInProgress, pickStatus } from './lib/live';
+import { CURRENT_LEAGUE_KEY, currentLeagueId, DEFAULT_LEAGUE_ID, leagueStorageKey } from './lib/leagues';
+import { formatCountdown, isLocked, isPickKeyLocked } from './lib/locks';
+import { flushOutbox, isOutboxAvailable, pendingCount, queueSave } from './lib/outbox';
+import { isVoided, OVERRIDE_RESULTS } from './lib/overrides';
+import { hasNewerEntries, mergeRecords, stampChanges } from './lib/picks';
+import { previewQuickFill, undoQuickFill } from './lib/quickfill';
+import { buildRecap } from './lib/recap';
+import { hasMissingPicks, missingPicks, reminderText } from './lib/reminders';
+import { renderPickSheetHTML, renderRecapHTML } from './lib/reports';
+import { activePlayers, DEFAULT_ROSTER, EMPTY_ROSTER, playerName } from './lib/roster';
+import { confidenceKey, confidenceValues, DEFAULT_RULES, isUnderdog, normalizeRules, SCORING_RULES, spreadLabel, TIE_SCORING, validatePicks } from './lib/rules';
+import { groupBySlot } from './lib/schedule';
+import { scoreWeek } from './lib/scoring';
+import { createStorageFromEnv } from './lib/storage';
+import { parseImport, pickGridCSV, picksCSV, previewImport } from './lib/transfer';
+import { guessWeekRef, nextWeekRef, pathForWeekRef, prevWeekRef, SEASON_TYPES, seasonForDate, weekKey, weekLabel, weekRefFromPath } from './lib/weeks';
 
-const kids = ['Brixon', 'Jace', 'Knox', 'Makena', 'Cal', 'Will'];
+// The league's shared picks and roster live here; see lib/storage
+const storage = createStorageFromEnv();
+
+// Everything saved on the device belongs to a league. The default league
+// still finds what was saved before leagues existed under the bare key.
+const loadLocal = (leagueId, key) => {
+  const saved = localStorage.getItem(leagueStorageKey(leagueId, key))
+    ?? (leagueId === DEFAULT_LEAGUE_ID ? localStorage.getItem(key) : null);
+  return saved ? JSON.parse(saved) : null;
+};
+
+const saveLocal = (leagueId, key, value) => {
+  localStorage.setItem(leagueStorageKey(leagueId, key), JSON.stringify(value));
+};
+
+// The leagues this device has joined
+const loadLocalLeagues = () => {
+  const saved = localStorage.getItem('leagues');
+  return saved ? JSON.parse(saved) : [{ id: DEFAULT_LEAGUE_ID, name: 'Family League' }];
+};
+
+const loadLocalRoster = (leagueId) => (
+  loadLocal(leagueId, 'roster') || (leagueId === DEFAULT_LEAGUE_ID ? DEFAULT_ROSTER : EMPTY_ROSTER)
+);
+
+const rulesStorageKey = (season) => `${season}-scoring-rules`;
+
+const loadLocalRules = (leagueId, season) => normalizeRules(loadLocal(leagueId, rulesStorageKey(season)) || DEFAULT_RULES);
+
+// Last schedule seen for a week, shown when the server can't be reached
+const gamesStorageKey = (ref) => `${weekKey(ref)}-games`;
+
+const picksStorageKey = (ref) => `${weekKey(ref)}-picks`;
+const stampsStorageKey = (ref) => `${weekKey(ref)}-pick-stamps`;
+const historyStorageKey = (ref) => `${weekKey(ref)}-pick-history`;
+
+// Undo goes back this many saves
+const UNDO_LIMIT = 50;
+
+// Picks saved before weeks carried a season live under week{n}-picks;
+// treat them as this season's regular season
+const loadLocalPicks = (leagueId, ref) => {
+  const saved = loadLocal(leagueId, picksStorageKey(ref));
+  if (saved) return saved;
+  
+  if (ref.type === 'reg' && ref.season === seasonForDate()) {
+    return loadLocal(leagueId, `week${ref.week}-picks`) || {};
+  }
+  return {};
+};
+
+// Hand the browser a file to save
+const downloadFile = (fileName, text, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
 
 const NFLPickemApp = () => {
-  const [currentWeek, setCurrentWeek] = useState(1);
+  const [leagueId, setLeagueId] = useState(currentLeagueId);
+  const [leagues, setLeagues] = useState(loadLocalLeagues);
+  const [currentWeek, setCurrentWeek] = useState(() => weekRefFromPath(window.location.pathname) || guessWeekRef());
   const [selectedKid, setSelectedKid] = useState('');
   const [games, setGames] = useState([]);
+  const [tiebreakerOverride, setTiebreakerOverride] = useState(null);
   const [picks, setPicks] = useState({});
+  const [stamps, setStamps] = useState({});
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
+  const [staleSince, setStaleSince] = useState(null);
   const [lastUpdated, setLastUpdated] = useState(null);
-  const [sheetsConnected, setSheetsConnected] = useState(false);
+  const [storageStatus, setStorageStatus] = useState({ ok: false, checking: true });
+  const [syncError, setSyncError] = useState(null);
+  const [sheetsError, setSheetsError] = useState(null);
+  const [pendingSyncs, setPendingSyncs] = useState(0);
+  const [now, setNow] = useState(Date.now());
+  const [view, setView] = useState('week');
+  const [roster, setRoster] = useState(() => loadLocalRoster(leagueId));
+  const [rules, setRules] = useState(() => loadLocalRules(leagueId, currentWeek.season));
+  const [pinPlayers, setPinPlayers] = useState([]);
+  const [unlockedPins, setUnlockedPins] = useState({});
+  const [adminPin, setAdminPin] = useState(null);
+  const [pinPrompt, setPinPrompt] = useState(null);
+  const [showTransfer, setShowTransfer] = useState(false);
+  const [importPreview, setImportPreview] = useState(null);
+  const [quickFill, setQuickFill] = useState(null);
+  const [lastQuickFill, setLastQuickFill] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [undoStack, setUndoStack] = useState([]);
+  const [redoStack, setRedoStack] = useState([]);
 
-  // Check if Google Sheets is available
+  // Move to a week and keep the address bar in step for deep links
+  const goToWeek = (ref, { replace = false } = {}) => {
+    window.history[replace ? 'replaceState' : 'pushState'](null, '', pathForWeekRef(ref));
+    setCurrentWeek(ref);
+  };
+
+  // Open on the current week unless the address asked for a specific one
   useEffect(() => {
-    const checkSheetsConnection = () => {
-      const hasSheetId = window.GOOGLE_SHEET_ID && window.GOOGLE_SHEET_ID !== 'YOUR_SHEET_ID_HERE';
-      const hasFunctions = window.saveToGoogleSheets && window.loadFromGoogleSheets;
-      setSheetsConnected(hasSheetId && hasFunctions);
-    };
+    if (weekRefFromPath(window.location.pathname)) return;
     
-    checkSheetsConnection();
+    window.history.replaceState(null, '', pathForWeekRef(currentWeek));
+    fetchCurrentWeek()
+      .then(({ season, type, week }) => goToWeek({ season, type, week }, { replace: true }))
+      .catch(err => console.warn('Could not detect the current week, using the calendar guess:', err));
+  }, []);
+
+  // Back and forward buttons move between weeks
+  useEffect(() => {
+    const onPopState = () => {
+      const ref = weekRefFromPath(window.location.pathname);
+      if (ref) setCurrentWeek(ref);
+    };
     
-    // Check again after a short delay in case scripts are still loading
-    setTimeout(checkSheetsConnection, 1000);
+    window.addEventListener('popstate', onPopState);
+    return () => window.removeEventListener('popstate', onPopState);
   }, []);
 
-  // Fetch NFL games from ESPN API
+  // Shared data syncs while the storage backend answers; parent tools,
+  // season exports and the like need it to be the server
+  const storageReady = storageStatus.ok;
+  const serverConnected = storage.remote && storageStatus.ok;
+  
+  // Who is looking, so the server hands back their own picks for games that
+  // haven't locked (and everyone's to a parent)
+  const viewerAuth = { playerId: selectedKid, pin: unlockedPins[selectedKid], adminPin };
+  
+  const checkStorage = async () => {
+    setStorageStatus(await storage.check(leagueId));
+  };
+  
+  // A save that never got an answer means the backend is down until the
+  // next check says otherwise
+  const noteStorageError = (err) => {
+    if (err?.code === 'network_error') {
+      setStorageStatus({ ok: false, error: err.message });
+    }
+  };
+  
+  // The store has a save once the server answers; the league's Google
+  // Sheet only mirrors it, so a sheet that didn't update is its own warning.
+  // The next save writes the mirror again.
+  const noteSaved = (result) => {
+    setSheetsError(result?.sheetsError?.message || null);
+  };
+  
+  // Check the backend for this league now and whenever the browser comes
+  // back online
+  useEffect(() => {
+    checkStorage();
+    window.addEventListener('online', checkStorage);
+    return () => window.removeEventListener('online', checkStorage);
+  }, [leagueId]);
+  
+  // While it's down, keep trying once a minute
+  useEffect(() => {
+    if (storageStatus.ok || storageStatus.checking) return;
+    
+    const interval = setInterval(checkStorage, 60 * 1000);
+    return () => clearInterval(interval);
+  }, [leagueId, storageStatus.ok, storageStatus.checking]);
+
+  // Fetch NFL games from the results store kept fresh by update-scores
   const fetchNFLGames = async (week) => {
     setLoading(true);
     setError(null);
     
+    // Show this device's copy straight away; the server's answer replaces it
+    const saved = loadLocal(leagueId, gamesStorageKey(week));
+    if (saved) {
+      setGames(saved.games);
+      setTiebreakerOverride(saved.tiebreakerOverride);
+    } else {
+      // Every good answer is saved, so whatever is on screen is another week's
+      setGames([]);
+    }
+    
     try {
-      const response = await fetch(
-        `https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard?seasontype=2&week=${week}`
-      );
-      
-      if (!response.ok) {
-        throw new Error(`HTTP error! status: ${response.status}`);
-      }
-      
-      const data = await response.json();
-      
-      const formattedGames = data.events.map(event => {
-        const competition = event.competitions[0];
-        const homeTeam = competition.competitors.find(team => team.homeAway === 'home');
-        const awayTeam = competition.competitors.find(team => team.homeAway === 'away');
-        
-        // Format game time
-        const gameDate = new Date(event.date);
-        const timeString = gameDate.toLocaleDateString('en-US', { 
-          weekday: 'short', 
-          month: 'short', 
-          day: 'numeric',
-          hour: 'numeric',
-          minute: '2-digit',
-          timeZone: 'America/New_York'
-        });
-        
-        // Check if game is completed and get winner
-        const isCompleted = competition.status.type.completed;
-        let winner = null;
-        if (isCompleted) {
-          const homeScore = parseInt(homeTeam.score);
-          const awayScore = parseInt(awayTeam.score);
-          if (homeScore > awayScore) {
-            winner = homeTeam.team.abbreviation;
-          } else if (awayScore > homeScore) {
-            winner = awayTeam.team.abbreviation;
-          }
-        }
-        
-        return {
-          id: event.id,
-          away: awayTeam.team.abbreviation,
-          home: homeTeam.team.abbreviation,
-          awayTeam: awayTeam.team.displayName,
-          homeTeam: homeTeam.team.displayName,
-          time: timeString,
-          completed: isCompleted,
-          winner: winner,
-          homeScore: homeTeam.score,
-          awayScore: awayTeam.score,
-          // Mark Monday night game as tiebreaker
-          tiebreaker: gameDate.getDay() === 1 // Monday
-        };
-      });
-      
-      // Sort games by date
-      formattedGames.sort((a, b) => new Date(a.time) - new Date(b.time));
+      const { games: formattedGames, tiebreakerOverride: override, stale, checkedAt, updatedAt } = await fetchWeekGames(week);
       
       setGames(formattedGames);
+      setTiebreakerOverride(override);
+      setStaleSince(stale ? (checkedAt || updatedAt) : null);
       setLastUpdated(new Date().toLocaleTimeString());
+      saveLocal(leagueId, gamesStorageKey(week), { games: formattedGames, tiebreakerOverride: override, savedAt: new Date().toISOString() });
       
-      // Save to Google Sheets if available
-      if (sheetsConnected && window.saveToGoogleSheets) {
+      // Mirror the schedule to the league's storage
+      if (storageReady) {
         try {
-          await window.saveToGoogleSheets('schedule', { week, games: formattedGames });
+          noteSaved(await storage.save('schedule', { week, games: formattedGames }, leagueId));
         } catch (err) {
-          console.warn('Could not save to Google Sheets:', err);
+          console.warn('Could not save the schedule:', err);
+          noteStorageError(err);
+          setSyncError(err.message);
         }
       }
       
     } catch (err) {
       console.error('Error fetching NFL games:', err);
-      setError('Failed to load games. Please try again.');
+      if (saved) {
+        setStaleSince(saved.savedAt);
+      } else {
+        setGames([]);
+        setError('Failed to load games. Please try again.');
+      }
     } finally {
       setLoading(false);
     }
   };
 
-  // Load picks from localStorage and Google Sheets
+  // Load picks from localStorage and the league's storage
   const loadPicks = async (week) => {
     try {
       // Load from localStorage first
-      const savedPicks = localStorage.getItem(`week${week}-picks`);
-      let localPicks = {};
-      if (savedPicks) {
-        localPicks = JSON.parse(savedPicks);
-      }
+      let record = {
+        picks: loadLocalPicks(leagueId, week),
+        stamps: loadLocal(leagueId, stampsStorageKey(week)) || {}
+      };
       
-      // Load from Google Sheets if available
-      if (sheetsConnected && window.loadFromGoogleSheets) {
+      if (storageReady) {
         try {
-          const sheetPicks = await window.loadFromGoogleSheets('picks', week);
-          // Merge with local picks (Google Sheets takes precedence)
-          localPicks = { ...localPicks, ...sheetPicks };
+          const storedRecord = await storage.load('picks', week, leagueId, viewerAuth);
+          if (storedRecord) {
+            // Merge pick by pick, keeping whichever side changed it last
+            const localIsNewer = hasNewerEntries(record, storedRecord);
+            record = mergeRecords(record, storedRecord);
+            
+            saveLocal(leagueId, picksStorageKey(week), record.picks);
+            saveLocal(leagueId, stampsStorageKey(week), record.stamps);
+            
+            // Push edits this device made while out of sync
+            if (localIsNewer) {
+              noteSaved(await storage.save('picks', { week, ...record, auth: viewerAuth }, leagueId));
+            }
+          }
         } catch (err) {
-          console.warn('Could not load from Google Sheets:', err);
+          console.warn('Could not load picks:', err);
+          noteStorageError(err);
         }
       }
       
-      setPicks(localPicks);
+      setPicks(record.picks);
+      setStamps(record.stamps);
+      setHistory(loadLocal(leagueId, historyStorageKey(week)) || []);
     } catch (err) {
       console.error('Error loading picks:', err);
     }
   };
 
-  // Save picks to localStorage and Google Sheets
-  const savePicks = async (newPicks) => {
+  // Save picks to localStorage and the league's storage. Every change is logged
+  // as a history event, and the save becomes one undo step unless it is
+  // itself an undo or redo.
+  const savePicks = async (newPicks, { reason, undoable = true } = {}) => {
     try {
+      const at = new Date().toISOString();
+      const newStamps = stampChanges(picks, newPicks, stamps, at);
+      const events = pickEvents(picks, newPicks, at);
+      const newHistory = [...history, ...events];
+      
       // Save to localStorage
-      localStorage.setItem(`week${currentWeek}-picks`, JSON.stringify(newPicks));
+      saveLocal(leagueId, picksStorageKey(currentWeek), newPicks);
+      saveLocal(leagueId, stampsStorageKey(currentWeek), newStamps);
+      saveLocal(leagueId, historyStorageKey(currentWeek), newHistory);
       
-      // Save to Google Sheets if available
-      if (sheetsConnected && window.saveToGoogleSheets) {
+      const payload = {
+        week: currentWeek,
+        picks: newPicks,
+        stamps: newStamps,
+        auth: { playerId: selectedKid, pin: unlockedPins[selectedKid], adminPin, reason }
+      };
+      
+      if (storage.remote && isOutboxAvailable()) {
+        // Queue every save, reachable or not, so saves reach the server in
+        // the order made; the queue is sent once the server answers again
+        await queueSave('picks', payload, leagueId);
+        if (serverConnected) {
+          syncOutbox();
+        } else {
+          setPendingSyncs(await pendingCount());
+        }
+      } else if (storageReady) {
         try {
-          await window.saveToGoogleSheets('picks', {
-            week: currentWeek,
-            picks: newPicks
-          });
+          noteSaved(await storage.save('picks', payload, leagueId));
+          setSyncError(null);
         } catch (err) {
-          console.warn('Could not save to Google Sheets:', err);
+          console.warn('Could not save picks:', err);
+          noteStorageError(err);
+          setSyncError(err.message);
         }
       }
       
       setPicks(newPicks);
+      setStamps(newStamps);
+      setHistory(newHistory);
+      
+      if (undoable && events.length > 0) {
+        setUndoStack([...undoStack, events].slice(-UNDO_LIMIT));
+        setRedoStack([]);
+      }
     } catch (err) {
       console.error('Error saving picks:', err);
     }
   };
 
-  // Calculate scores and winners
-  const calculateResults = () => {
-    const scores = {};
-    const details = {};
+  // Undo and redo leave alone anything that has locked since, outside
+  // parent mode
+  const canRewind = (player, key) => !!adminPin || !isPickKeyLocked(key, games);
+
+  const undo = async () => {
+    const batch = undoStack[undoStack.length - 1];
+    await savePicks(revertEvents(picks, batch, canRewind), { undoable: false });
+    setUndoStack(undoStack.slice(0, -1));
+    setRedoStack([...redoStack, batch]);
+  };
+
+  const redo = async () => {
+    const batch = redoStack[redoStack.length - 1];
+    await savePicks(reapplyEvents(picks, batch, canRewind), { undoable: false });
+    setRedoStack(redoStack.slice(0, -1));
+    setUndoStack([...undoStack, batch]);
+  };
+
+  // Queued saves are kept without PINs. Put back the ones this session
+  // knows and ask again for any it doesn't; until someone types one in the
+  // save waits in the queue.
+  const sendQueued = async (type, data, league) => {
+    if (!data.auth) return storage.save(type, data, league);
+    
+    const { parent, ...auth } = data.auth;
+    const pinNeeded = (message) => Object.assign(new Error(message), { code: 'pin_needed' });
+    
+    if (parent || auth.adminPin) {
+      const pin = auth.adminPin || adminPin || await askPin('Parent PIN to send the changes saved offline');
+      if (!pin) throw pinNeeded('Waiting for the parent PIN to send the changes saved offline');
+      return storage.save(type, { ...data, auth: { ...auth, adminPin: pin } }, league);
+    }
+    
+    if (auth.playerId && pinPlayers.includes(auth.playerId) && !auth.pin) {
+      const pin = unlockedPins[auth.playerId] || await askPin(`PIN for ${nameOf(auth.playerId)} to send their picks saved offline`);
+      if (!pin) throw pinNeeded(`Waiting for ${nameOf(auth.playerId)}'s PIN to send their picks saved offline`);
+      return storage.save(type, { ...data, auth: { ...auth, pin } }, league);
+    }
+    
+    return storage.save(type, { ...data, auth }, league);
+  };
+  
+  // Replay saves queued while offline, oldest first
+  const syncOutbox = async () => {
+    if (!isOutboxAvailable() || !storage.remote) return;
     
-    kids.forEach(kid => {
-      scores[kid] = 0;
-      details[kid] = { correct: [], incorrect: [], pending: [] };
+    try {
+      const { sent, rejected, remaining, error: sendError, sheetsError: mirrorError } = await flushOutbox(sendQueued);
+      setPendingSyncs(remaining);
+      if (sent > 0) noteSaved({ sheetsError: mirrorError });
       
-      if (picks[kid]) {
-        games.forEach(game => {
-          const kidPick = picks[kid][game.id];
-          if (kidPick) {
-            if (game.completed) {
-              if (kidPick === game.winner) {
-                scores[kid]++;
-                details[kid].correct.push(game);
-              } else {
-                details[kid].incorrect.push(game);
-              }
-            } else {
-              details[kid].pending.push(game);
-            }
-          }
-        });
+      if (sendError?.code === 'network_error') {
+        console.warn('Picks queued until the connection is back:', sendError);
+        noteStorageError(sendError);
+      } else if (sendError) {
+        setSyncError(sendError.message);
+      } else if (rejected.length > 0) {
+        setSyncError(rejected[rejected.length - 1].error.message);
+      } else {
+        setSyncError(null);
       }
-    });
+    } catch (err) {
+      console.error('Error replaying queued saves:', err);
+    }
+  };
+  
+  // Load the roster, keeping whichever copy was changed last
+  const loadRoster = async () => {
+    if (!storageReady) return;
     
-    return { scores, details };
-  };
-
-  // Export data for manual Google Sheets entry
-  const exportData = () => {
-    const { scores } = calculateResults();
-    const exportData = {
-      week: currentWeek,
-      timestamp: new Date().toLocaleString(),
-      picks: picks,
-      games: games.map(g => ({
-        id: g.id,
-        away: g.away,
-        home: g.home,
-        completed: g.completed,
-        winner: g.winner,
-        awayScore: g.awayScore,
-        homeScore: g.homeScore
-      })),
-      standings: scores
-    };
+    try {
+      const storedRoster = await storage.load('roster', null, leagueId);
+      if (storedRoster && (storedRoster.updatedAt || '') > (roster.updatedAt || '')) {
+        saveLocal(leagueId, 'roster', storedRoster);
+        setRoster(storedRoster);
+      }
+    } catch (err) {
+      console.warn('Could not load the roster:', err);
+      noteStorageError(err);
+    }
+  };
+
+  // Save the roster to localStorage and the league's storage
+  const saveRoster = async (newRoster) => {
+    const stamped = { ...newRoster, updatedAt: new Date().toISOString() };
+    saveLocal(leagueId, 'roster', stamped);
+    setRoster(stamped);
+    
+    if (storageReady) {
+      try {
+        noteSaved(await storage.save('roster', { roster: stamped, auth: { adminPin } }, leagueId));
+        setSyncError(null);
+      } catch (err) {
+        console.warn('Could not save the roster:', err);
+        noteStorageError(err);
+        setSyncError(err.message);
+      }
+    }
+  };
+
+  // The league's scoring rules for the season on screen
+  const loadRules = async (season) => {
+    setRules(loadLocalRules(leagueId, season));
+    if (!serverConnected) return;
     
-    // Create downloadable JSON file
-    const dataStr = JSON.stringify(exportData, null, 2);
-    const dataBlob = new Blob([dataStr], {type: 'application/json'});
-    const url = URL.createObjectURL(dataBlob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = `nfl-pickem-week-${currentWeek}.json`;
-    link.click();
+    try {
+      const seasonRules = await fetchScoringRules(season);
+      saveLocal(leagueId, rulesStorageKey(season), seasonRules);
+      setRules(seasonRules);
+    } catch (err) {
+      console.warn('Could not load scoring rules:', err);
+    }
+  };
+
+  const saveRules = async (newRules) => {
+    const saved = await saveScoringRules(currentWeek.season, newRules, adminPin);
+    saveLocal(leagueId, rulesStorageKey(currentWeek.season), saved);
+    setRules(saved);
+  };
+
+  // Active players plus anyone inactive who still has picks this week
+  const kids = roster.players
+    .filter(player => player.active || picks[player.id])
+    .map(player => player.id);
+  const nameOf = (id) => playerName(roster, id);
+
+  // Calculate scores and winners
+  const calculateResults = () => scoreWeek({ players: kids, games, picks, rules });
+
+  // Download this week's picks as JSON, a row-per-pick CSV or a pick grid,
+  // leaving out what the pick grid would hide
+  const exportWeek = (format) => {
+    const fileName = `nfl-pickem-${weekKey(currentWeek)}`;
+    const shown = visiblePicks(picks, games, { viewer: selectedKid, admin: !!adminPin, now });
+    
+    if (format === 'json') {
+      const { scores } = scoreWeek({ players: kids, games, picks: shown, rules });
+      const data = {
+        week: currentWeek,
+        timestamp: new Date().toLocaleString(),
+        rules: { ...rules, label: SCORING_RULES[rules.type].label },
+        picks: shown,
+        games: games.map(g => ({
+          id: g.id,
+          away: g.away,
+          home: g.home,
+          completed: g.completed,
+          winner: g.winner,
+          odds: g.odds,
+          awayScore: g.awayScore,
+          homeScore: g.homeScore
+        })),
+        standings: scores
+      };
+      downloadFile(`${fileName}.json`, JSON.stringify(data, null, 2), 'application/json');
+      return;
+    }
     
-    // Also show in console for copying
-    console.log('=== WEEK ' + currentWeek + ' DATA FOR GOOGLE SHEETS ===');
-    console.log(dataStr);
-    console.log('=== END DATA ===');
+    const weeks = [{ key: weekKey(currentWeek), games, picks: shown }];
+    const csv = format === 'grid' ? pickGridCSV(weeks, kids, nameOf) : picksCSV(weeks, kids, nameOf, rules);
+    downloadFile(`${fileName}-${format === 'grid' ? 'grid' : 'picks'}.csv`, csv, 'text/csv');
+  };
+
+  // The history events the viewer can see, as a spreadsheet
+  const exportHistory = (events) => {
+    downloadFile(`nfl-pickem-${weekKey(currentWeek)}-history.csv`, historyCSV(events, games, nameOf), 'text/csv');
   };
 
+  // Whole seasons come from the server, which has every week's picks
+  const exportSeason = async (format) => {
+    if (!serverConnected) {
+      throw new Error('Season exports need a connection to the server');
+    }
+    const csv = await fetchSeasonExport(currentWeek.season, format, viewerAuth);
+    downloadFile(`nfl-pickem-${currentWeek.season}-${format === 'grid' ? 'grid' : 'picks'}.csv`, csv, 'text/csv');
+  };
+
+  // The recap and pick sheet render here from what's on screen, so they
+  // work offline; the shared link has the report function build the same page
+  const openReport = (kind) => {
+    const leagueName = leagues.find(l => l.id === leagueId)?.name;
+    const html = kind === 'sheet'
+      ? renderPickSheetHTML({ ref: currentWeek, games, rules, leagueName })
+      : renderRecapHTML(buildRecap({ ref: currentWeek, players: kids, games, picks, rules, nameOf }), { leagueName });
+    
+    const url = URL.createObjectURL(new Blob([html], { type: 'text/html' }));
+    if (!window.open(url, '_blank')) {
+      URL.revokeObjectURL(url);
+      throw new Error('Allow pop-ups for this site to open the page');
+    }
+    setTimeout(() => URL.revokeObjectURL(url), 60000);
+  };
+
+  const shareReport = async (kind) => {
+    if (!navigator.clipboard) {
+      throw new Error('Copying links isn\'t supported in this browser');
+    }
+    await navigator.clipboard.writeText(reportUrl(kind, currentWeek));
+  };
+
+  // Read an exported file and work out what it would change this week.
+  // Locked games and other players' PINs are left to parent mode, the same
+  // as the server would insist on.
+  const startImport = async (file) => {
+    const entries = parseImport(await file.text(), file.name);
+    const canChange = (player, key) => !!adminPin || (
+      !isPickKeyLocked(key, games)
+      && (!pinPlayers.includes(player) || (player === selectedKid && !!unlockedPins[player]))
+    );
+    
+    setImportPreview({
+      fileName: file.name,
+      ...previewImport(entries, { ref: currentWeek, games, roster, picks, canChange })
+    });
+  };
+
+  const confirmImport = async () => {
+    await savePicks(importPreview.picks);
+    setImportPreview(null);
+  };
+
+  // Coin flips are seeded by week, player and how many times they've
+  // flipped, so the preview and what gets saved always agree
+  const previewFill = (kind, { flip, templatePlayer } = {}) => {
+    setQuickFill({
+      player: selectedKid,
+      ...previewQuickFill(kind, {
+        games,
+        playerPicks: picks[selectedKid],
+        now: Date.now(),
+        seed: `${weekKey(currentWeek)}:${selectedKid}:${flip}`,
+        template: picks[templatePlayer]
+      })
+    });
+  };
+
+  // The whole fill goes out as one save
+  const confirmFill = async () => {
+    await savePicks({ ...picks, [quickFill.player]: quickFill.playerPicks });
+    setLastQuickFill(quickFill);
+    setQuickFill(null);
+  };
+
+  const undoFill = async () => {
+    const { player } = lastQuickFill;
+    await savePicks({ ...picks, [player]: undoQuickFill(lastQuickFill, picks[player], games, Date.now()) });
+    setLastQuickFill(null);
+  };
+
+  // A fill and the undo steps belong to one player's week
+  useEffect(() => {
+    setQuickFill(null);
+    setLastQuickFill(null);
+    setUndoStack([]);
+    setRedoStack([]);
+  }, [selectedKid, currentWeek, leagueId]);
+
+  // Tick the lock countdowns
+  useEffect(() => {
+    const interval = setInterval(() => setNow(Date.now()), 30 * 1000);
+    return () => clearInterval(interval);
+  }, []);
+
   // Auto-refresh every 5 minutes during game days
   useEffect(() => {
     const interval = setInterval(() => {
@@ -239,16 +617,234 @@ const NFLPickemApp = () => {
     }, 5 * 60 * 1000); // 5 minutes
 
     return () => clearInterval(interval);
-  }, [currentWeek, sheetsConnected]);
+  }, [currentWeek, leagueId, storageReady]);
+
+  // Count what's queued, and send it whenever the server answers: now if it
+  // does, else once checkStorage (rerun by the online event) finds it back
+  useEffect(() => {
+    if (!storage.remote || !isOutboxAvailable()) return;
+    
+    pendingCount().then(setPendingSyncs).catch(() => {});
+    if (!serverConnected) return;
+    syncOutbox();
+    
+    window.addEventListener('online', syncOutbox);
+    return () => window.removeEventListener('online', syncOutbox);
+  }, [serverConnected, adminPin, unlockedPins]);
+
+  useEffect(() => {
+    loadRoster();
+    if (serverConnected) {
+      fetchPinPlayers()
+        .then(setPinPlayers)
+        .catch(err => console.warn('Could not load PIN settings:', err));
+      fetchLeague()
+        .then(rememberLeague)
+        .catch(err => console.warn('Could not load league details:', err));
+    }
+  }, [leagueId, storageReady]);
+
+  // Remember a league on this device, or refresh its name and join code
+  const rememberLeague = (league) => {
+    const entry = { id: league.id, name: league.name, joinCode: league.joinCode, hasSheet: league.hasSheet };
+    setLeagues(previous => {
+      const next = previous.some(l => l.id === league.id)
+        ? previous.map(l => (l.id === league.id ? entry : l))
+        : [...previous, entry];
+      localStorage.setItem('leagues', JSON.stringify(next));
+      return next;
+    });
+  };
+
+  // Everything on screen belongs to one league, so switching starts over
+  // with that league's roster, picks and rules
+  const switchLeague = (id) => {
+    localStorage.setItem(CURRENT_LEAGUE_KEY, id);
+    setLeagueId(id);
+    setRoster(loadLocalRoster(id));
+    setPicks({});
+    setStamps({});
+    setSelectedKid('');
+    setPinPlayers([]);
+    setUnlockedPins({});
+    setAdminPin(null);
+  };
+
+  const handleCreateLeague = async (name, pin) => {
+    const league = await createLeague(name, pin);
+    rememberLeague(league);
+    switchLeague(league.id);
+  };
+
+  const handleJoinLeague = async (code) => {
+    const league = await joinLeague(code);
+    rememberLeague(league);
+    switchLeague(league.id);
+  };
+
+  const handleUpdateLeague = async (changes) => {
+    rememberLeague(await updateLeague(changes, adminPin));
+  };
+
+  // Drop a league from this device; its data stays on the server
+  const forgetLeague = (id) => {
+    const next = leagues.filter(l => l.id !== id);
+    localStorage.setItem('leagues', JSON.stringify(next));
+    setLeagues(next);
+    if (id === leagueId) switchLeague(DEFAULT_LEAGUE_ID);
+  };
+
+  // Show the PIN pad and resolve with what was typed, or null on cancel
+  const askPin = (title) => new Promise(resolve => setPinPrompt({ title, resolve }));
+
+  const closePinPrompt = (pin) => {
+    pinPrompt.resolve(pin);
+    setPinPrompt(null);
+  };
+
+  // Players with a PIN have to unlock before their picks can be edited
+  const selectKid = async (id) => {
+    if (id && pinPlayers.includes(id) && !unlockedPins[id] && !adminPin) {
+      const pin = await askPin(`PIN for ${nameOf(id)}`);
+      if (!pin) return;
+      
+      try {
+        if (!(await verifyPlayerPin(id, pin))) {
+          alert('That PIN is not right. Try again!');
+          return;
+        }
+      } catch (err) {
+        alert(`Could not check the PIN: ${err.message}`);
+        return;
+      }
+      setUnlockedPins({ ...unlockedPins, [id]: pin });
+    }
+    
+    setSelectedKid(id);
+  };
+
+  // Parent mode can edit anyone's picks, including locked games
+  const toggleParentMode = async () => {
+    if (adminPin) {
+      setAdminPin(null);
+      return;
+    }
+    
+    const pin = await askPin('Parent PIN');
+    if (!pin) return;
+    
+    try {
+      if (!(await verifyAdminPin(pin))) {
+        alert('That parent PIN is not right.');
+        return;
+      }
+      setAdminPin(pin);
+    } catch (err) {
+      alert(`Could not check the PIN: ${err.message}`);
+    }
+  };
+
+  const changePin = async (player, clear = false) => {
+    let auth = adminPin ? { adminPin } : {};
+    if (!adminPin && pinPlayers.includes(player.id)) {
+      const current = unlockedPins[player.id] || await askPin(`Current PIN for ${player.name}`);
+      if (!current) return;
+      auth = { pin: current };
+    }
+    
+    const pin = clear ? null : await askPin(`New PIN for ${player.name} (4-6 digits)`);
+    if (!clear && !pin) return;
+    
+    try {
+      setPinPlayers(await setPlayerPin(player.id, pin, auth));
+      setUnlockedPins({ ...unlockedPins, [player.id]: pin || undefined });
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Parent picks which game settles ties this week; null goes back to the
+  // last game of the week
+  const changeTiebreakerGame = async (gameId) => {
+    try {
+      const record = await setTiebreakerGame(currentWeek, gameId, adminPin);
+      setGames(record.games);
+      setTiebreakerOverride(record.tiebreakerOverride);
+    } catch (err) {
+      alert(`Could not change the tiebreaker game: ${err.message}`);
+    }
+  };
+
+  // Show a week the server just corrected and keep it as this device's copy
+  const showCorrectedWeek = (record) => {
+    setGames(record.games);
+    setTiebreakerOverride(record.tiebreakerOverride);
+    saveLocal(leagueId, gamesStorageKey(currentWeek), {
+      games: record.games,
+      tiebreakerOverride: record.tiebreakerOverride,
+      savedAt: new Date().toISOString()
+    });
+  };
+
+  // Parent corrections from the admin console; they need the server, which
+  // keeps the audit trail
+  const setGameResult = async (gameId, override, reason) => {
+    if (!serverConnected) {
+      throw new Error('Correcting results needs a connection to the server');
+    }
+    showCorrectedWeek(await setResultOverride(currentWeek, gameId, override, reason, adminPin));
+  };
+
+  const saveTieScoring = (ties) => saveRules({ ...rules, ties });
+
+  const saveAdminPick = async (player, key, value, reason) => {
+    if (!serverConnected) {
+      throw new Error('Changing picks with a reason needs a connection to the server');
+    }
+    
+    const newPicks = {
+      ...picks,
+      [player]: {
+        ...picks[player],
+        [key]: key.startsWith('confidence:') ? parseInt(value) : value
+      }
+    };
+    await savePicks(newPicks, { reason });
+  };
+
+  // Fetch the week again, score it and bring the spreadsheet's standings up to date
+  const rescore = async () => {
+    if (!serverConnected) {
+      throw new Error('Re-running scoring needs a connection to the server');
+    }
+    showCorrectedWeek(await rescoreWeek(currentWeek, adminPin));
+    noteSaved(await storage.save('standings', { week: currentWeek }, leagueId));
+  };
+
+  // The admin tab goes away with parent mode
+  useEffect(() => {
+    if (!adminPin && view === 'admin') setView('week');
+  }, [adminPin]);
 
   // Load data when week changes
   useEffect(() => {
     fetchNFLGames(currentWeek);
     loadPicks(currentWeek);
-  }, [currentWeek, sheetsConnected]);
+    setImportPreview(null);
+  }, [currentWeek, leagueId, storageReady]);
+
+  // Other players' open picks only come back to a parent, so ask again
+  // when who is looking changes
+  useEffect(() => {
+    if (serverConnected) loadPicks(currentWeek);
+  }, [selectedKid, adminPin, unlockedPins]);
+
+  useEffect(() => {
+    loadRules(currentWeek.season);
+  }, [currentWeek.season, leagueId, serverConnected]);
 
   const handlePickChange = async (gameId, team) => {
-    if (!selectedKid) return;
+    if (!selectedKid || (!adminPin && isPickKeyLocked(gameId, games))) return;
     
     const newPicks = {
       ...picks,
@@ -262,7 +858,7 @@ const NFLPickemApp = () => {
   };
 
   const handleTiebreakerChange = async (score) => {
-    if (!selectedKid) return;
+    if (!selectedKid || (!adminPin && isPickKeyLocked('tiebreaker', games))) return;
     
     const newPicks = {
       ...picks,
@@ -275,6 +871,28 @@ const NFLPickemApp = () => {
     await savePicks(newPicks);
   };
 
+  // Ranks the selected player has already given to other games
+  const takenRanks = (gameId) => games
+    .filter(game => game.id !== gameId)
+    .map(game => picks[selectedKid]?.[confidenceKey(game.id)])
+    .filter(rank => rank);
+
+  // Confidence ranks can't be shared, so picking a taken rank is refused
+  const handleConfidenceChange = async (gameId, rank) => {
+    if (!selectedKid || (!adminPin && isPickKeyLocked(gameId, games))) return;
+    if (rank && takenRanks(gameId).includes(parseInt(rank))) return;
+    
+    const newPicks = {
+      ...picks,
+      [selectedKid]: {
+        ...picks[selectedKid],
+        [confidenceKey(gameId)]: rank ? parseInt(rank) : null
+      }
+    };
+    
+    await savePicks(newPicks);
+  };
+
   const submitPicks = async () => {
     if (!selectedKid) {
       alert('Please select your name first!');
@@ -283,7 +901,7 @@ const NFLPickemApp = () => {
     
     const kidPicks = picks[selectedKid] || {};
     const gameCount = games.length;
-    const picksCount = Object.keys(kidPicks).filter(key => key !== 'tiebreaker').length;
+    const picksCount = games.filter(game => kidPicks[game.id]).length;
     
     if (picksCount < gameCount) {
       alert(`Please make picks for all ${gameCount} games!`);
@@ -296,18 +914,23 @@ const NFLPickemApp = () => {
       return;
     }
     
+    const problems = validatePicks(rules, games, kidPicks);
+    if (problems.length > 0) {
+      alert(problems.join('\n'));
+      return;
+    }
+    
     // Final save to ensure everything is synced
     await savePicks(picks);
-    alert(`Picks submitted for ${selectedKid}! Good luck! 🏈`);
+    alert(`Picks submitted for ${nameOf(selectedKid)}! Good luck! 🏈`);
   };
 
   const refreshGames = () => {
     fetchNFLGames(currentWeek);
   };
 
-  const { scores, details } = calculateResults();
-  const maxScore = Math.max(...Object.values(scores));
-  const winners = Object.keys(scores).filter(kid => scores[kid] === maxScore);
+  const { scores, details, winners, tiebreaker } = calculateResults();
+  const missing = selectedKid ? missingPicks(games, picks[selectedKid], rules, now) : null;
 
   return (
     <div className="min-h-screen bg-gradient-to-br from-green-50 to-blue-50 p-4">
@@ -317,9 +940,22 @@ const NFLPickemApp = () => {
           <div className="flex items-center justify-between mb-4">
             <h1 className="text-3xl font-bold text-gray-800 flex items-center gap-2">
               <Trophy className="text-yellow-500" />
-              NFL Pick'em - Week {currentWeek}
+              NFL Pick'em - {weekLabel(currentWeek)}
             </h1>
             <div className="flex items-center gap-2">
+              {leagues.length > 1 && (
+                <select
+                  value={leagueId}
+                  onChange={(e) => switchLeague(e.target.value)}
+                  className="px-3 py-2 border rounded-lg text-sm"
+                  title="League"
+                >
+                  {leagues.map(league => (
+                    <option key={league.id} value={league.id}>{league.name}</option>
+                  ))}
+                </select>
+              )}
+              
               <button
                 onClick={refreshGames}
                 disabled={loading}
@@ -334,17 +970,42 @@ const NFLPickemApp = () => {
               </button>
               
               <button
-                onClick={exportData}
-                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 flex items-center gap-2"
+                onClick={() => setShowTransfer(!showTransfer)}
+                className={`px-4 py-2 text-white rounded-lg flex items-center gap-2 ${
+                  showTransfer ? 'bg-green-700 hover:bg-green-800' : 'bg-green-500 hover:bg-green-600'
+                }`}
               >
                 <Download className="w-4 h-4" />
-                Export
+                Export / Import
+              </button>
+              
+              <button
+                onClick={toggleParentMode}
+                className={`px-4 py-2 rounded-lg flex items-center gap-2 ${
+                  adminPin ? 'bg-purple-600 text-white hover:bg-purple-700' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+                title={adminPin ? 'Leave parent mode' : 'Parent mode'}
+              >
+                <ShieldCheck className="w-4 h-4" />
+                {adminPin ? 'Parent Mode' : 'Parent'}
               </button>
               
-              {sheetsConnected ? (
-                <Wifi className="text-green-500 w-5 h-5" title="Google Sheets Connected" />
+              {pendingSyncs > 0 && (
+                <span
+                  className="px-2 py-1 text-xs font-semibold bg-orange-100 text-orange-700 rounded-full flex items-center gap-1"
+                  title="Saved on this device; these will sync when you're back online"
+                >
+                  <UploadCloud className="w-3 h-3" />
+                  {pendingSyncs} waiting to sync
+                </span>
+              )}
+              
+              {serverConnected ? (
+                <Wifi className="text-green-500 w-5 h-5" title="Synced to the server" />
+              ) : storage.remote && !storageStatus.checking ? (
+                <WifiOff className="text-red-500 w-5 h-5" title={storageStatus.error || 'Can\'t reach the server'} />
               ) : (
-                <WifiOff className="text-orange-500 w-5 h-5" title="Local Storage Only" />
+                <WifiOff className="text-orange-500 w-5 h-5" title={`Storage: ${storage.label}`} />
               )}
             </div>
           </div>
@@ -352,10 +1013,16 @@ const NFLPickemApp = () => {
           {lastUpdated && (
             <div className="text-sm text-gray-500 mb-4 flex items-center gap-4">
               <span>Last updated: {lastUpdated}</span>
-              {sheetsConnected ? (
-                <span className="text-green-600">📊 Google Sheets Connected</span>
+              {storageStatus.checking ? (
+                <span className="text-gray-500">Connecting...</span>
+              ) : serverConnected ? (
+                <span className="text-green-600">📊 Synced to the server</span>
+              ) : storage.remote ? (
+                <span className="text-red-600" title={storageStatus.error}>⚠️ Can't reach the server, saving on this device</span>
+              ) : storageReady ? (
+                <span className="text-orange-600">📱 Storage: {storage.label}, not synced</span>
               ) : (
-                <span className="text-orange-600">📱 Local Storage Only</span>
+                <span className="text-red-600">⚠️ {storageStatus.error}</span>
               )}
             </div>
           )}
@@ -366,177 +1033,536 @@ const NFLPickemApp = () => {
             </div>
           )}
           
+          {staleSince && (
+            <div className="bg-yellow-100 border border-yellow-400 text-yellow-800 px-4 py-3 rounded mb-4">
+              Couldn't get the latest scores. Showing games as of {new Date(staleSince).toLocaleString()}.
+            </div>
+          )}
+          
+          {syncError && (
+            <div className="bg-orange-100 border border-orange-400 text-orange-700 px-4 py-3 rounded mb-4">
+              Saved on this device, but syncing failed: {syncError}
+            </div>
+          )}
+          
+          {sheetsError && (
+            <div className="bg-orange-100 border border-orange-400 text-orange-700 px-4 py-3 rounded mb-4">
+              Saved to the server, but the league's Google Sheet didn't update: {sheetsError}. It catches up on the next save.
+            </div>
+          )}
+          
+          {missing && hasMissingPicks(missing) && (
+            <button
+              onClick={() => setView('week')}
+              className="w-full text-left bg-amber-100 border border-amber-400 text-amber-800 px-4 py-3 rounded mb-4 flex items-center gap-2"
+            >
+              <Clock className="w-4 h-4" />
+              {nameOf(selectedKid)}: {reminderText(missing, now)}
+            </button>
+          )}
+          
+          {/* View Tabs */}
+          <div className="flex gap-2 mb-4">
+            {[
+              ['week', weekLabel(currentWeek)],
+              ['grid', 'Pick Grid'],
+              ['season', 'Season'],
+              ['history', 'History'],
+              ['players', 'Players'],
+              ['roster', 'League'],
+              ...(adminPin ? [['admin', 'Admin']] : [])
+            ].map(([key, label]) => (
+              <button
+                key={key}
+                onClick={() => setView(key)}
+                className={`px-4 py-1 rounded-full text-sm font-semibold ${
+                  view === key ? 'bg-blue-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                }`}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+          
           {/* Kid Selection */}
           <div className="flex items-center gap-4">
             <User className="text-gray-500" />
             <select
               value={selectedKid}
-              onChange={(e) => setSelectedKid(e.target.value)}
+              onChange={(e) => selectKid(e.target.value)}
               className="px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
             >
               <option value="">Select your name...</option>
-              {kids.map(kid => (
-                <option key={kid} value={kid}>{kid}</option>
+              {activePlayers(roster).map(player => (
+                <option key={player.id} value={player.id}>{nameOf(player.id)}</option>
               ))}
             </select>
             {selectedKid && (
               <span className="text-green-600 font-semibold">
-                Making picks for {selectedKid}!
+                Making picks for {nameOf(selectedKid)}!
               </span>
             )}
-          </div>
-        </div>
-
-        {/* Current Standings */}
-        {games.some(g => g.completed) && (
-          <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
-            <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
-              <Trophy className="text-yellow-500" />
-              Week {currentWeek} Standings
-            </h2>
-            <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
-              {kids.map(kid => (
-                <div 
-                  key={kid} 
-                  className={`border rounded-lg p-4 ${
-                    winners.includes(kid) && games.some(g => g.completed) 
-                      ? 'border-yellow-400 bg-yellow-50' 
-                      : 'border-gray-200'
-                  }`}
-                >
-                  <h3 className="font-bold text-lg flex items-center gap-2">
-                    {kid}
-                    {winners.includes(kid) && games.some(g => g.completed) && (
-                      <Trophy className="w-4 h-4 text-yellow-500" />
-                    )}
-                  </h3>
-                  <p className="text-gray-600">
-                    Score: {scores[kid]} / {games.filter(g => g.completed).length}
-                  </p>
-                  {picks[kid]?.tiebreaker && (
-                    <p className="text-sm text-gray-500">
-                      Tiebreaker: {picks[kid].tiebreaker}
-                    </p>
-                  )}
-                </div>
-              ))}
-            </div>
-          </div>
-        )}
-
-        {/* Games */}
-        <div className="space-y-4">
-          {games.map((game) => (
-            <div key={game.id} className="bg-white rounded-lg shadow p-6">
-              <div className="flex items-center justify-between mb-4">
-                <div className="flex items-center gap-2">
-                  <Calendar className="text-gray-500 w-4 h-4" />
-                  <span className="text-sm text-gray-600">{game.time}</span>
-                  {game.tiebreaker && (
-                    <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded text-xs">
-                      Tiebreaker Game
-                    </span>
-                  )}
-                </div>
-                {game.completed && (
-                  <div className="text-right">
-                    <span className="text-green-600 font-semibold">
-                      Final: {game.awayTeam} {game.awayScore} - {game.homeScore} {game.homeTeam}
-                    </span>
-                    {game.winner && (
-                      <div className="text-sm text-gray-600">
-                        Winner: {game.winner}
-                      </div>
-                    )}
-                  </div>
-                )}
-              </div>
-              
-              <div className="grid grid-cols-2 gap-4">
+            {selectedKid && (undoStack.length > 0 || redoStack.length > 0) && (
+              <div className="flex gap-1 ml-auto">
                 <button
-                  onClick={() => handlePickChange(game.id, game.away)}
-                  disabled={!selectedKid || game.completed}
-                  className={`p-4 rounded-lg border-2 transition-all ${
-                    picks[selectedKid]?.[game.id] === game.away
-                      ? 'border-blue-500 bg-blue-50 text-blue-700'
-                      : 'border-gray-200 hover:border-gray-300'
-                  } ${(!selectedKid || game.completed) ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  onClick={undo}
+                  disabled={undoStack.length === 0}
+                  title="Undo the last change"
+                  className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
                 >
-                  <div className="font-semibold">{game.away}</div>
-                  <div className="text-sm text-gray-600">{game.awayTeam}</div>
-                  <div className="text-xs text-gray-500">@ {game.home}</div>
-                  {game.completed && <div className="text-lg font-bold">{game.awayScore}</div>}
+                  <Undo2 className="w-4 h-4" />
                 </button>
-                
                 <button
-                  onClick={() => handlePickChange(game.id, game.home)}
-                  disabled={!selectedKid || game.completed}
-                  className={`p-4 rounded-lg border-2 transition-all ${
-                    picks[selectedKid]?.[game.id] === game.home
-                      ? 'border-blue-500 bg-blue-50 text-blue-700'
-                      : 'border-gray-200 hover:border-gray-300'
-                  } ${(!selectedKid || game.completed) ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                  onClick={redo}
+                  disabled={redoStack.length === 0}
+                  title="Redo"
+                  className="p-2 rounded-lg bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50"
                 >
-                  <div className="font-semibold">{game.home}</div>
-                  <div className="text-sm text-gray-600">{game.homeTeam}</div>
-                  <div className="text-xs text-gray-500">vs {game.away}</div>
-                  {game.completed && <div className="text-lg font-bold">{game.homeScore}</div>}
+                  <Redo2 className="w-4 h-4" />
                 </button>
               </div>
-            </div>
-          ))}
-          
-          {/* Tiebreaker */}
-          {games.find(g => g.tiebreaker) && (
-            <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-6">
-              <div className="flex items-center gap-2 mb-4">
-                <Target className="text-yellow-600" />
-                <h3 className="font-bold text-yellow-800">Tiebreaker</h3>
+            )}
+          </div>
+        </div>
+
+        {showTransfer && (
+          <PickTransfer
+            weekName={weekLabel(currentWeek)}
+            season={currentWeek.season}
+            games={games}
+            nameOf={nameOf}
+            preview={importPreview}
+            onExportWeek={exportWeek}
+            onExportSeason={exportSeason}
+            onOpenReport={openReport}
+            onShareReport={shareReport}
+            onPickFile={startImport}
+            onConfirm={confirmImport}
+            onCancel={() => setImportPreview(null)}
+          />
+        )}
+        
+        {view === 'grid' && (
+          <PickGrid
+            games={games}
+            players={kids}
+            picks={picks}
+            details={details}
+            scores={scores}
+            rules={rules}
+            tiebreaker={tiebreaker}
+            viewer={selectedKid}
+            admin={!!adminPin}
+            now={now}
+            nameOf={nameOf}
+          />
+        )}
+        
+        {view === 'season' && <SeasonStandings key={leagueId} season={currentWeek.season} nameOf={nameOf} />}
+        
+        {view === 'players' && (
+          <PlayerProfile
+            key={leagueId}
+            players={activePlayers(roster).map(player => player.id)}
+            initialPlayer={selectedKid}
+            auth={viewerAuth}
+            nameOf={nameOf}
+          />
+        )}
+        
+        {view === 'history' && (
+          <PickHistory
+            key={`${leagueId}:${weekKey(currentWeek)}`}
+            week={currentWeek}
+            games={games}
+            players={kids}
+            localEvents={history}
+            fromServer={serverConnected}
+            auth={viewerAuth}
+            viewer={selectedKid}
+            admin={!!adminPin}
+            now={now}
+            nameOf={nameOf}
+            onExport={exportHistory}
+          />
+        )}
+        
+        {view === 'roster' && (
+          <LeagueManager
+            leagues={leagues}
+            currentId={leagueId}
+            canEdit={!!adminPin}
+            onSwitch={switchLeague}
+            onCreate={handleCreateLeague}
+            onJoin={handleJoinLeague}
+            onUpdate={handleUpdateLeague}
+            onForget={forgetLeague}
+          />
+        )}
+        
+        {view === 'roster' && (
+          <RosterManager
+            roster={roster}
+            canEdit={!!adminPin || !storage.remote}
+            onChange={saveRoster}
+            pinPlayers={pinPlayers}
+            onSetPin={(player) => changePin(player)}
+            onClearPin={(player) => changePin(player, true)}
+          />
+        )}
+        
+        {view === 'roster' && (
+          <ScoringRules season={currentWeek.season} rules={rules} canEdit={!!adminPin} onSave={saveRules} />
+        )}
+        
+        {view === 'roster' && (
+          <ReminderSettings
+            key={leagueId}
+            player={selectedKid}
+            players={activePlayers(roster).map(player => player.id)}
+            nameOf={nameOf}
+            auth={adminPin ? { adminPin } : { pin: unlockedPins[selectedKid] }}
+            adminPin={adminPin}
+          />
+        )}
+        
+        {view === 'roster' && adminPin && <AuditLog key={leagueId} adminPin={adminPin} nameOf={nameOf} />}
+        
+        {view === 'admin' && adminPin && (
+          <AdminConsole
+            games={games}
+            players={activePlayers(roster).map(player => player.id)}
+            picks={picks}
+            rules={rules}
+            nameOf={nameOf}
+            onSetResult={setGameResult}
+            onSaveTies={saveTieScoring}
+            onSavePick={saveAdminPick}
+            onRescore={rescore}
+          />
+        )}
+        
+        {view === 'admin' && adminPin && <AuditLog key={leagueId} adminPin={adminPin} nameOf={nameOf} />}
+
+        {view === 'week' && (
+          <>
+            {/* Live projections while the week is being played */}
+            {(games.some(isInProgress) || (games.some(g => g.completed) && games.some(g => !g.completed))) && (
+              <LiveLeaderboard
+                games={games}
+                players={kids}
+                picks={picks}
+                rules={rules}
+                viewer={selectedKid}
+                admin={!!adminPin}
+                now={now}
+                nameOf={nameOf}
+              />
+            )}
+            
+            {/* Current Standings */}
+            {games.some(g => g.completed) && (
+              <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+                <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+                  <Trophy className="text-yellow-500" />
+                  {weekLabel(currentWeek)} Standings
+                </h2>
+                <div className="grid grid-cols-2 md:grid-cols-3 gap-4">
+                  {kids.map(kid => (
+                    <div 
+                      key={kid} 
+                      className={`border rounded-lg p-4 ${
+                        winners.includes(kid) && games.some(g => g.completed) 
+                          ? 'border-yellow-400 bg-yellow-50' 
+                          : 'border-gray-200'
+                      }`}
+                    >
+                      <h3 className="font-bold text-lg flex items-center gap-2">
+                        {nameOf(kid)}
+                        {winners.includes(kid) && games.some(g => g.completed) && (
+                          <Trophy className="w-4 h-4 text-yellow-500" />
+                        )}
+                      </h3>
+                      <p className="text-gray-600">
+                        {rules.type === 'classic'
+                          ? `Score: ${scores[kid]} / ${games.filter(g => g.completed).length}`
+                          : `Points: ${scores[kid]}`}
+                      </p>
+                      {picks[kid]?.tiebreaker && (
+                        <p className="text-sm text-gray-500">
+                          Tiebreaker: {picks[kid].tiebreaker}
+                          {tiebreaker?.guesses[kid] && (
+                            tiebreaker.guesses[kid].diff === 0
+                              ? ' (exact!)'
+                              : ` (${Math.abs(tiebreaker.guesses[kid].diff)} ${tiebreaker.guesses[kid].diff > 0 ? 'under' : 'over'})`
+                          )}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
               </div>
-              <p className="text-yellow-700 mb-3">
-                Total points scored in the tiebreaker game:
-              </p>
-              <input
-                type="number"
-                value={picks[selectedKid]?.tiebreaker || ''}
-                onChange={(e) => handleTiebreakerChange(e.target.value)}
-                disabled={!selectedKid}
-                placeholder="Enter total points..."
-                className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-yellow-500"
+            )}
+
+            {selectedKid && games.some(game => !isLocked(game, now)) && (
+              <QuickFill
+                key={`${selectedKid}:${weekKey(currentWeek)}`}
+                player={selectedKid}
+                templates={adminPin ? kids.filter(kid => kid !== selectedKid && games.some(game => picks[kid]?.[game.id])) : []}
+                games={games}
+                nameOf={nameOf}
+                preview={quickFill}
+                canUndo={lastQuickFill?.player === selectedKid}
+                onPreview={previewFill}
+                onConfirm={confirmFill}
+                onCancel={() => setQuickFill(null)}
+                onUndo={undoFill}
               />
-            </div>
-          )}
+            )}
+            
+            {/* Games */}
+            <div className="space-y-4">
+              {groupBySlot(games).map((group, index) => (
+                <React.Fragment key={`${group.slot}-${index}`}>
+                  <h3 className="text-sm font-bold uppercase tracking-wide text-gray-500 pt-2">
+                    {group.label}
+                  </h3>
+                  {group.games.map((game) => {
+                    const locked = isLocked(game, now) && !adminPin;
+                    return (
+                      <div key={game.id} className="bg-white rounded-lg shadow p-6">
+                        <div className="flex items-center justify-between mb-4">
+                          <div className="flex items-center gap-2">
+                            <Calendar className="text-gray-500 w-4 h-4" />
+                            <span className="text-sm text-gray-600">{game.time}</span>
+                            {game.tiebreaker && (
+                              <span className="bg-yellow-100 text-yellow-800 px-2 py-1 rounded text-xs">
+                                Tiebreaker Game
+                              </span>
+                            )}
+                            {adminPin && !game.tiebreaker && (
+                              <button
+                                onClick={() => changeTiebreakerGame(game.id)}
+                                className="text-purple-600 hover:underline text-xs"
+                              >
+                                Make tiebreaker
+                              </button>
+                            )}
+                            {adminPin && game.tiebreaker && tiebreakerOverride && (
+                              <button
+                                onClick={() => changeTiebreakerGame(null)}
+                                className="text-purple-600 hover:underline text-xs"
+                              >
+                                Use last game
+                              </button>
+                            )}
+                            {isVoided(game) && (
+                              <span className="bg-gray-200 text-gray-700 px-2 py-1 rounded text-xs font-semibold">
+                                {OVERRIDE_RESULTS[game.result]}: doesn't count
+                              </span>
+                            )}
+                            {game.override && (
+                              <span
+                                className="bg-purple-100 text-purple-700 px-2 py-1 rounded text-xs"
+                                title={game.override.reason || ''}
+                              >
+                                Corrected by a parent
+                              </span>
+                            )}
+                            {isInProgress(game) && (
+                              <span className="bg-red-100 text-red-700 px-2 py-1 rounded text-xs font-semibold">
+                                LIVE{game.live?.detail ? ` · ${game.live.detail}` : ''}
+                              </span>
+                            )}
+                            {!game.completed && !isInProgress(game) && !isVoided(game) && (locked ? (
+                              <span className="bg-gray-100 text-gray-700 px-2 py-1 rounded text-xs flex items-center gap-1">
+                                <Lock className="w-3 h-3" />
+                                Locked
+                              </span>
+                            ) : game.locksAt && (
+                              <span className="bg-blue-100 text-blue-800 px-2 py-1 rounded text-xs flex items-center gap-1">
+                                <Clock className="w-3 h-3" />
+                                Locks in {formatCountdown(game.locksAt, now)}
+                              </span>
+                            ))}
+                          </div>
+                          {isInProgress(game) && (
+                            <div className="text-right text-sm">
+                              <div className="font-semibold text-red-700">
+                                {game.away} {game.awayScore} - {game.homeScore} {game.home}
+                              </div>
+                              {game.live?.possession && (
+                                <div className="text-gray-600">
+                                  🏈 {game.live.possession}{game.live.downDistance ? `, ${game.live.downDistance}` : ''}
+                                  {game.live.redZone && <span className="text-red-600 font-semibold"> · Red zone</span>}
+                                </div>
+                              )}
+                            </div>
+                          )}
+                          {game.completed && (
+                            <div className="text-right">
+                              <span className="text-green-600 font-semibold">
+                                Final: {game.awayTeam} {game.awayScore} - {game.homeScore} {game.homeTeam}
+                              </span>
+                              <div className="text-sm text-gray-600">
+                                {game.winner ? `Winner: ${game.winner}` : `Tie (${TIE_SCORING[rules.ties]})`}
+                              </div>
+                            </div>
+                          )}
+                        </div>
+                  
+                        <div className="grid grid-cols-2 gap-4">
+                          <button
+                            onClick={() => handlePickChange(game.id, game.away)}
+                            disabled={!selectedKid || locked}
+                            className={`p-4 rounded-lg border-2 transition-all ${
+                              picks[selectedKid]?.[game.id] === game.away
+                                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                                : 'border-gray-200 hover:border-gray-300'
+                            } ${(!selectedKid || locked) ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                          >
+                            <div className="font-semibold">{game.away}</div>
+                            <div className="text-sm text-gray-600">{game.awayTeam}</div>
+                            <div className="text-xs text-gray-500">@ {game.home}</div>
+                            {rules.type === 'spread' && spreadLabel(game, game.away) && (
+                              <div className="text-xs font-semibold text-indigo-600">{spreadLabel(game, game.away)}</div>
+                            )}
+                            {rules.type === 'upset' && isUnderdog(game, game.away) && (
+                              <div className="text-xs font-semibold text-orange-600">Underdog +{rules.upsetBonus}</div>
+                            )}
+                            {(game.completed || isInProgress(game)) && <div className="text-lg font-bold">{game.awayScore}</div>}
+                          </button>
+                    
+                          <button
+                            onClick={() => handlePickChange(game.id, game.home)}
+                            disabled={!selectedKid || locked}
+                            className={`p-4 rounded-lg border-2 transition-all ${
+                              picks[selectedKid]?.[game.id] === game.home
+                                ? 'border-blue-500 bg-blue-50 text-blue-700'
+                                : 'border-gray-200 hover:border-gray-300'
+                            } ${(!selectedKid || locked) ? 'opacity-50 cursor-not-allowed' : 'cursor-pointer'}`}
+                          >
+                            <div className="font-semibold">{game.home}</div>
+                            <div className="text-sm text-gray-600">{game.homeTeam}</div>
+                            <div className="text-xs text-gray-500">vs {game.away}</div>
+                            {rules.type === 'spread' && spreadLabel(game, game.home) && (
+                              <div className="text-xs font-semibold text-indigo-600">{spreadLabel(game, game.home)}</div>
+                            )}
+                            {rules.type === 'upset' && isUnderdog(game, game.home) && (
+                              <div className="text-xs font-semibold text-orange-600">Underdog +{rules.upsetBonus}</div>
+                            )}
+                            {(game.completed || isInProgress(game)) && <div className="text-lg font-bold">{game.homeScore}</div>}
+                          </button>
+                        </div>
+                        
+                        {isInProgress(game) && (
+                          <div className="mt-3 flex flex-wrap gap-2 text-xs">
+                            {kids.filter(kid => picks[kid]?.[game.id]).map(kid => {
+                              const status = pickStatus(game, picks[kid][game.id], rules);
+                              return (
+                                <span
+                                  key={kid}
+                                  className={`px-2 py-1 rounded-full ${
+                                    status === 'winning' ? 'bg-green-100 text-green-800'
+                                      : status === 'losing' ? 'bg-red-100 text-red-700'
+                                      : 'bg-gray-100 text-gray-600'
+                                  }`}
+                                >
+                                  {nameOf(kid)} ({picks[kid][game.id]}) {status === 'winning' ? 'winning' : status === 'losing' ? 'losing' : 'tied'}
+                                </span>
+                              );
+                            })}
+                          </div>
+                        )}
+                        
+                        {rules.type === 'confidence' && (
+                          <label className="mt-3 flex items-center gap-2 text-sm text-gray-700">
+                            Confidence
+                            <select
+                              value={picks[selectedKid]?.[confidenceKey(game.id)] || ''}
+                              onChange={(e) => handleConfidenceChange(game.id, e.target.value)}
+                              disabled={!selectedKid || locked}
+                              className="px-2 py-1 border rounded"
+                            >
+                              <option value="">-</option>
+                              {confidenceValues(games).map(rank => (
+                                <option key={rank} value={rank} disabled={takenRanks(game.id).includes(rank)}>
+                                  {rank}
+                                </option>
+                              ))}
+                            </select>
+                          </label>
+                        )}
+                      </div>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+          
+              {/* Tiebreaker */}
+              {games.find(g => g.tiebreaker) && (
+                <div className="bg-yellow-50 border-2 border-yellow-200 rounded-lg p-6">
+                  <div className="flex items-center gap-2 mb-4">
+                    <Target className="text-yellow-600" />
+                    <h3 className="font-bold text-yellow-800">Tiebreaker</h3>
+                  </div>
+                  <p className="text-yellow-700 mb-3">
+                    Total points scored in {games.find(g => g.tiebreaker).awayTeam} @ {games.find(g => g.tiebreaker).homeTeam}:
+                  </p>
+                  <input
+                    type="number"
+                    value={picks[selectedKid]?.tiebreaker || ''}
+                    onChange={(e) => handleTiebreakerChange(e.target.value)}
+                    disabled={!selectedKid || (!adminPin && isPickKeyLocked('tiebreaker', games, now))}
+                    placeholder="Enter total points..."
+                    className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-yellow-500"
+                  />
+                </div>
+              )}
           
-          {selectedKid && (
-            <div className="text-center">
+              {selectedKid && (
+                <div className="text-center">
+                  <button
+                    onClick={submitPicks}
+                    className="px-8 py-3 bg-green-500 text-white rounded-lg font-semibold hover:bg-green-600 transition-colors"
+                  >
+                    Submit Picks for {nameOf(selectedKid)}
+                  </button>
+                </div>
+              )}
+            </div>
+        
+            {/* Week Navigation */}
+            <div className="flex justify-center items-center mt-8 gap-4">
               <button
-                onClick={submitPicks}
-                className="px-8 py-3 bg-green-500 text-white rounded-lg font-semibold hover:bg-green-600 transition-colors"
+                onClick={() => goToWeek(prevWeekRef(currentWeek))}
+                disabled={!prevWeekRef(currentWeek)}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
               >
-                Submit Picks for {selectedKid}
+                ← {prevWeekRef(currentWeek) ? weekLabel(prevWeekRef(currentWeek)) : 'Previous Week'}
+              </button>
+              <span className="text-sm text-gray-600">
+                {currentWeek.season} {SEASON_TYPES[currentWeek.type].label}
+              </span>
+              <button
+                onClick={() => goToWeek(nextWeekRef(currentWeek))}
+                disabled={!nextWeekRef(currentWeek)}
+                className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {nextWeekRef(currentWeek) ? weekLabel(nextWeekRef(currentWeek)) : 'Next Week'} →
               </button>
             </div>
-          )}
-        </div>
-        
-        {/* Week Navigation */}
-        <div className="flex justify-center mt-8 gap-4">
-          <button
-            onClick={() => setCurrentWeek(Math.max(1, currentWeek - 1))}
-            disabled={currentWeek === 1}
-            className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Previous Week
-          </button>
-          <button
-            onClick={() => setCurrentWeek(currentWeek + 1)}
-            disabled={currentWeek === 18}
-            className="px-4 py-2 bg-gray-500 text-white rounded-lg hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed"
-          >
-            Next Week
-          </button>
-        </div>
+          </>
+        )}
       </div>
+      
+      {pinPrompt && (
+        <PinPrompt
+          title={pinPrompt.title}
+          onSubmit={closePinPrompt}
+          onCancel={() => closePinPrompt(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,267 @@
+import React, { useState } from 'react';
+import { RefreshCw, Wrench } from 'lucide-react';
+import { OVERRIDE_RESULTS } from '../lib/overrides';
+import { confidenceKey, confidenceValues, TIE_SCORING } from '../lib/rules';
+
+const resultLabel = (game) => {
+  if (game.result) return OVERRIDE_RESULTS[game.result];
+  if (game.completed) return `${game.away} ${game.awayScore} - ${game.homeScore} ${game.home}${game.winner ? '' : ' (tie)'}`;
+  return 'Not final';
+};
+
+// Parent-only corrections: game results the provider got wrong or never
+// settled, how ties count, picks told to a parent out loud, and re-running
+// the week's scoring. Every change asks for a reason, which goes in the
+// audit log and the season standings.
+const AdminConsole = ({ games, players, picks, rules, nameOf, onSetResult, onSaveTies, onSavePick, onRescore }) => {
+  const [editing, setEditing] = useState(null);
+  const [draft, setDraft] = useState(null);
+  const [pickDraft, setPickDraft] = useState({ player: '', key: '', value: '', reason: '' });
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const run = async (action, done) => {
+    setBusy(true);
+    setError(null);
+    setMessage(null);
+
+    try {
+      await action();
+      setMessage(done);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const startEditing = (game) => {
+    setEditing(game.id);
+    setDraft({
+      result: game.override?.result || 'final',
+      awayScore: game.completed ? game.awayScore : '',
+      homeScore: game.completed ? game.homeScore : '',
+      reason: ''
+    });
+  };
+
+  const saveResult = (game, clear = false) => run(async () => {
+    const override = clear ? null : { result: draft.result, awayScore: draft.awayScore, homeScore: draft.homeScore };
+    await onSetResult(game.id, override, draft.reason);
+    setEditing(null);
+  }, clear ? 'Result set back to the scoreboard' : 'Result saved');
+
+  const savePick = () => run(async () => {
+    await onSavePick(pickDraft.player, pickDraft.key, pickDraft.value, pickDraft.reason);
+    setPickDraft({ ...pickDraft, value: '', reason: '' });
+  }, `Pick saved for ${nameOf(pickDraft.player)}`);
+
+  // What the chosen pick entry can be set to
+  const pickGame = games.find(game => game.id === pickDraft.key.replace('confidence:', ''));
+  const currentPick = pickDraft.player && pickDraft.key ? picks[pickDraft.player]?.[pickDraft.key] : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6 border-2 border-purple-200">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Wrench className="text-purple-600" />
+        Parent Admin
+      </h2>
+
+      {error && <p className="text-red-600 mb-3">{error}</p>}
+      {message && <p className="text-green-700 mb-3">{message}</p>}
+
+      <h3 className="font-semibold mb-2">Game results</h3>
+      <table className="w-full text-sm mb-6">
+        <tbody>
+          {games.map(game => (
+            <React.Fragment key={game.id}>
+              <tr className="border-b">
+                <td className="py-2 font-semibold">{game.away} @ {game.home}</td>
+                <td className="py-2">
+                  {resultLabel(game)}
+                  {game.override && (
+                    <span className="ml-2 px-2 py-0.5 rounded text-xs bg-purple-100 text-purple-700" title={game.override.reason || ''}>
+                      Corrected
+                    </span>
+                  )}
+                </td>
+                <td className="py-2 text-right">
+                  <button onClick={() => startEditing(game)} className="text-purple-600 hover:underline">
+                    {game.override ? 'Change' : 'Correct'}
+                  </button>
+                </td>
+              </tr>
+              {editing === game.id && (
+                <tr className="border-b bg-purple-50">
+                  <td colSpan={3} className="p-3">
+                    <div className="flex flex-wrap items-center gap-2 mb-2">
+                      <select
+                        value={draft.result}
+                        onChange={(e) => setDraft({ ...draft, result: e.target.value })}
+                        className="px-2 py-1 border rounded"
+                      >
+                        {Object.entries(OVERRIDE_RESULTS).map(([result, label]) => (
+                          <option key={result} value={result}>{label}</option>
+                        ))}
+                      </select>
+                      {draft.result === 'final' && (
+                        <>
+                          {game.away}
+                          <input
+                            type="number"
+                            min="0"
+                            value={draft.awayScore}
+                            onChange={(e) => setDraft({ ...draft, awayScore: e.target.value })}
+                            className="w-16 px-2 py-1 border rounded"
+                          />
+                          {game.home}
+                          <input
+                            type="number"
+                            min="0"
+                            value={draft.homeScore}
+                            onChange={(e) => setDraft({ ...draft, homeScore: e.target.value })}
+                            className="w-16 px-2 py-1 border rounded"
+                          />
+                        </>
+                      )}
+                    </div>
+                    <input
+                      type="text"
+                      value={draft.reason}
+                      onChange={(e) => setDraft({ ...draft, reason: e.target.value })}
+                      placeholder="Reason (shown in the standings)"
+                      className="w-full px-2 py-1 border rounded mb-2"
+                    />
+                    <div className="flex gap-2">
+                      <button
+                        onClick={() => saveResult(game)}
+                        disabled={busy || !draft.reason.trim()}
+                        className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50"
+                      >
+                        Save result
+                      </button>
+                      {game.override && (
+                        <button
+                          onClick={() => saveResult(game, true)}
+                          disabled={busy || !draft.reason.trim()}
+                          className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50"
+                        >
+                          Use the scoreboard
+                        </button>
+                      )}
+                      <button onClick={() => setEditing(null)} className="px-3 py-1 text-gray-600 hover:underline">
+                        Cancel
+                      </button>
+                    </div>
+                  </td>
+                </tr>
+              )}
+            </React.Fragment>
+          ))}
+        </tbody>
+      </table>
+
+      <h3 className="font-semibold mb-2">Tied games</h3>
+      <label className="flex items-center gap-2 text-sm mb-6">
+        A pick on a game that ends tied counts as
+        <select
+          value={rules.ties}
+          disabled={busy}
+          onChange={(e) => run(() => onSaveTies(e.target.value), 'Tie scoring saved')}
+          className="px-2 py-1 border rounded"
+        >
+          {Object.entries(TIE_SCORING).map(([ties, label]) => (
+            <option key={ties} value={ties}>{label}</option>
+          ))}
+        </select>
+      </label>
+
+      <h3 className="font-semibold mb-2">Enter or fix a pick</h3>
+      <div className="flex flex-wrap items-center gap-2 text-sm mb-2">
+        <select
+          value={pickDraft.player}
+          onChange={(e) => setPickDraft({ ...pickDraft, player: e.target.value, value: '' })}
+          className="px-2 py-1 border rounded"
+        >
+          <option value="">Player...</option>
+          {players.map(player => <option key={player} value={player}>{nameOf(player)}</option>)}
+        </select>
+        <select
+          value={pickDraft.key}
+          onChange={(e) => setPickDraft({ ...pickDraft, key: e.target.value, value: '' })}
+          className="px-2 py-1 border rounded"
+        >
+          <option value="">Pick...</option>
+          {games.map(game => <option key={game.id} value={game.id}>{game.away} @ {game.home}</option>)}
+          {rules.type === 'confidence' && games.map(game => (
+            <option key={confidenceKey(game.id)} value={confidenceKey(game.id)}>{game.away} @ {game.home} confidence</option>
+          ))}
+          <option value="tiebreaker">Tiebreaker</option>
+        </select>
+        {pickDraft.key === 'tiebreaker' && (
+          <input
+            type="number"
+            min="0"
+            value={pickDraft.value}
+            onChange={(e) => setPickDraft({ ...pickDraft, value: e.target.value })}
+            placeholder="Total points"
+            className="w-28 px-2 py-1 border rounded"
+          />
+        )}
+        {pickGame && pickDraft.key === pickGame.id && (
+          <select
+            value={pickDraft.value}
+            onChange={(e) => setPickDraft({ ...pickDraft, value: e.target.value })}
+            className="px-2 py-1 border rounded"
+          >
+            <option value="">Team...</option>
+            <option value={pickGame.away}>{pickGame.away}</option>
+            <option value={pickGame.home}>{pickGame.home}</option>
+          </select>
+        )}
+        {pickGame && pickDraft.key === confidenceKey(pickGame.id) && (
+          <select
+            value={pickDraft.value}
+            onChange={(e) => setPickDraft({ ...pickDraft, value: e.target.value })}
+            className="px-2 py-1 border rounded"
+          >
+            <option value="">Rank...</option>
+            {confidenceValues(games).map(rank => <option key={rank} value={rank}>{rank}</option>)}
+          </select>
+        )}
+        {pickDraft.player && pickDraft.key && (
+          <span className="text-gray-500">Now: {currentPick ?? '—'}</span>
+        )}
+      </div>
+      <div className="flex gap-2 mb-6">
+        <input
+          type="text"
+          value={pickDraft.reason}
+          onChange={(e) => setPickDraft({ ...pickDraft, reason: e.target.value })}
+          placeholder="Reason, e.g. told me before kickoff"
+          className="flex-1 px-2 py-1 border rounded text-sm"
+        />
+        <button
+          onClick={savePick}
+          disabled={busy || !pickDraft.player || !pickDraft.key || pickDraft.value === '' || !pickDraft.reason.trim()}
+          className="px-3 py-1 bg-purple-600 text-white rounded hover:bg-purple-700 disabled:opacity-50 text-sm"
+        >
+          Save pick
+        </button>
+      </div>
+
+      <h3 className="font-semibold mb-2">Scoring</h3>
+      <button
+        onClick={() => run(onRescore, 'Scores re-run')}
+        disabled={busy}
+        className="px-3 py-1 bg-gray-100 text-gray-700 rounded hover:bg-gray-200 disabled:opacity-50 flex items-center gap-1 text-sm"
+      >
+        <RefreshCw className={`w-4 h-4 ${busy ? 'animate-spin' : ''}`} />
+        Re-run scoring for this week
+      </button>
+    </div>
+  );
+};
+
+export default AdminConsole;
@@ -0,0 +1,40 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList } from 'lucide-react';
+import { fetchAuditLog } from '../lib/api';
+import { describeEntry } from '../lib/audit';
+
+const AuditLog = ({ adminPin, nameOf }) => {
+  const [entries, setEntries] = useState([]);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    fetchAuditLog(adminPin)
+      .then(setEntries)
+      .catch(err => setError(err.message));
+  }, [adminPin]);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <ClipboardList className="text-gray-500" />
+        Parent Changes
+      </h2>
+
+      {error && <p className="text-red-600">{error}</p>}
+      {!error && entries.length === 0 && <p className="text-gray-500">No parent changes yet.</p>}
+
+      <ul className="space-y-1 text-sm">
+        {[...entries].reverse().map((entry, index) => (
+          <li key={index} className="border-b py-1">
+            <span className="text-gray-500">{new Date(entry.at).toLocaleString()}</span>
+            {' '}{describeEntry(entry, nameOf)}
+            {' '}{entry.from ?? '—'} → {entry.to ?? '—'}
+            {entry.reason && <span className="text-gray-500"> ({entry.reason})</span>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+export default AuditLog;
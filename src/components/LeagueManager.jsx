@@ -0,0 +1,177 @@
+import React, { useState, useEffect } from 'react';
+import { Home, LogIn, Plus } from 'lucide-react';
+import { DEFAULT_LEAGUE_ID, normalizeJoinCode } from '../lib/leagues';
+
+// The leagues this device has joined, plus forms to start or join another.
+// Parents can rename the current league and point it at its own spreadsheet.
+const LeagueManager = ({ leagues, currentId, canEdit, onSwitch, onCreate, onJoin, onUpdate, onForget }) => {
+  const current = leagues.find(l => l.id === currentId) || { id: currentId, name: 'League' };
+
+  const [newName, setNewName] = useState('');
+  const [newPin, setNewPin] = useState('');
+  const [code, setCode] = useState('');
+  const [name, setName] = useState(current.name);
+  const [sheetId, setSheetId] = useState('');
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setName(current.name);
+    setSheetId('');
+  }, [current.id, current.name]);
+
+  // Run one of the league actions, showing its error inline
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const create = async () => {
+    if (await run(() => onCreate(newName.trim(), newPin))) {
+      setNewName('');
+      setNewPin('');
+    }
+  };
+
+  const join = async () => {
+    if (await run(() => onJoin(normalizeJoinCode(code)))) {
+      setCode('');
+    }
+  };
+
+  // An empty sheet field leaves the current spreadsheet alone
+  const update = () => run(() => onUpdate({ name: name.trim(), sheetId: sheetId.trim() || undefined }));
+
+  const validPin = /^\d{4,6}$/.test(newPin);
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Home className="text-emerald-500" />
+        {current.name}
+      </h2>
+
+      {current.joinCode && (
+        <p className="text-sm text-gray-600 mb-4">
+          Join code: <span className="font-mono font-bold text-gray-800">{current.joinCode}</span>
+          {!current.hasSheet && <span className="ml-2 text-gray-500">· not linked to a spreadsheet</span>}
+        </p>
+      )}
+
+      {leagues.length > 1 && (
+        <div className="space-y-2 mb-6">
+          {leagues.map(league => (
+            <div key={league.id} className="flex items-center gap-2 border rounded-lg p-2">
+              <span className="flex-1 font-semibold">{league.name}</span>
+              {league.id === currentId ? (
+                <span className="px-3 py-1 text-sm text-emerald-700">Current</span>
+              ) : (
+                <button
+                  onClick={() => onSwitch(league.id)}
+                  className="px-3 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700"
+                >
+                  Switch
+                </button>
+              )}
+              {league.id !== DEFAULT_LEAGUE_ID && (
+                <button
+                  onClick={() => onForget(league.id)}
+                  className="px-3 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700"
+                  title="Remove from this device; the league's data is kept"
+                >
+                  Forget
+                </button>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {canEdit && (
+        <div className="space-y-2 mb-6">
+          <h3 className="font-semibold">League settings</h3>
+          <input
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="League name"
+            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500"
+          />
+          <input
+            value={sheetId}
+            onChange={(e) => setSheetId(e.target.value)}
+            placeholder={current.hasSheet ? 'Google Sheet ID (leave blank to keep the current one)' : 'Google Sheet ID'}
+            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500"
+          />
+          <button
+            onClick={update}
+            disabled={busy || !name.trim() || (name.trim() === current.name && !sheetId.trim())}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50"
+          >
+            Save Settings
+          </button>
+        </div>
+      )}
+
+      <div className="grid md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <h3 className="font-semibold">Join a league</h3>
+          <input
+            value={code}
+            onChange={(e) => setCode(e.target.value.toUpperCase())}
+            onKeyDown={(e) => e.key === 'Enter' && code.trim() && join()}
+            placeholder="Join code"
+            className="w-full px-4 py-2 border rounded-lg font-mono focus:ring-2 focus:ring-emerald-500"
+          />
+          <button
+            onClick={join}
+            disabled={busy || !code.trim()}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50 flex items-center gap-2"
+          >
+            <LogIn className="w-4 h-4" />
+            Join
+          </button>
+        </div>
+
+        <div className="space-y-2">
+          <h3 className="font-semibold">Start a new league</h3>
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            placeholder="League name"
+            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500"
+          />
+          <input
+            value={newPin}
+            onChange={(e) => setNewPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+            placeholder="Parent PIN (4-6 digits)"
+            inputMode="numeric"
+            type="password"
+            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-emerald-500"
+          />
+          <button
+            onClick={create}
+            disabled={busy || !newName.trim() || !validPin}
+            className="px-4 py-2 bg-emerald-500 text-white rounded-lg hover:bg-emerald-600 disabled:opacity-50 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Create League
+          </button>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mt-4">{error}</p>}
+    </div>
+  );
+};
+
+export default LeagueManager;
@@ -0,0 +1,83 @@
+import React, { useMemo } from 'react';
+import { Activity } from 'lucide-react';
+import { isPickVisible } from '../lib/consensus';
+import { isInProgress, pathsToVictory, projectWeek } from '../lib/live';
+import { isVoided } from '../lib/overrides';
+import { scorePicks } from '../lib/scoring';
+
+// How each player stands if every game ended now, and what the games still
+// to finish have to do for them to win the week
+const LiveLeaderboard = ({ games, players, picks, rules, viewer, admin, now, nameOf }) => {
+  const { scores: projected } = projectWeek({ players, games, picks, rules });
+  const { scores: banked } = scorePicks(players, games.filter(g => g.completed), picks, rules);
+
+  // Trying every combination is the expensive part, so only redo it when the
+  // games or picks change, not on every clock tick
+  const paths = useMemo(
+    () => pathsToVictory({ players, games, picks, rules }),
+    [games, picks, rules, players.join(',')]
+  );
+
+  const live = games.filter(isInProgress).length;
+  const left = games.filter(g => !g.completed && !isVoided(g)).length;
+  const ranked = [...players].sort((a, b) => projected[b] - projected[a]);
+
+  // What a player needs, leaving out games whose picks are still hidden
+  const needsLabel = (player) => {
+    const path = paths[player];
+    if (path.clinched) return 'Has won at least a share';
+    if (path.eliminated) return 'Can no longer win';
+
+    const needs = games.filter(game => path.needs[game.id] && isPickVisible(game, player, { viewer, admin, now }));
+    const hidden = Object.keys(path.needs).length - needs.length;
+    const parts = needs.map(game => path.needs[game.id]);
+    if (hidden > 0) parts.push(`${hidden} game${hidden === 1 ? '' : 's'} not started`);
+    if (path.needsTiebreaker) parts.push('the tiebreaker');
+    return parts.length ? `Needs ${parts.join(', ')}` : 'Several ways to win';
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-1 flex items-center gap-2">
+        <Activity className="text-red-500" />
+        Live Leaderboard
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        {live > 0 ? `${live} game${live === 1 ? '' : 's'} in progress, ` : ''}{left} still to finish. Projected assumes every game ends with its current score.
+      </p>
+
+      <table className="w-full text-sm">
+        <thead>
+          <tr className="border-b text-left text-gray-500">
+            <th className="py-1">Player</th>
+            <th className="py-1 text-center">Now</th>
+            <th className="py-1 text-center">Projected</th>
+            {paths && <th className="py-1">Chances</th>}
+            {paths && <th className="py-1">Path to victory</th>}
+          </tr>
+        </thead>
+        <tbody>
+          {ranked.map(player => (
+            <tr key={player} className={`border-b ${paths?.[player].eliminated ? 'text-gray-400' : ''}`}>
+              <td className="py-2 font-semibold">{nameOf(player)}</td>
+              <td className="py-2 text-center">{banked[player]}</td>
+              <td className="py-2 text-center font-bold">{projected[player]}</td>
+              {paths && (
+                <td className="py-2">
+                  {paths[player].total > 0 ? `${Math.round((paths[player].scenarios / paths[player].total) * 100)}% of outcomes` : '—'}
+                </td>
+              )}
+              {paths && <td className="py-2">{needsLabel(player)}</td>}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {!paths && (
+        <p className="text-sm text-gray-500 mt-3">Paths to victory show up once fewer games are left.</p>
+      )}
+    </div>
+  );
+};
+
+export default LiveLeaderboard;
@@ -0,0 +1,144 @@
+import React from 'react';
+import { Grid, Lock } from 'lucide-react';
+import { isContrarian, isPickVisible, pickConsensus } from '../lib/consensus';
+import { isInProgress, pickStatus } from '../lib/live';
+import { isPickKeyLocked } from '../lib/locks';
+import { confidenceKey } from '../lib/rules';
+
+const OUTCOME_STYLES = {
+  correct: 'bg-green-100 text-green-800',
+  incorrect: 'bg-red-100 text-red-700',
+  push: 'bg-gray-100 text-gray-600',
+  pending: 'bg-white text-gray-800',
+  void: 'bg-gray-100 text-gray-400 line-through',
+  // Games being played, by how the pick would do if it ended now
+  winning: 'bg-green-50 text-green-700 border border-dashed border-green-400',
+  losing: 'bg-red-50 text-red-600 border border-dashed border-red-300',
+  tied: 'bg-gray-50 text-gray-600 border border-dashed border-gray-300'
+};
+
+// Every player's picks side by side, games down the side. details is the
+// per-player outcome buckets from scoreWeek.
+const PickGrid = ({ games, players, picks, details, scores, rules, tiebreaker, viewer, admin, now, nameOf }) => {
+  // Consensus only counts games whose picks are out in the open
+  const openGames = games.filter(game => players.every(player => isPickVisible(game, player, { viewer, admin, now })));
+  const consensus = pickConsensus(openGames, players, picks);
+
+  const outcomeOf = (player, game) => (
+    pickStatus(game, picks[player]?.[game.id], rules)
+    || ['correct', 'incorrect', 'push', 'void'].find(outcome => details[player]?.[outcome].some(g => g.id === game.id))
+    || 'pending'
+  );
+
+  const tiebreakerGame = games.find(g => g.tiebreaker);
+  const guessesOpen = admin || isPickKeyLocked('tiebreaker', games, now);
+
+  if (games.length === 0) {
+    return (
+      <div className="bg-white rounded-lg shadow-lg p-6 mb-6 text-gray-500">No games loaded for this week yet.</div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-2 flex items-center gap-2">
+        <Grid className="text-blue-500" />
+        Pick Grid
+      </h2>
+      <p className="text-sm text-gray-500 mb-4">
+        Everyone else's picks show up once each game locks. Circled picks went against the crowd.
+      </p>
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="border-b text-left">
+              <th className="py-2 pr-3">Game</th>
+              <th className="py-2 pr-3">Consensus</th>
+              {players.map(player => (
+                <th key={player} className="py-2 px-2 text-center whitespace-nowrap">{nameOf(player)}</th>
+              ))}
+            </tr>
+          </thead>
+          <tbody>
+            {games.map(game => {
+              const gameConsensus = consensus[game.id];
+              return (
+                <tr key={game.id} className="border-b">
+                  <td className="py-2 pr-3 whitespace-nowrap">
+                    <div className="font-semibold">{game.away} @ {game.home}</div>
+                    {game.completed && (
+                      <div className="text-xs text-gray-500">{game.awayScore}-{game.homeScore}, {game.winner || 'tie'}</div>
+                    )}
+                    {isInProgress(game) && (
+                      <div className="text-xs text-red-600">
+                        {game.awayScore}-{game.homeScore}{game.live?.detail ? `, ${game.live.detail}` : ''}
+                      </div>
+                    )}
+                  </td>
+                  <td className="py-2 pr-3 whitespace-nowrap text-xs text-gray-600">
+                    {gameConsensus?.total > 0
+                      ? [game.away, game.home].map(team => `${team} ${gameConsensus.percent[team]}%`).join(' · ')
+                      : gameConsensus ? '—' : 'Hidden until kickoff'}
+                  </td>
+                  {players.map(player => {
+                    const pick = picks[player]?.[game.id];
+                    if (!isPickVisible(game, player, { viewer, admin, now })) {
+                      return (
+                        <td key={player} className="py-2 px-2 text-center text-gray-400">
+                          {pick ? <Lock className="w-3 h-3 inline" /> : '—'}
+                        </td>
+                      );
+                    }
+
+                    const rank = picks[player]?.[confidenceKey(game.id)];
+                    const contrarian = pick && isContrarian(consensus, game.id, pick);
+                    return (
+                      <td key={player} className="py-1 px-1 text-center">
+                        {pick ? (
+                          <span
+                            className={`inline-block px-2 py-1 rounded font-semibold ${OUTCOME_STYLES[outcomeOf(player, game)]} ${
+                              contrarian ? 'ring-2 ring-orange-400' : ''
+                            }`}
+                            title={contrarian ? 'Against the crowd' : undefined}
+                          >
+                            {pick}
+                            {rules.type === 'confidence' && rank && <span className="text-xs font-normal"> ({rank})</span>}
+                          </span>
+                        ) : (
+                          <span className="text-gray-400">—</span>
+                        )}
+                      </td>
+                    );
+                  })}
+                </tr>
+              );
+            })}
+
+            {tiebreakerGame && (
+              <tr className="border-b bg-yellow-50">
+                <td className="py-2 pr-3 font-semibold" colSpan={2}>
+                  Tiebreaker: total points{tiebreaker ? ` (${tiebreaker.total})` : ''}
+                </td>
+                {players.map(player => (
+                  <td key={player} className="py-2 px-2 text-center">
+                    {guessesOpen || player === viewer ? (picks[player]?.tiebreaker || '—') : <Lock className="w-3 h-3 inline text-gray-400" />}
+                  </td>
+                ))}
+              </tr>
+            )}
+
+            <tr className="font-bold">
+              <td className="py-2 pr-3" colSpan={2}>{rules.type === 'classic' ? 'Correct' : 'Points'}</td>
+              {players.map(player => (
+                <td key={player} className="py-2 px-2 text-center">{scores[player]}</td>
+              ))}
+            </tr>
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+};
+
+export default PickGrid;
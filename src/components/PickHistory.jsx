@@ -0,0 +1,112 @@
+import React, { useState, useEffect } from 'react';
+import { Download, History } from 'lucide-react';
+import { fetchPickHistory } from '../lib/api';
+import { isPickVisible } from '../lib/consensus';
+import { sortEvents } from '../lib/history';
+import { isLocked } from '../lib/locks';
+import { describePickKey, pickKeyGame } from '../lib/picks';
+
+// When each pick was made or changed. The server's copy is the one that
+// settles arguments: it has every device's changes, timed by its own
+// clock, and what everyone had in when each game locked. Without a server
+// this device's own history is shown. Open picks stay hidden the same way
+// they do in the pick grid.
+const PickHistory = ({ week, games, players, localEvents, fromServer, auth, viewer, admin, now, nameOf, onExport }) => {
+  const [server, setServer] = useState(null);
+  const [error, setError] = useState(null);
+  const [player, setPlayer] = useState(viewer || '');
+
+  useEffect(() => {
+    if (!fromServer) return;
+    fetchPickHistory(week, auth)
+      .then(setServer)
+      .catch(err => setError(err.message));
+  }, [fromServer]);
+
+  const canSee = (who, key) => {
+    const game = pickKeyGame(key, games);
+    return !game || isPickVisible(game, who, { viewer, admin, now });
+  };
+
+  const events = sortEvents(server ? server.events : localEvents)
+    .filter(event => (!player || event.player === player) && canSee(event.player, event.key))
+    .reverse();
+
+  const lockedGames = games.filter(game => isLocked(game, now));
+  const atLock = server && player ? server.atLock[player] || {} : null;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <History className="text-indigo-500" />
+          Pick History
+        </h2>
+        <button
+          onClick={() => onExport(events)}
+          disabled={events.length === 0}
+          className="px-3 py-2 rounded-lg text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 flex items-center gap-2 disabled:opacity-50"
+        >
+          <Download className="w-4 h-4" />
+          Export
+        </button>
+      </div>
+
+      <select
+        value={player}
+        onChange={(e) => setPlayer(e.target.value)}
+        className="px-4 py-2 border rounded-lg text-sm mb-4 focus:ring-2 focus:ring-indigo-500"
+      >
+        <option value="">Everyone</option>
+        {players.map(id => <option key={id} value={id}>{nameOf(id)}</option>)}
+      </select>
+
+      {error && <p className="text-sm text-orange-600 mb-2">Couldn't get the server's history ({error}); showing this device's.</p>}
+      {!fromServer && <p className="text-sm text-gray-500 mb-2">Showing changes made on this device.</p>}
+
+      {atLock && lockedGames.length > 0 && (
+        <div className="mb-4">
+          <h3 className="font-semibold mb-1">{nameOf(player)}'s picks when each game locked</h3>
+          <div className="flex flex-wrap gap-2 text-sm">
+            {lockedGames.map(game => (
+              <span key={game.id} className="bg-gray-100 rounded px-2 py-1">
+                {game.away} @ {game.home}: <span className="font-semibold">{atLock[game.id] ?? '—'}</span>
+              </span>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {events.length === 0 ? (
+        <p className="text-gray-500">No pick changes to show yet.</p>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-gray-500 border-b">
+              <th className="py-1">When</th>
+              {!player && <th className="py-1">Player</th>}
+              <th className="py-1">Pick</th>
+              <th className="py-1">Change</th>
+            </tr>
+          </thead>
+          <tbody>
+            {events.map((event, index) => (
+              <tr key={index} className="border-b">
+                <td className="py-1 text-gray-500">{new Date(event.receivedAt || event.at).toLocaleString()}</td>
+                {!player && <td className="py-1">{nameOf(event.player)}</td>}
+                <td className="py-1">{describePickKey(event.key, games)}</td>
+                <td className="py-1">
+                  <span className="text-gray-500">{event.from ?? '—'}</span> → <span className="font-semibold">{event.to ?? '—'}</span>
+                  {event.by === 'parent' && <span className="ml-2 text-xs text-purple-700">by a parent</span>}
+                  {event.locked && <span className="ml-2 text-xs text-red-600">after lock</span>}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default PickHistory;
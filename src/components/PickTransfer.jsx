@@ -0,0 +1,182 @@
+import React, { useState } from 'react';
+import { Download, Link, Printer, Upload } from 'lucide-react';
+import { describePickKey } from '../lib/picks';
+
+// Downloads for the week or season, printable pages, and an import that
+// shows what it would change before anything is saved
+const PickTransfer = ({ weekName, season, games, nameOf, preview, onExportWeek, onExportSeason, onOpenReport, onShareReport, onPickFile, onConfirm, onCancel }) => {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [copied, setCopied] = useState(null);
+
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+
+    try {
+      await action();
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const chooseFile = (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (file) run(() => onPickFile(file));
+  };
+
+  const exportButton = (label, action) => (
+    <button
+      onClick={() => run(action)}
+      disabled={busy}
+      className="px-3 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50 flex items-center gap-1"
+    >
+      <Download className="w-4 h-4" />
+      {label}
+    </button>
+  );
+
+  const share = (kind) => run(async () => {
+    await onShareReport(kind);
+    setCopied(kind);
+  });
+
+  const reportButtons = (kind, label) => (
+    <div className="flex flex-wrap gap-2">
+      <button
+        onClick={() => run(() => onOpenReport(kind))}
+        disabled={busy}
+        className="px-3 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50 flex items-center gap-1"
+      >
+        <Printer className="w-4 h-4" />
+        {label}
+      </button>
+      <button
+        onClick={() => share(kind)}
+        disabled={busy}
+        className="px-3 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 disabled:opacity-50 flex items-center gap-1"
+      >
+        <Link className="w-4 h-4" />
+        {copied === kind ? 'Link copied' : 'Copy link'}
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <div className="grid md:grid-cols-2 gap-4 mb-4 pb-4 border-b">
+        <div>
+          <h3 className="font-semibold mb-2">{weekName} recap</h3>
+          {reportButtons('recap', 'Open recap')}
+        </div>
+
+        <div>
+          <h3 className="font-semibold mb-2">{weekName} blank pick sheet</h3>
+          {reportButtons('sheet', 'Open pick sheet')}
+        </div>
+      </div>
+
+      <div className="grid md:grid-cols-3 gap-4 mb-4">
+        <div>
+          <h3 className="font-semibold mb-2">{weekName}</h3>
+          <div className="flex flex-wrap gap-2">
+            {exportButton('Picks CSV', () => onExportWeek('csv'))}
+            {exportButton('Pick grid CSV', () => onExportWeek('grid'))}
+            {exportButton('JSON', () => onExportWeek('json'))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="font-semibold mb-2">{season} season</h3>
+          <div className="flex flex-wrap gap-2">
+            {exportButton('Picks CSV', () => onExportSeason('csv'))}
+            {exportButton('Pick grid CSV', () => onExportSeason('grid'))}
+          </div>
+        </div>
+
+        <div>
+          <h3 className="font-semibold mb-2">Import into {weekName}</h3>
+          <label className="px-3 py-1 rounded text-sm bg-blue-500 text-white hover:bg-blue-600 cursor-pointer inline-flex items-center gap-1">
+            <Upload className="w-4 h-4" />
+            Choose CSV or JSON
+            <input type="file" accept=".csv,.json,text/csv,application/json" onChange={chooseFile} className="hidden" />
+          </label>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-red-600 mb-4">{error}</p>}
+
+      {preview && (
+        <div className="border-t pt-4">
+          <h3 className="font-semibold mb-2">{preview.fileName}</h3>
+
+          {preview.problems.length > 0 && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-3 mb-3 text-sm text-red-700">
+              <p className="font-semibold mb-1">Nothing was imported. Fix these in the file and try again:</p>
+              <ul className="list-disc ml-5">
+                {preview.problems.map((problem, index) => <li key={index}>{problem}</li>)}
+              </ul>
+            </div>
+          )}
+
+          {preview.problems.length === 0 && preview.changes.length === 0 && (
+            <p className="text-sm text-gray-600 mb-3">The file matches the picks already saved; there's nothing to import.</p>
+          )}
+
+          {preview.problems.length === 0 && preview.changes.length > 0 && (
+            <table className="w-full text-sm mb-3">
+              <thead>
+                <tr className="text-left text-gray-500 border-b">
+                  <th className="py-1">Player</th>
+                  <th className="py-1">Pick</th>
+                  <th className="py-1">Now</th>
+                  <th className="py-1">From file</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.changes.map(({ player, key, from, to }) => (
+                  <tr key={`${player}:${key}`} className="border-b">
+                    <td className="py-1">{nameOf(player)}</td>
+                    <td className="py-1">{describePickKey(key, games)}</td>
+                    <td className="py-1 text-gray-500">{from ?? '—'}</td>
+                    <td className="py-1 font-semibold">{to}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+
+          {preview.skipped.length > 0 && (
+            <p className="text-sm text-gray-600 mb-3">
+              {preview.skipped.length} change{preview.skipped.length === 1 ? '' : 's'} left out for locked games or
+              other players' PINs. Parent mode can import them.
+            </p>
+          )}
+
+          <div className="flex gap-2">
+            {preview.problems.length === 0 && preview.changes.length > 0 && (
+              <button
+                onClick={() => run(onConfirm)}
+                disabled={busy}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 disabled:opacity-50"
+              >
+                Import {preview.changes.length} change{preview.changes.length === 1 ? '' : 's'}
+              </button>
+            )}
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              {preview.problems.length === 0 && preview.changes.length > 0 ? 'Cancel' : 'Close'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PickTransfer;
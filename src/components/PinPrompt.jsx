@@ -0,0 +1,49 @@
+import React, { useState } from 'react';
+import { Lock } from 'lucide-react';
+
+const PinPrompt = ({ title, onSubmit, onCancel }) => {
+  const [pin, setPin] = useState('');
+
+  const submit = (e) => {
+    e.preventDefault();
+    if (pin) onSubmit(pin);
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-40 flex items-center justify-center p-4 z-50">
+      <form onSubmit={submit} className="bg-white rounded-lg shadow-lg p-6 w-full max-w-xs">
+        <h2 className="font-bold text-lg mb-4 flex items-center gap-2">
+          <Lock className="w-5 h-5 text-gray-500" />
+          {title}
+        </h2>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoFocus
+          value={pin}
+          onChange={(e) => setPin(e.target.value.replace(/\D/g, '').slice(0, 6))}
+          placeholder="PIN"
+          className="w-full px-4 py-2 border rounded-lg text-center text-2xl tracking-widest focus:ring-2 focus:ring-blue-500 mb-4"
+        />
+        <div className="flex gap-2">
+          <button
+            type="button"
+            onClick={onCancel}
+            className="flex-1 px-4 py-2 bg-gray-200 rounded-lg hover:bg-gray-300"
+          >
+            Cancel
+          </button>
+          <button
+            type="submit"
+            disabled={!pin}
+            className="flex-1 px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50"
+          >
+            OK
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PinPrompt;
@@ -0,0 +1,193 @@
+import React, { useState, useEffect } from 'react';
+import { Award, RefreshCw, UserCircle } from 'lucide-react';
+import { fetchPlayerStats } from '../lib/api';
+import { parseWeekKey, weekLabel } from '../lib/weeks';
+
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+const Stat = ({ label, value, detail }) => (
+  <div className="border rounded-lg p-3">
+    <p className="text-xs uppercase tracking-wide text-gray-500">{label}</p>
+    <p className="text-xl font-bold">{value}</p>
+    {detail && <p className="text-xs text-gray-500">{detail}</p>}
+  </div>
+);
+
+const weekName = (key) => {
+  const ref = parseWeekKey(key);
+  return ref ? `${weekLabel(ref)}, ${ref.season}` : key;
+};
+
+// One player's career across every stored week: accuracy, how they pick,
+// tiebreakers, streaks, head-to-head records and badges
+const PlayerProfile = ({ players, initialPlayer, auth, nameOf }) => {
+  const [player, setPlayer] = useState(initialPlayer || players[0] || '');
+  const [stats, setStats] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadStats = async () => {
+    if (!player) return;
+    setLoading(true);
+    setError(null);
+
+    try {
+      setStats(await fetchPlayerStats(player, auth));
+    } catch (err) {
+      console.error('Error loading player stats:', err);
+      setError('Failed to load this player\'s stats. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    setStats(null);
+    loadStats();
+  }, [player]);
+
+  const profile = stats?.profile;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <UserCircle className="text-sky-500" />
+          Player Profile
+        </h2>
+        <button
+          onClick={loadStats}
+          disabled={loading || !player}
+          className="px-3 py-1 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 flex items-center gap-1"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      <select
+        value={player}
+        onChange={(e) => setPlayer(e.target.value)}
+        className="px-4 py-2 border rounded-lg mb-4 focus:ring-2 focus:ring-sky-500"
+      >
+        {players.map(id => <option key={id} value={id}>{nameOf(id)}</option>)}
+      </select>
+
+      {error && <p className="text-red-600 mb-4">{error}</p>}
+      {loading && !profile && <p className="text-gray-500">Loading...</p>}
+      {profile && profile.overall.weeksPlayed === 0 && (
+        <p className="text-gray-500">{nameOf(player)} hasn't made any picks yet.</p>
+      )}
+
+      {profile && profile.overall.weeksPlayed > 0 && (
+        <>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+            <Stat
+              label="Accuracy"
+              value={percent(profile.overall.accuracy)}
+              detail={`${profile.overall.correct} of ${profile.overall.decided} over ${profile.overall.weeksPlayed} week${profile.overall.weeksPlayed === 1 ? '' : 's'}`}
+            />
+            <Stat label="Weeks Won" value={profile.overall.weeklyWins} />
+            <Stat label="Best Streak" value={profile.bestStreak} detail={`${profile.currentStreak} right in a row now`} />
+            <Stat
+              label="Tiebreaker"
+              value={profile.tiebreaker.averageMiss === null ? '—' : `±${profile.tiebreaker.averageMiss.toFixed(1)}`}
+              detail={`average miss · ${profile.tiebreaker.exact} exact`}
+            />
+            <Stat
+              label="Home Teams"
+              value={`${profile.sides.home.picked} picks`}
+              detail={`${percent(profile.sides.home.accuracy)} right`}
+            />
+            <Stat
+              label="Away Teams"
+              value={`${profile.sides.away.picked} picks`}
+              detail={`${percent(profile.sides.away.accuracy)} right`}
+            />
+            <Stat
+              label="Favorites"
+              value={`${profile.lines.favorite.picked} picks`}
+              detail={`${percent(profile.lines.favorite.accuracy)} right`}
+            />
+            <Stat
+              label="Underdogs"
+              value={`${profile.lines.underdog.picked} picks`}
+              detail={`${percent(profile.lines.underdog.accuracy)} right`}
+            />
+          </div>
+
+          <h3 className="font-semibold mb-2 flex items-center gap-2">
+            <Award className="w-4 h-4 text-yellow-500" />
+            Badges
+          </h3>
+          {profile.badges.length === 0 ? (
+            <p className="text-sm text-gray-500 mb-6">No badges yet.</p>
+          ) : (
+            <div className="flex flex-wrap gap-2 mb-6">
+              {profile.badges.map(badge => (
+                <div
+                  key={badge.id}
+                  title={`${badge.description}. First earned ${weekName(badge.first)}.`}
+                  className="bg-yellow-50 border border-yellow-300 rounded-lg px-3 py-2 text-sm"
+                >
+                  <span className="font-semibold">{badge.label}</span>
+                  {badge.count > 1 && <span className="text-gray-500"> ×{badge.count}</span>}
+                </div>
+              ))}
+            </div>
+          )}
+
+          <div className="grid md:grid-cols-2 gap-6">
+            <div>
+              <h3 className="font-semibold mb-2">Teams picked</h3>
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-gray-500 border-b">
+                    <th className="py-1">Team</th>
+                    <th className="py-1">Picked</th>
+                    <th className="py-1">Right</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {profile.teams.map(row => (
+                    <tr key={row.team} className="border-b">
+                      <td className="py-1 font-semibold">{row.team}</td>
+                      <td className="py-1">{row.picked}</td>
+                      <td className="py-1">{percent(row.accuracy)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+
+            <div>
+              <h3 className="font-semibold mb-2">Head to head</h3>
+              {Object.keys(profile.headToHead).length === 0 ? (
+                <p className="text-sm text-gray-500">No finished weeks against anyone yet.</p>
+              ) : (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="text-left text-gray-500 border-b">
+                      <th className="py-1">Against</th>
+                      <th className="py-1">W-L-T</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {Object.entries(profile.headToHead).map(([opponent, record]) => (
+                      <tr key={opponent} className="border-b">
+                        <td className="py-1">{nameOf(opponent)}</td>
+                        <td className="py-1">{record.wins}-{record.losses}-{record.ties}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default PlayerProfile;
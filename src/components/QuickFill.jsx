@@ -0,0 +1,127 @@
+import React, { useState } from 'react';
+import { Check, Dices, Home, RotateCcw, Star, Users, Zap } from 'lucide-react';
+import { QUICK_FILLS } from '../lib/quickfill';
+
+const ICONS = { home: Home, favorites: Star, random: Dices, template: Users };
+
+// One-tap fills for the selected player. Nothing is saved until the preview
+// is confirmed, and the last confirmed fill can be undone. templates are the
+// players whose picks can be copied; the app only offers them in parent mode
+// since open picks are hidden from everyone else.
+const QuickFill = ({ player, templates, games, nameOf, preview, canUndo, onPreview, onConfirm, onCancel, onUndo }) => {
+  const [templatePlayer, setTemplatePlayer] = useState('');
+  const [flip, setFlip] = useState(0);
+
+  const matchup = (gameId) => {
+    const game = games.find(g => g.id === gameId);
+    return game ? `${game.away} @ ${game.home}` : gameId;
+  };
+
+  const start = (kind) => {
+    if (kind === 'random') {
+      const next = flip + 1;
+      setFlip(next);
+      onPreview(kind, { flip: next });
+    } else {
+      onPreview(kind, { templatePlayer });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Zap className="text-orange-500" />
+        Quick Picks for {nameOf(player)}
+      </h2>
+
+      <div className="grid grid-cols-2 md:grid-cols-4 gap-2 mb-4">
+        {Object.entries(QUICK_FILLS).filter(([kind]) => kind !== 'template' || templates.length > 0).map(([kind, fill]) => {
+          const Icon = ICONS[kind];
+          return (
+            <button
+              key={kind}
+              onClick={() => start(kind)}
+              disabled={kind === 'template' && !templatePlayer}
+              title={fill.description}
+              className={`px-3 py-2 rounded-lg text-sm flex items-center justify-center gap-2 disabled:opacity-50 ${
+                preview?.kind === kind ? 'bg-orange-500 text-white' : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+              }`}
+            >
+              <Icon className="w-4 h-4" />
+              {kind === 'random' && preview?.kind === 'random' ? 'Flip again' : fill.label}
+            </button>
+          );
+        })}
+      </div>
+
+      {templates.length > 0 && (
+        <select
+          value={templatePlayer}
+          onChange={(e) => setTemplatePlayer(e.target.value)}
+          className="px-4 py-2 border rounded-lg text-sm mb-4 focus:ring-2 focus:ring-orange-500"
+        >
+          <option value="">Copy whose picks?</option>
+          {templates.map(id => <option key={id} value={id}>{nameOf(id)}</option>)}
+        </select>
+      )}
+
+      {preview && (
+        <div className="border-t pt-4">
+          <p className="text-sm text-gray-600 mb-2">{QUICK_FILLS[preview.kind].description}</p>
+
+          {preview.changes.length === 0 ? (
+            <p className="text-sm text-gray-600 mb-3">Nothing to change; those picks are already in.</p>
+          ) : (
+            <ul className="text-sm mb-3 space-y-1">
+              {preview.changes.map(({ gameId, from, to }) => (
+                <li key={gameId} className="flex gap-2 border-b py-1">
+                  <span className="flex-1">{matchup(gameId)}</span>
+                  <span className="text-gray-500">{from ?? '—'}</span>
+                  <span>→</span>
+                  <span className="font-semibold w-12">{to}</span>
+                </li>
+              ))}
+            </ul>
+          )}
+
+          {(preview.locked > 0 || preview.noLine > 0) && (
+            <p className="text-sm text-gray-600 mb-3">
+              {preview.locked > 0 && `${preview.locked} locked game${preview.locked === 1 ? '' : 's'} left alone. `}
+              {preview.noLine > 0 && `${preview.noLine} game${preview.noLine === 1 ? ' has' : 's have'} no line yet.`}
+            </p>
+          )}
+
+          <div className="flex gap-2">
+            {preview.changes.length > 0 && (
+              <button
+                onClick={onConfirm}
+                className="px-4 py-2 bg-green-500 text-white rounded-lg hover:bg-green-600 flex items-center gap-2"
+              >
+                <Check className="w-4 h-4" />
+                Use {preview.changes.length} pick{preview.changes.length === 1 ? '' : 's'}
+              </button>
+            )}
+            <button
+              onClick={onCancel}
+              className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200"
+            >
+              {preview.changes.length > 0 ? 'Cancel' : 'Close'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {!preview && canUndo && (
+        <button
+          onClick={onUndo}
+          className="px-4 py-2 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 flex items-center gap-2"
+        >
+          <RotateCcw className="w-4 h-4" />
+          Undo quick picks
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default QuickFill;
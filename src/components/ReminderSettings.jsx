@@ -0,0 +1,156 @@
+import React, { useState, useEffect } from 'react';
+import { Bell, BellOff } from 'lucide-react';
+import { fetchReminderSettings, fetchReminderStatus, saveReminderSettings, subscribeReminders, unsubscribeReminders } from '../lib/api';
+import { currentSubscription, isPushAvailable, subscribePush, unsubscribePush } from '../lib/push';
+
+// Reminders before picks lock. A player turns them on for this device;
+// parents add email addresses and a webhook for the family chat.
+const ReminderSettings = ({ player, players, nameOf, auth, adminPin }) => {
+  const [status, setStatus] = useState(null);
+  const [deviceOn, setDeviceOn] = useState(false);
+  const [webhookUrl, setWebhookUrl] = useState('');
+  const [emails, setEmails] = useState({});
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const refresh = async () => {
+    const [next, subscription] = await Promise.all([fetchReminderStatus(), currentSubscription()]);
+    setStatus(next);
+    setDeviceOn(!!subscription && next.pushPlayers.includes(player));
+  };
+
+  useEffect(() => {
+    refresh().catch(err => setError(err.message));
+  }, [player]);
+
+  useEffect(() => {
+    if (!adminPin) return;
+    fetchReminderSettings(adminPin)
+      .then(settings => {
+        setWebhookUrl(settings.webhookUrl || '');
+        setEmails(settings.emails);
+      })
+      .catch(err => setError(err.message));
+  }, [adminPin]);
+
+  // Run a change, showing its error inline
+  const run = async (action) => {
+    setBusy(true);
+    setError(null);
+    setSaved(false);
+
+    try {
+      await action();
+      return true;
+    } catch (err) {
+      setError(err.message);
+      return false;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleDevice = () => run(async () => {
+    if (deviceOn) {
+      // The server has to agree first, or a wrong PIN would leave this
+      // device signed up with nothing to receive on
+      const subscription = await currentSubscription();
+      if (subscription) await unsubscribeReminders(player, subscription.endpoint, auth);
+      await unsubscribePush();
+    } else {
+      await subscribeReminders(player, await subscribePush(status.vapidPublicKey), auth);
+    }
+    await refresh();
+  });
+
+  const save = async () => {
+    const ok = await run(async () => {
+      const settings = await saveReminderSettings({ webhookUrl: webhookUrl.trim() || null, emails }, adminPin);
+      setEmails(settings.emails);
+      await refresh();
+    });
+    setSaved(ok);
+  };
+
+  const canPush = isPushAvailable() && !!status?.vapidPublicKey;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Bell className="text-amber-500" />
+        Pick Reminders
+      </h2>
+
+      {error && <p className="text-red-600 mb-2">{error}</p>}
+
+      {!player ? (
+        <p className="text-gray-500 mb-4">Pick your name to get reminders on this device.</p>
+      ) : !canPush ? (
+        <p className="text-gray-500 mb-4">This browser can't show reminders.</p>
+      ) : (
+        <div className="flex items-center gap-4 mb-4">
+          <span className="flex-1">
+            {deviceOn
+              ? `This device reminds ${nameOf(player)} before picks lock.`
+              : `Remind ${nameOf(player)} on this device when picks are about to lock.`}
+          </span>
+          <button
+            onClick={toggleDevice}
+            disabled={busy || !status}
+            className={`px-4 py-2 rounded-lg flex items-center gap-2 disabled:opacity-50 ${
+              deviceOn ? 'bg-gray-100 text-gray-700 hover:bg-gray-200' : 'bg-amber-500 text-white hover:bg-amber-600'
+            }`}
+          >
+            {deviceOn ? <BellOff className="w-4 h-4" /> : <Bell className="w-4 h-4" />}
+            {deviceOn ? 'Turn Off' : 'Turn On'}
+          </button>
+        </div>
+      )}
+
+      {status && (
+        <p className="text-sm text-gray-600 mb-4">
+          Push: {status.pushPlayers.length > 0 ? status.pushPlayers.map(nameOf).join(', ') : 'nobody yet'}
+          {' · '}Email: {status.emailPlayers.length > 0 ? status.emailPlayers.map(nameOf).join(', ') : 'nobody yet'}
+          {status.hasWebhook && ' · Family chat webhook set'}
+        </p>
+      )}
+
+      {adminPin && (
+        <div className="space-y-2">
+          <h3 className="font-semibold">Email and chat</h3>
+          <input
+            value={webhookUrl}
+            onChange={(e) => setWebhookUrl(e.target.value)}
+            placeholder="Chat webhook URL (https://...)"
+            className="w-full px-4 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500"
+          />
+          {players.map(id => (
+            <div key={id} className="flex items-center gap-2">
+              <span className="w-32 font-semibold">{nameOf(id)}</span>
+              <input
+                type="email"
+                value={emails[id] || ''}
+                onChange={(e) => setEmails({ ...emails, [id]: e.target.value.trim() })}
+                placeholder="Email address"
+                className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-amber-500"
+              />
+            </div>
+          ))}
+          <div className="flex items-center gap-4">
+            <button
+              onClick={save}
+              disabled={busy}
+              className="px-4 py-2 bg-amber-500 text-white rounded-lg hover:bg-amber-600 disabled:opacity-50"
+            >
+              Save Reminders
+            </button>
+            {saved && <span className="text-sm text-green-600">Saved</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ReminderSettings;
@@ -0,0 +1,169 @@
+import React, { useState } from 'react';
+import { Users, ArrowUp, ArrowDown, UserPlus, KeyRound } from 'lucide-react';
+import { createPlayer, PLAYER_COLORS } from '../lib/roster';
+
+const swatch = {
+  blue: 'bg-blue-500',
+  green: 'bg-green-500',
+  red: 'bg-red-500',
+  purple: 'bg-purple-500',
+  orange: 'bg-orange-500',
+  pink: 'bg-pink-500',
+  teal: 'bg-teal-500',
+  yellow: 'bg-yellow-400'
+};
+
+// Parents change the roster; everyone can set their own PIN
+const RosterManager = ({ roster, canEdit = true, onChange, pinPlayers = [], onSetPin, onClearPin }) => {
+  const [newName, setNewName] = useState('');
+  const [drafts, setDrafts] = useState({});
+
+  const updatePlayer = (id, changes) => {
+    onChange({
+      ...roster,
+      players: roster.players.map(player => (player.id === id ? { ...player, ...changes } : player))
+    });
+  };
+
+  const movePlayer = (index, offset) => {
+    const players = [...roster.players];
+    const [player] = players.splice(index, 1);
+    players.splice(index + offset, 0, player);
+    onChange({ ...roster, players });
+  };
+
+  const addPlayer = () => {
+    if (!newName.trim()) return;
+    onChange({ ...roster, players: [...roster.players, createPlayer(newName, roster)] });
+    setNewName('');
+  };
+
+  // Names are saved when the field loses focus, not on every keystroke
+  const commitName = (player) => {
+    const name = drafts[player.id]?.trim();
+    if (name && name !== player.name) {
+      updatePlayer(player.id, { name });
+    }
+    setDrafts({ ...drafts, [player.id]: undefined });
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Users className="text-blue-500" />
+        Players
+      </h2>
+
+      {!canEdit && <p className="text-sm text-gray-500 mb-4">Turn on parent mode to add, rename or deactivate players.</p>}
+
+      <div className="space-y-2 mb-6">
+        {roster.players.map((player, index) => (
+          <div
+            key={player.id}
+            className={`flex items-center gap-2 border rounded-lg p-2 ${player.active ? '' : 'opacity-50'}`}
+          >
+            <div className="flex flex-col">
+              <button
+                onClick={() => movePlayer(index, -1)}
+                disabled={!canEdit || index === 0}
+                className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                title="Move up"
+              >
+                <ArrowUp className="w-4 h-4" />
+              </button>
+              <button
+                onClick={() => movePlayer(index, 1)}
+                disabled={!canEdit || index === roster.players.length - 1}
+                className="text-gray-500 hover:text-gray-800 disabled:opacity-30"
+                title="Move down"
+              >
+                <ArrowDown className="w-4 h-4" />
+              </button>
+            </div>
+
+            <input
+              value={player.emoji}
+              onChange={(e) => updatePlayer(player.id, { emoji: Array.from(e.target.value).slice(0, 2).join('') })}
+              placeholder="🙂"
+              disabled={!canEdit}
+              className="w-12 px-2 py-1 border rounded text-center"
+              title="Emoji"
+            />
+
+            <input
+              value={drafts[player.id] ?? player.name}
+              onChange={(e) => setDrafts({ ...drafts, [player.id]: e.target.value })}
+              onBlur={() => commitName(player)}
+              onKeyDown={(e) => e.key === 'Enter' && e.target.blur()}
+              disabled={!canEdit}
+              className="flex-1 px-3 py-1 border rounded"
+            />
+
+            <div className="flex gap-1">
+              {PLAYER_COLORS.map(color => (
+                <button
+                  key={color}
+                  onClick={() => updatePlayer(player.id, { color })}
+                  disabled={!canEdit}
+                  className={`w-5 h-5 rounded-full ${swatch[color]} ${
+                    player.color === color ? 'ring-2 ring-offset-1 ring-gray-700' : ''
+                  }`}
+                  title={color}
+                />
+              ))}
+            </div>
+
+            <button
+              onClick={() => onSetPin(player)}
+              className="px-2 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700 flex items-center gap-1"
+              title={pinPlayers.includes(player.id) ? 'Change PIN' : 'Set PIN'}
+            >
+              <KeyRound className="w-4 h-4" />
+              {pinPlayers.includes(player.id) ? 'Change' : 'Set'}
+            </button>
+            {pinPlayers.includes(player.id) && (
+              <button
+                onClick={() => onClearPin(player)}
+                className="px-2 py-1 rounded text-sm bg-gray-100 hover:bg-gray-200 text-gray-700"
+              >
+                No PIN
+              </button>
+            )}
+
+            <button
+              onClick={() => updatePlayer(player.id, { active: !player.active })}
+              disabled={!canEdit}
+              className={`px-3 py-1 rounded text-sm disabled:opacity-50 ${
+                player.active ? 'bg-gray-100 hover:bg-gray-200 text-gray-700' : 'bg-green-100 hover:bg-green-200 text-green-700'
+              }`}
+            >
+              {player.active ? 'Deactivate' : 'Activate'}
+            </button>
+          </div>
+        ))}
+      </div>
+
+      {canEdit && (
+        <div className="flex gap-2">
+          <input
+            value={newName}
+            onChange={(e) => setNewName(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addPlayer()}
+            placeholder="New player name..."
+            className="flex-1 px-4 py-2 border rounded-lg focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            onClick={addPlayer}
+            disabled={!newName.trim()}
+            className="px-4 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 flex items-center gap-2"
+          >
+            <UserPlus className="w-4 h-4" />
+            Add Player
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RosterManager;
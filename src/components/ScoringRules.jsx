@@ -0,0 +1,92 @@
+import React, { useState, useEffect } from 'react';
+import { Scale } from 'lucide-react';
+import { SCORING_RULES } from '../lib/rules';
+
+// Shows the season's scoring rules; parents can change them
+const ScoringRules = ({ season, rules, canEdit, onSave }) => {
+  const [draft, setDraft] = useState(rules);
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    setDraft(rules);
+  }, [rules]);
+
+  const save = async () => {
+    setSaving(true);
+    setError(null);
+
+    try {
+      await onSave(draft);
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const changed = draft.type !== rules.type || draft.upsetBonus !== rules.upsetBonus;
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <h2 className="text-2xl font-bold mb-4 flex items-center gap-2">
+        <Scale className="text-indigo-500" />
+        {season} Scoring
+      </h2>
+
+      <div className="space-y-2 mb-4">
+        {Object.entries(SCORING_RULES).map(([type, rule]) => (
+          <label
+            key={type}
+            className={`block border rounded-lg p-3 ${draft.type === type ? 'border-indigo-400 bg-indigo-50' : 'border-gray-200'} ${
+              canEdit ? 'cursor-pointer' : ''
+            }`}
+          >
+            <div className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="scoring-rule"
+                checked={draft.type === type}
+                disabled={!canEdit}
+                onChange={() => setDraft({ ...draft, type })}
+              />
+              <span className="font-semibold">{rule.label}</span>
+            </div>
+            <p className="text-sm text-gray-600 ml-6">{rule.description}</p>
+          </label>
+        ))}
+      </div>
+
+      {draft.type === 'upset' && (
+        <label className="flex items-center gap-2 mb-4 text-sm">
+          Underdog bonus
+          <input
+            type="number"
+            min="1"
+            value={draft.upsetBonus}
+            disabled={!canEdit}
+            onChange={(e) => setDraft({ ...draft, upsetBonus: parseInt(e.target.value) || 1 })}
+            className="w-16 px-2 py-1 border rounded"
+          />
+          {draft.upsetBonus === 1 ? 'point' : 'points'}
+        </label>
+      )}
+
+      {error && <p className="text-red-600 mb-2">{error}</p>}
+
+      {canEdit ? (
+        <button
+          onClick={save}
+          disabled={!changed || saving}
+          className="px-4 py-2 bg-indigo-500 text-white rounded-lg hover:bg-indigo-600 disabled:opacity-50"
+        >
+          {saving ? 'Saving...' : 'Save Scoring Rules'}
+        </button>
+      ) : (
+        <p className="text-sm text-gray-500">A parent can change the scoring rules in parent mode.</p>
+      )}
+    </div>
+  );
+};
+
+export default ScoringRules;
@@ -0,0 +1,172 @@
+import React, { useState, useEffect } from 'react';
+import { ClipboardList, Trophy, RefreshCw } from 'lucide-react';
+import { fetchSeasonStandings } from '../lib/api';
+import { describeEntry } from '../lib/audit';
+import { parseWeekKey, seasonWeeks, shortWeekLabel, weekKey, weekLabel } from '../lib/weeks';
+
+const formatStreak = (streak) => {
+  if (streak > 0) return `W${streak}`;
+  if (streak < 0) return `L${-streak}`;
+  return '-';
+};
+
+const SeasonStandings = ({ season: year, nameOf }) => {
+  const [season, setSeason] = useState(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadSeason = async () => {
+    setLoading(true);
+    setError(null);
+
+    try {
+      setSeason(await fetchSeasonStandings(year));
+    } catch (err) {
+      console.error('Error loading season standings:', err);
+      setError('Failed to load season standings. Please try again.');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    loadSeason();
+  }, [year]);
+
+  const weeks = seasonWeeks(year).map(weekKey);
+  const standings = season?.standings || [];
+  const showPoints = !!season?.rules && season.rules.type !== 'classic';
+  const corrections = season?.corrections || [];
+  const correctedWeeks = new Set(corrections.map(entry => entry.week).filter(Boolean));
+  const weekHigh = {};
+  weeks.forEach(week => {
+    weekHigh[week] = Math.max(-1, ...standings.map(row => row.byWeek[week] ?? -1));
+  });
+
+  return (
+    <div className="bg-white rounded-lg shadow-lg p-6 mb-6">
+      <div className="flex items-center justify-between mb-4">
+        <h2 className="text-2xl font-bold flex items-center gap-2">
+          <Trophy className="text-yellow-500" />
+          {year} Season Standings
+        </h2>
+        <button
+          onClick={loadSeason}
+          disabled={loading}
+          className="px-3 py-1 text-sm bg-blue-500 text-white rounded-lg hover:bg-blue-600 disabled:opacity-50 flex items-center gap-1"
+        >
+          <RefreshCw className={`w-4 h-4 ${loading ? 'animate-spin' : ''}`} />
+          Refresh
+        </button>
+      </div>
+
+      {error && (
+        <div className="bg-red-100 border border-red-400 text-red-700 px-4 py-3 rounded mb-4">
+          {error}
+        </div>
+      )}
+
+      {!loading && season && standings.length === 0 && (
+        <p className="text-gray-500">No picks have been scored yet this season.</p>
+      )}
+
+      {standings.length > 0 && (
+        <>
+          <div className="overflow-x-auto mb-6">
+            <table className="w-full text-left">
+              <thead>
+                <tr className="border-b text-sm text-gray-500">
+                  <th className="py-2 pr-4">#</th>
+                  <th className="py-2 pr-4">Player</th>
+                  {showPoints && <th className="py-2 pr-4">Points</th>}
+                  <th className="py-2 pr-4">Correct</th>
+                  <th className="py-2 pr-4">Win %</th>
+                  <th className="py-2 pr-4">Weekly Wins</th>
+                  <th className="py-2 pr-4">Streak</th>
+                  <th className="py-2">Best Week</th>
+                </tr>
+              </thead>
+              <tbody>
+                {standings.map((row, index) => (
+                  <tr key={row.player} className={`border-b ${index === 0 ? 'bg-yellow-50' : ''}`}>
+                    <td className="py-2 pr-4 text-gray-500">{index + 1}</td>
+                    <td className="py-2 pr-4 font-semibold flex items-center gap-2">
+                      {nameOf(row.player)}
+                      {index === 0 && <Trophy className="w-4 h-4 text-yellow-500" />}
+                    </td>
+                    {showPoints && <td className="py-2 pr-4 font-semibold">{row.points}</td>}
+                    <td className="py-2 pr-4">{row.correct} / {row.decided}</td>
+                    <td className="py-2 pr-4">{(row.winPct * 100).toFixed(1)}%</td>
+                    <td className="py-2 pr-4">{row.weeklyWins}</td>
+                    <td className="py-2 pr-4">{formatStreak(row.streak)}</td>
+                    <td className="py-2">
+                      {row.bestWeek ? `${weekLabel(parseWeekKey(row.bestWeek.key))} (${row.bestWeek.score})` : '-'}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          <h3 className="font-bold text-lg mb-2">Week by Week</h3>
+          <div className="overflow-x-auto">
+            <table className="text-sm text-center">
+              <thead>
+                <tr className="border-b text-gray-500">
+                  <th className="py-1 pr-3 text-left">Player</th>
+                  {weeks.map(week => (
+                    <th key={week} className="py-1 px-2" title={correctedWeeks.has(week) ? 'A parent corrected this week' : undefined}>
+                      {shortWeekLabel(parseWeekKey(week))}{correctedWeeks.has(week) && '*'}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {standings.map(row => (
+                  <tr key={row.player} className="border-b">
+                    <td className="py-1 pr-3 text-left font-semibold">{nameOf(row.player)}</td>
+                    {weeks.map(week => (
+                      <td
+                        key={week}
+                        className={`py-1 px-2 ${
+                          row.byWeek[week] !== undefined && row.byWeek[week] === weekHigh[week]
+                            ? 'bg-yellow-100 font-bold'
+                            : ''
+                        }`}
+                      >
+                        {row.byWeek[week] ?? '-'}
+                      </td>
+                    ))}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+
+          {corrections.length > 0 && (
+            <>
+              <h3 className="font-bold text-lg mt-6 mb-2 flex items-center gap-2">
+                <ClipboardList className="w-5 h-5 text-gray-500" />
+                Corrections
+              </h3>
+              <p className="text-sm text-gray-500 mb-2">Weeks marked * include changes a parent made by hand.</p>
+              <ul className="space-y-1 text-sm">
+                {[...corrections].reverse().map((entry, index) => (
+                  <li key={index} className="border-b py-1">
+                    <span className="text-gray-500">{new Date(entry.at).toLocaleDateString()}</span>
+                    {' '}{describeEntry(entry, nameOf)}
+                    {entry.action !== 'rescore' && <>{' '}{entry.from ?? '—'} → {entry.to ?? '—'}</>}
+                    {entry.action === 'rescore' && <>: {entry.to}</>}
+                    {entry.reason && <span className="text-gray-500"> ({entry.reason})</span>}
+                  </li>
+                ))}
+              </ul>
+            </>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default SeasonStandings;
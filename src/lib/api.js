@@ -0,0 +1,174 @@
+// Client calls to the Netlify functions, and the one way the app talks to
+// them.
+//
+// The league's shared data (picks, the roster, and the schedule and
+// standings the sheet mirrors) is read and written through the storage
+// adapter in storage.js, whose functions adapter uses createFunctionsClient
+// below. The calls in this module are outside the adapter on purpose: the
+// schedule and results always come from the functions, and parent tools,
+// PINs, leagues, reminders, history, stats and exports only exist there,
+// so the app offers them only while the functions adapter is connected.
+// They act for the league this device is looking at (currentLeagueId).
+
+import { currentLeagueId } from './leagues.js';
+import { withRetry } from './retry.js';
+import { weekQuery } from './weeks.js';
+
+const FUNCTIONS_BASE = '/.netlify/functions';
+
+// Who is reading picks, so the server can show them their own picks for
+// games that haven't locked; auth is { playerId, pin, adminPin }
+export const viewerHeaders = ({ playerId, pin, adminPin } = {}) => ({
+  ...(playerId && { 'X-Player-Id': playerId }),
+  ...(pin && { 'X-Player-Pin': pin }),
+  ...(adminPin && { 'X-Admin-Pin': adminPin })
+});
+
+// call(path, { method, body, headers, leagueId, text }) resolves to the
+// function's JSON answer (or text). Every failure is an Error with a code:
+// network_error when there was no answer, else the function's own
+// { error: { code, message } } code, or server_error when it didn't give
+// one. status is the HTTP status and only server failures are retryable.
+export const createFunctionsClient = ({ base = FUNCTIONS_BASE, fetcher = (...args) => fetch(...args) } = {}) => (
+  async (path, { method = 'GET', body, headers = {}, leagueId = currentLeagueId(), text = false } = {}) => {
+    let response;
+    try {
+      response = await fetcher(`${base}/${path}`, {
+        method,
+        headers: {
+          ...(body !== undefined && { 'Content-Type': 'application/json' }),
+          'X-League-Id': leagueId,
+          ...headers
+        },
+        ...(body !== undefined && { body: JSON.stringify(body) })
+      });
+    } catch (err) {
+      const error = new Error('Could not reach the server');
+      error.code = 'network_error';
+      throw error;
+    }
+
+    if (!response.ok) {
+      // Functions answer errors with { error: { code, message } } or a
+      // plain { error: message }
+      const result = await response.json().catch(() => ({}));
+      const message = typeof result.error === 'string' ? result.error : result.error?.message;
+      const error = new Error(message || `The server answered ${response.status}`);
+      error.code = result.error?.code || 'server_error';
+      error.status = response.status;
+      error.retryable = response.status >= 500;
+      throw error;
+    }
+
+    return text ? response.text() : response.json();
+  }
+);
+
+const callFunction = createFunctionsClient();
+
+const getJSON = (path, auth) => callFunction(path, { headers: viewerHeaders(auth) });
+
+const postJSON = (path, body) => callFunction(path, { method: 'POST', body });
+
+// Schedule and results for a week, served from the results store. stale is
+// true when the server couldn't refresh them from the schedule provider.
+export const fetchWeekGames = (ref) => withRetry(() => getJSON(`games?${weekQuery(ref)}`));
+
+// Parent override of the week's tiebreaker game; null restores the default
+export const setTiebreakerGame = (ref, gameId, adminPin) => postJSON('games', { ...ref, gameId, adminPin });
+
+// Parent corrections to a game's result; a null override goes back to the
+// schedule provider's. Both answer with the corrected week.
+export const setResultOverride = (ref, gameId, override, reason, adminPin) => postJSON('result-overrides', (
+  override
+    ? { action: 'set', ...ref, gameId, override, reason, adminPin }
+    : { action: 'clear', ...ref, gameId, reason, adminPin }
+));
+
+// Ask the provider for the week again and score it afresh
+export const rescoreWeek = (ref, adminPin) => postJSON('result-overrides', { action: 'rescore', ...ref, adminPin });
+
+// Season totals and the week-by-week grid for every player
+export const fetchSeasonStandings = (season) => getJSON(`season-standings?season=${season}`);
+
+// A season of picks as CSV text; format is csv (a row per pick) or grid
+export const fetchSeasonExport = (season, format, auth) => (
+  callFunction(`export-picks?season=${season}&format=${format}`, { headers: viewerHeaders(auth), text: true })
+);
+
+// A link anyone can open, so the league rides in the query string rather
+// than a header
+export const reportUrl = (kind, ref) => (
+  `${window.location.origin}${FUNCTIONS_BASE}/report?kind=${kind}&${weekQuery(ref)}&league=${encodeURIComponent(currentLeagueId())}`
+);
+
+// The scoring rules the league chose for a season
+export const fetchScoringRules = async (season) => (await getJSON(`scoring-rules?season=${season}`)).rules;
+
+export const saveScoringRules = async (season, rules, adminPin) => (
+  (await postJSON('scoring-rules', { season, rules, adminPin })).rules
+);
+
+// Ids of the players who have set a PIN
+export const fetchPinPlayers = async () => (await getJSON('player-auth')).pinPlayers;
+
+export const verifyPlayerPin = async (playerId, pin) => (
+  (await postJSON('player-auth', { action: 'verify', playerId, pin })).ok
+);
+
+export const verifyAdminPin = async (adminPin) => (
+  (await postJSON('player-auth', { action: 'verify', adminPin })).ok
+);
+
+// auth is { pin } with the current PIN or { adminPin }; a null pin clears it
+export const setPlayerPin = async (playerId, pin, auth) => (
+  (await postJSON('player-auth', { action: 'set-pin', playerId, pin, auth })).pinPlayers
+);
+
+export const fetchAuditLog = async (adminPin) => (
+  (await postJSON('player-auth', { action: 'audit', adminPin })).entries
+);
+
+// The current league's name, join code and whether it mirrors to a sheet
+export const fetchLeague = async () => (await getJSON('leagues')).league;
+
+export const createLeague = async (name, adminPin) => (
+  (await postJSON('leagues', { action: 'create', name, adminPin })).league
+);
+
+export const joinLeague = async (code) => (await postJSON('leagues', { action: 'join', code })).league;
+
+// changes is { name, sheetId }
+export const updateLeague = async (changes, adminPin) => (
+  (await postJSON('leagues', { action: 'update', ...changes, adminPin })).league
+);
+
+// The week ESPN's calendar says is current, as { season, type, week }
+export const fetchCurrentWeek = () => getJSON('current-week');
+
+// Who gets reminders, and the key devices subscribe to push with
+export const fetchReminderStatus = () => getJSON('reminders');
+
+// auth is { pin } or { adminPin }, as for changing a PIN, both ways
+export const subscribeReminders = (playerId, subscription, auth) => (
+  postJSON('reminders', { action: 'subscribe', playerId, subscription, auth })
+);
+
+export const unsubscribeReminders = (playerId, endpoint, auth) => (
+  postJSON('reminders', { action: 'unsubscribe', playerId, endpoint, auth })
+);
+
+export const fetchReminderSettings = async (adminPin) => (
+  (await postJSON('reminders', { action: 'settings', adminPin })).settings
+);
+
+export const saveReminderSettings = async (settings, adminPin) => (
+  (await postJSON('reminders', { action: 'save-settings', ...settings, adminPin })).settings
+);
+
+// Every change to the week's picks as the server got them, with what each
+// player had in at lock
+export const fetchPickHistory = (ref, auth) => getJSON(`pick-history?${weekQuery(ref)}`, auth);
+
+// A player's career stats and badges across every stored week
+export const fetchPlayerStats = (player, auth) => getJSON(`player-stats?player=${encodeURIComponent(player)}`, auth);
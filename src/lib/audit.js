@@ -0,0 +1,16 @@
+// How parent changes from the audit log read on screen
+import { parseWeekKey, weekLabel } from './weeks.js';
+
+// What an entry changed, e.g. "Week 3: Knox game 401", "Week 3: BUF @ KC
+// result" or "2025 season: scoring rules"
+export const describeEntry = (entry, nameOf) => {
+  if (entry.action === 'set-rules') return `${entry.season} season: scoring rules`;
+  if (entry.action === 'set-ties') return `${entry.season} season: tied games`;
+  if (entry.action === 'update-league') return 'League name';
+
+  const week = weekLabel(parseWeekKey(entry.week));
+  if (entry.action === 'set-tiebreaker') return `${week}: tiebreaker game`;
+  if (entry.action === 'set-result' || entry.action === 'clear-result') return `${week}: ${entry.matchup} result`;
+  if (entry.action === 'rescore') return `${week}: scores re-run`;
+  return `${week}: ${nameOf(entry.player)} ${entry.key === 'tiebreaker' ? 'tiebreaker' : `game ${entry.key}`}`;
+};
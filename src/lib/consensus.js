@@ -0,0 +1,75 @@
+// Who picked what: per-game consensus for the pick grid, and which picks
+// stay hidden until their game locks so nobody can copy. The functions
+// apply the same rule before anything with picks in it leaves the server.
+import { isLocked } from './locks.js';
+import { pickKeyGame } from './picks.js';
+
+// A pick made by at most this share of the players who picked the game is
+// a contrarian pick
+export const CONTRARIAN_SHARE = 1 / 3;
+
+// Contrarian only means something once a few people have picked the game
+const CONTRARIAN_MIN_PICKS = 3;
+
+// Players can always see their own picks, parents see everything, and
+// everyone else's stay hidden until the game locks
+export const isPickVisible = (game, player, { viewer, admin = false, now = Date.now() } = {}) => (
+  admin || player === viewer || isLocked(game, now)
+);
+
+// The same for any pick entry: the tiebreaker guess shows once the
+// tiebreaker game locks and a confidence rank with its game. An entry for
+// no game in the week only shows to its player and parents.
+export const isPickKeyVisible = (key, player, games, options = {}) => {
+  const game = pickKeyGame(key, games);
+  return game ? isPickVisible(game, player, options) : !!options.admin || player === options.viewer;
+};
+
+// A picks object with the entries the viewer can't see yet left out
+export const visiblePicks = (picks, games, options) => Object.fromEntries(
+  Object.entries(picks || {}).map(([player, entries]) => [
+    player,
+    Object.fromEntries(Object.entries(entries || {}).filter(([key]) => isPickKeyVisible(key, player, games, options)))
+  ])
+);
+
+// A { picks, stamps } record with the hidden entries and their stamps left out
+export const visibleRecord = ({ picks, stamps }, games, options) => {
+  const shown = visiblePicks(picks, games, options);
+  return {
+    picks: shown,
+    stamps: Object.fromEntries(Object.entries(stamps || {}).map(([player, entries]) => [
+      player,
+      Object.fromEntries(Object.entries(entries || {}).filter(([key]) => key in (shown[player] || {})))
+    ]))
+  };
+};
+
+// { [gameId]: { total, counts: { [team]: n }, percent: { [team]: 0-100 } } }
+export const pickConsensus = (games, players, picks) => {
+  const consensus = {};
+
+  games.forEach(game => {
+    const counts = { [game.away]: 0, [game.home]: 0 };
+    players.forEach(player => {
+      const team = picks[player]?.[game.id];
+      if (team in counts) counts[team]++;
+    });
+
+    const total = counts[game.away] + counts[game.home];
+    const percent = {};
+    Object.entries(counts).forEach(([team, count]) => {
+      percent[team] = total ? Math.round((count / total) * 100) : 0;
+    });
+
+    consensus[game.id] = { total, counts, percent };
+  });
+
+  return consensus;
+};
+
+export const isContrarian = (consensus, gameId, team) => {
+  const game = consensus[gameId];
+  if (!game || game.total < CONTRARIAN_MIN_PICKS || !(team in game.counts)) return false;
+  return game.counts[team] / game.total <= CONTRARIAN_SHARE;
+};
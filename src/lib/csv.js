@@ -0,0 +1,71 @@
+// Minimal RFC 4180 CSV: fields containing commas, quotes or line breaks are
+// quoted and quotes inside them doubled. That's what spreadsheets write and
+// read back.
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// rows are plain objects; columns is [[key, heading]] in output order
+export const toCSV = (columns, rows) => [
+  columns.map(([, heading]) => escapeField(heading)).join(','),
+  ...rows.map(row => columns.map(([key]) => escapeField(row[key])).join(','))
+].join('\r\n') + '\r\n';
+
+// Rows of fields, blank lines dropped
+export const parseCSV = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  // Spreadsheets sometimes start the file with a byte order mark
+  const source = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < source.length; i++) {
+    const char = source[i];
+
+    if (quoted) {
+      if (char === '"' && source[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+// Parsed rows as objects keyed by the header row
+export const csvRecords = (text) => {
+  const [header = [], ...rows] = parseCSV(text);
+  const keys = header.map(key => key.trim());
+  return {
+    header: keys,
+    records: rows.map(fields => Object.fromEntries(keys.map((key, i) => [key, (fields[i] ?? '').trim()])))
+  };
+};
@@ -0,0 +1,153 @@
+// ESPN scoreboard helpers shared by the app and the Netlify functions. The
+// fetching itself lives with the schedule providers (netlify/lib/providers.js).
+import { assignTiebreaker, gameSlot, sortByKickoff } from './schedule.js';
+import { isValidWeekRef, SEASON_TYPES, typeForId } from './weeks.js';
+
+export const SCOREBOARD_URL = 'https://site.api.espn.com/apis/site/v2/sports/football/nfl/scoreboard';
+
+// Without a week ESPN answers with the current week
+export const scoreboardUrl = (ref) => (
+  ref
+    ? `${SCOREBOARD_URL}?dates=${ref.season}&seasontype=${SEASON_TYPES[ref.type].id}&week=${ref.week}`
+    : SCOREBOARD_URL
+);
+
+// The betting line ESPN attaches before kickoff, as the favorite's
+// abbreviation and the points it gives. Null when there's no line.
+export const normalizeOdds = (competition, homeTeam, awayTeam) => {
+  const odds = competition.odds?.[0];
+  if (!odds) return null;
+
+  const spread = Math.abs(parseFloat(odds.spread));
+  if (isNaN(spread)) return null;
+
+  let favorite = null;
+  if (odds.homeTeamOdds?.favorite) {
+    favorite = homeTeam.team.abbreviation;
+  } else if (odds.awayTeamOdds?.favorite) {
+    favorite = awayTeam.team.abbreviation;
+  } else if (spread > 0) {
+    // ESPN's spread is from the home team's side: negative means home is favored
+    favorite = parseFloat(odds.spread) < 0 ? homeTeam.team.abbreviation : awayTeam.team.abbreviation;
+  }
+
+  return {
+    favorite,
+    spread,
+    overUnder: odds.overUnder ?? null,
+    details: odds.details || null
+  };
+};
+
+// Quarter, clock and who has the ball while a game is being played; null
+// before kickoff and after the final whistle
+export const normalizeLive = (competition, homeTeam, awayTeam) => {
+  const { status } = competition;
+  if (status.type.state !== 'in') return null;
+
+  const situation = competition.situation || {};
+  const possessor = [homeTeam, awayTeam].find(team => team.team.id && team.team.id === situation.possession);
+
+  return {
+    period: status.period ?? null,
+    clock: status.displayClock ?? null,
+    detail: status.type.shortDetail || status.type.detail || null, // e.g. "3rd 4:12" or "Halftime"
+    possession: possessor ? possessor.team.abbreviation : null,
+    downDistance: situation.shortDownDistanceText || null,
+    redZone: !!situation.isRedZone
+  };
+};
+
+// ESPN's statuses for games that won't be played this week
+const UNPLAYED_STATUSES = {
+  STATUS_POSTPONED: 'postponed',
+  STATUS_CANCELED: 'void'
+};
+
+// Turn one ESPN event into the game shape the app works with
+export const normalizeEvent = (event) => {
+  const competition = event.competitions[0];
+  const homeTeam = competition.competitors.find(team => team.homeAway === 'home');
+  const awayTeam = competition.competitors.find(team => team.homeAway === 'away');
+
+  // Display time only; ordering and slots use the ISO kickoff
+  const gameDate = new Date(event.date);
+  const timeString = gameDate.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: '2-digit',
+    timeZone: 'America/New_York'
+  });
+
+  // Check if game is completed and get winner
+  const isCompleted = competition.status.type.completed;
+  let winner = null;
+  if (isCompleted) {
+    const homeScore = parseInt(homeTeam.score);
+    const awayScore = parseInt(awayTeam.score);
+    if (homeScore > awayScore) {
+      winner = homeTeam.team.abbreviation;
+    } else if (awayScore > homeScore) {
+      winner = awayTeam.team.abbreviation;
+    }
+  }
+
+  return {
+    id: event.id,
+    away: awayTeam.team.abbreviation,
+    home: homeTeam.team.abbreviation,
+    awayTeam: awayTeam.team.displayName,
+    homeTeam: homeTeam.team.displayName,
+    time: timeString,
+    kickoff: gameDate.toISOString(),
+    slot: gameSlot(event.date),
+    status: competition.status.type.state, // pre, in or post
+    completed: isCompleted,
+    winner: winner,
+    homeScore: homeTeam.score,
+    awayScore: awayTeam.score,
+    live: normalizeLive(competition, homeTeam, awayTeam),
+    result: UNPLAYED_STATUSES[competition.status.type.name] || null, // postponed or void, see overrides.js
+    odds: normalizeOdds(competition, homeTeam, awayTeam)
+  };
+};
+
+// Games in kickoff order with the default tiebreaker flagged
+export const normalizeScoreboard = (data) => (
+  assignTiebreaker(sortByKickoff((data.events || []).map(normalizeEvent)))
+);
+
+// The week a scoreboard payload describes
+export const scoreboardWeekRef = (data) => {
+  const type = typeForId(data.season?.type);
+  if (!data.season?.year || !type || !data.week?.number) return null;
+  return { season: data.season.year, type, week: data.week.number };
+};
+
+// The week whose calendar window contains now, from the calendar ESPN
+// sends with every scoreboard. Null in the offseason.
+export const calendarWeekRef = (data, now = Date.now()) => {
+  const league = data.leagues?.[0];
+  const season = league?.season?.year || data.season?.year;
+
+  for (const period of league?.calendar || []) {
+    const type = typeForId(period.value);
+    if (!type) continue;
+
+    const entry = (period.entries || []).find(e => (
+      now >= Date.parse(e.startDate) && now <= Date.parse(e.endDate)
+    ));
+    if (entry) {
+      let week = parseInt(entry.value);
+      // Pro Bowl week rolls forward to the Super Bowl
+      if (type === 'post' && week === 4) week = 5;
+
+      const ref = { season, type, week };
+      return isValidWeekRef(ref) ? ref : null;
+    }
+  }
+
+  return null;
+};
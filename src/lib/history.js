@@ -0,0 +1,99 @@
+// Pick history: every change to a week's picks as an event
+// { at, player, key, from, to }, so the picks can be rebuilt from the
+// events and anyone can see when a pick was made or changed. The server
+// adds receivedAt (its own clock, which the players can't set), by
+// ('player' or 'parent') and locked (whether the game had locked when the
+// change arrived) to the events it keeps.
+import { toCSV } from './csv.js';
+import { isPickKeyLocked } from './locks.js';
+import { describePickKey, pickKeyGameId } from './picks.js';
+
+// One event for every entry that differs between two picks objects
+export const pickEvents = (oldPicks, newPicks, at = new Date().toISOString()) => (
+  Object.entries(newPicks).flatMap(([player, playerPicks]) => (
+    Object.entries(playerPicks || {})
+      .filter(([key, value]) => oldPicks[player]?.[key] !== value)
+      .map(([key, value]) => ({ at, player, key, from: oldPicks[player]?.[key] ?? null, to: value ?? null }))
+  ))
+);
+
+// Oldest first; events at the same moment keep the order they were logged
+export const sortEvents = (events, field = 'at') => (
+  events
+    .map((event, index) => ({ event, index }))
+    .sort((a, b) => (a.event[field] || '').localeCompare(b.event[field] || '') || a.index - b.index)
+    .map(({ event }) => event)
+);
+
+// The picks the events add up to, optionally only counting events up to a
+// time by the given clock field
+export const replayEvents = (events, { until, field = 'at' } = {}) => {
+  const picks = {};
+  sortEvents(events, field)
+    .filter(event => !until || (event[field] || '') <= until)
+    .forEach(({ player, key, to }) => {
+      picks[player] = { ...picks[player], [key]: to };
+    });
+  return picks;
+};
+
+// What each player had in when each game locked, by the server's clock.
+// Settles "I picked KC first!"; anything a parent changed afterwards shows
+// up in lateEvents instead.
+export const picksAtLock = (events, games) => {
+  const picks = {};
+
+  sortEvents(events.filter(event => event.receivedAt), 'receivedAt').forEach(event => {
+    const game = event.key === 'tiebreaker' ? games.find(g => g.tiebreaker) : games.find(g => g.id === pickKeyGameId(event.key));
+    if (!game?.locksAt || Date.parse(event.receivedAt) > Date.parse(game.locksAt)) return;
+
+    picks[event.player] = { ...picks[event.player], [event.key]: event.to };
+  });
+
+  return picks;
+};
+
+// Changes that reached the server after their game locked
+export const lateEvents = (events, games) => events.filter(event => (
+  event.receivedAt && isPickKeyLocked(event.key, games, Date.parse(event.receivedAt))
+));
+
+// Reverse a batch of events: every entry still holding what the batch set
+// goes back to what it was. canChange(player, key) can hold entries back,
+// e.g. games that have locked since.
+export const revertEvents = (picks, events, canChange = () => true) => {
+  const next = { ...picks };
+  [...events].reverse().forEach(({ player, key, from, to }) => {
+    if ((next[player]?.[key] ?? null) !== to || !canChange(player, key)) return;
+    next[player] = { ...next[player], [key]: from };
+  });
+  return next;
+};
+
+// Apply a batch of events again, under the same conditions
+export const reapplyEvents = (picks, events, canChange = () => true) => {
+  const next = { ...picks };
+  events.forEach(({ player, key, from, to }) => {
+    if ((next[player]?.[key] ?? null) !== from || !canChange(player, key)) return;
+    next[player] = { ...next[player], [key]: to };
+  });
+  return next;
+};
+
+const HISTORY_COLUMNS = [
+  ['at', 'Changed At'],
+  ['receivedAt', 'Received At'],
+  ['player', 'Player'],
+  ['pick', 'Pick'],
+  ['from', 'From'],
+  ['to', 'To'],
+  ['by', 'By'],
+  ['locked', 'After Lock']
+];
+
+export const historyCSV = (events, games, nameOf = (id) => id) => toCSV(HISTORY_COLUMNS, sortEvents(events).map(event => ({
+  ...event,
+  player: nameOf(event.player),
+  pick: describePickKey(event.key, games),
+  locked: event.locked ? 'yes' : ''
+})));
@@ -0,0 +1,26 @@
+// Leagues let several families share one deployment. Each league has its
+// own roster, rules, picks and settings, on the server and on the device.
+
+// The league this deployment started with. Its server data keeps the keys
+// it had before leagues existed.
+export const DEFAULT_LEAGUE_ID = 'default';
+
+const LEAGUE_ID_PATTERN = /^[a-z0-9-]{1,40}$/;
+
+export const isValidLeagueId = (id) => typeof id === 'string' && LEAGUE_ID_PATTERN.test(id);
+
+// Join codes skip look-alike characters (0/O, 1/I/L) so they can be read
+// out over the phone
+export const JOIN_CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+export const JOIN_CODE_LENGTH = 6;
+
+export const normalizeJoinCode = (code) => String(code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+// The league this device is looking at, remembered across visits
+export const CURRENT_LEAGUE_KEY = 'current-league';
+
+export const currentLeagueId = () => localStorage.getItem(CURRENT_LEAGUE_KEY) || DEFAULT_LEAGUE_ID;
+
+// localStorage key for a league's copy of something, e.g.
+// league:default:2025-reg-3-picks
+export const leagueStorageKey = (leagueId, key) => `league:${leagueId}:${key}`;
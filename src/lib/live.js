@@ -0,0 +1,170 @@
+// Live Sunday views: how each pick is doing in games being played, the
+// leaderboard if every game ended right now, and which results of the games
+// still to finish would let each player win the week.
+import { isVoided } from './overrides.js';
+import { DEFAULT_RULES, normalizeRules, SCORING_RULES } from './rules.js';
+import { gameTotal, resolveTiebreaker, scorePicks, scoreWeek, TIEBREAKER_FALLBACKS } from './scoring.js';
+
+// Every combination of remaining results is tried, so a whole unplayed
+// week (at most 16 games) is the most this is asked to check
+export const MAX_PATH_GAMES = 16;
+
+export const isInProgress = (game) => game.status === 'in' && !game.completed;
+
+// A game being played, scored as if it ended with the current score
+export const asIfFinal = (game) => {
+  if (!isInProgress(game)) return game;
+
+  const home = parseInt(game.homeScore) || 0;
+  const away = parseInt(game.awayScore) || 0;
+  return {
+    ...game,
+    completed: true,
+    homeScore: String(home),
+    awayScore: String(away),
+    winner: home > away ? game.home : away > home ? game.away : null
+  };
+};
+
+// 'winning', 'losing' or 'tied' for a pick in a game being played, graded
+// the way the league's rules would grade it if the game ended now
+export const pickStatus = (game, team, rules = DEFAULT_RULES) => {
+  if (!team || !isInProgress(game)) return null;
+
+  const outcome = SCORING_RULES[normalizeRules(rules).type].grade(asIfFinal(game), team);
+  if (outcome === 'correct') return 'winning';
+  if (outcome === 'incorrect') return 'losing';
+  return 'tied';
+};
+
+// The week scored as if every game being played ended with its current score
+export const projectWeek = ({ players, games, picks, rules = DEFAULT_RULES }) => (
+  scoreWeek({ players, games: games.map(asIfFinal), picks, rules })
+);
+
+// Could a player win a points tie on the tiebreaker, given the game's total
+// will finish at least `atLeast`? Mirrors resolveTiebreaker: closest without
+// going over, else the fallback when everyone goes over.
+const canWinTiebreaker = (player, tied, picks, atLeast, fallback) => {
+  const guesses = tied
+    .map(p => ({ player: p, guess: parseInt(picks[p]?.tiebreaker) }))
+    .filter(entry => !isNaN(entry.guess));
+
+  // Nobody guessed, so the tied players share the week
+  if (guesses.length === 0) return true;
+
+  const mine = guesses.find(entry => entry.player === player);
+  if (!mine) return false;
+
+  // Some final total at or above mine and the current total where no other
+  // guess sits between mine and that total
+  const floor = Math.max(mine.guess, atLeast);
+  if (!guesses.some(entry => entry.guess > mine.guess && entry.guess <= floor)) return true;
+
+  // Everyone goes over, and either they share or I'm the lowest guess
+  const lowest = Math.min(...guesses.map(entry => entry.guess));
+  return atLeast < lowest && (fallback === TIEBREAKER_FALLBACKS.SHARE || mine.guess === lowest);
+};
+
+// For each player, the results of the unfinished games that would still let
+// them win (or share) the week. A "result" is the team whose pickers get the
+// points, so it means the winner straight up and the team that covers
+// against the spread; pushes aren't considered. Returns null when too many
+// games are left to try every combination.
+//
+// { [player]: { scenarios, total, clinched, eliminated, needs: { [gameId]: team }, needsTiebreaker } }
+// where needs lists the games every winning path agrees on.
+export const pathsToVictory = ({ players, games, picks, rules = DEFAULT_RULES, tiebreakerFallback = TIEBREAKER_FALLBACKS.CLOSEST }) => {
+  const settings = normalizeRules(rules);
+  const rule = SCORING_RULES[settings.type];
+  const remaining = games.filter(game => !game.completed && !isVoided(game));
+  if (remaining.length > MAX_PATH_GAMES) return null;
+
+  const { scores: banked } = scorePicks(players, games.filter(game => game.completed), picks, settings);
+
+  // What a correct pick on each side of each remaining game is worth
+  const worth = remaining.map(game => Object.fromEntries(players.map(player => {
+    const team = picks[player]?.[game.id];
+    return [player, team ? { team, points: rule.points(game, picks[player], settings) } : null];
+  })));
+
+  const tiebreakerGame = games.find(game => game.tiebreaker);
+  const tiebreakerTotal = tiebreakerGame?.completed ? gameTotal(tiebreakerGame) : null;
+  const tiebreakerSoFar = tiebreakerGame ? (parseInt(tiebreakerGame.homeScore) || 0) + (parseInt(tiebreakerGame.awayScore) || 0) : 0;
+
+  // Per player: winning paths, paths won on the tiebreaker, and for each
+  // remaining game which results (1 away, 2 home) showed up in a win
+  const wins = new Array(players.length).fill(0);
+  const tiebreakerWins = new Array(players.length).fill(0);
+  const seen = players.map(() => new Uint8Array(remaining.length));
+
+  // Tiebreaker winners only depend on who is tied, so each set of leaders
+  // is worked out once
+  const tiebreakerWinners = new Map();
+  const winnersAmong = (leaders, key) => {
+    if (!tiebreakerWinners.has(key)) {
+      tiebreakerWinners.set(key, tiebreakerTotal !== null
+        ? resolveTiebreaker(leaders, picks, tiebreakerTotal, tiebreakerFallback).winners
+        : leaders.filter(player => canWinTiebreaker(player, leaders, picks, tiebreakerSoFar, tiebreakerFallback)));
+    }
+    return tiebreakerWinners.get(key);
+  };
+
+  // Start with every away team winning, then walk the combinations in Gray
+  // code order so each step flips a single game and scores update in place
+  const scores = players.map(player => banked[player] + remaining.reduce((sum, game, i) => (
+    sum + (worth[i][player]?.team === game.away ? worth[i][player].points : 0)
+  ), 0));
+
+  const count = 2 ** remaining.length;
+  let results = 0;
+  for (let step = 0; step < count; step++) {
+    if (step > 0) {
+      const i = 31 - Math.clz32(step & -step);
+      results ^= 1 << i;
+      const homeWins = (results >> i) & 1;
+      const game = remaining[i];
+      players.forEach((player, p) => {
+        const pick = worth[i][player];
+        if (!pick) return;
+        if (pick.team === game.home) scores[p] += homeWins ? pick.points : -pick.points;
+        if (pick.team === game.away) scores[p] += homeWins ? -pick.points : pick.points;
+      });
+    }
+
+    const best = Math.max(...scores);
+    const leaders = players.filter((_, p) => scores[p] === best);
+    const weekWinners = leaders.length > 1 && tiebreakerGame ? winnersAmong(leaders, leaders.join('\n')) : leaders;
+
+    weekWinners.forEach(player => {
+      const p = players.indexOf(player);
+      wins[p]++;
+      if (leaders.length > 1 && tiebreakerGame) tiebreakerWins[p]++;
+      for (let i = 0; i < remaining.length; i++) {
+        seen[p][i] |= (results >> i) & 1 ? 2 : 1;
+      }
+    });
+  }
+
+  const result = {};
+  players.forEach((player, p) => {
+    // Games where every winning path had the same result
+    const needs = {};
+    remaining.forEach((game, i) => {
+      if (seen[p][i] === 1) needs[game.id] = game.away;
+      if (seen[p][i] === 2) needs[game.id] = game.home;
+    });
+
+    result[player] = {
+      scenarios: wins[p],
+      total: count,
+      clinched: wins[p] === count,
+      eliminated: wins[p] === 0,
+      needs,
+      // Every way they win comes down to the tiebreaker
+      needsTiebreaker: wins[p] > 0 && tiebreakerWins[p] === wins[p]
+    };
+  });
+
+  return result;
+};
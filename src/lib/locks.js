@@ -0,0 +1,52 @@
+// Pick locking. Each game stops taking picks at kickoff; in first-Sunday
+// mode everything from Sunday on locks with the first Sunday game instead.
+import { pickKeyGame } from './picks.js';
+
+export const LOCK_MODES = {
+  PER_GAME: 'per-game',
+  FIRST_SUNDAY: 'first-sunday'
+};
+
+const easternWeekday = (iso) => new Date(iso).toLocaleDateString('en-US', {
+  weekday: 'short',
+  timeZone: 'America/New_York'
+});
+
+// Copy of the games with a locksAt ISO time on each
+export const applyLocks = (games, mode = LOCK_MODES.PER_GAME) => {
+  const sundayKickoffs = games
+    .filter(game => game.kickoff && easternWeekday(game.kickoff) === 'Sun')
+    .map(game => Date.parse(game.kickoff));
+  const firstSunday = sundayKickoffs.length ? Math.min(...sundayKickoffs) : null;
+
+  return games.map(game => {
+    let locksAt = game.kickoff || null;
+    if (mode === LOCK_MODES.FIRST_SUNDAY && firstSunday && Date.parse(game.kickoff) > firstSunday) {
+      locksAt = new Date(firstSunday).toISOString();
+    }
+    return { ...game, locksAt };
+  });
+};
+
+export const isLocked = (game, now = Date.now()) => (
+  game.completed || (!!game.locksAt && Date.parse(game.locksAt) <= now)
+);
+
+// The tiebreaker guess locks along with the tiebreaker game and a
+// confidence rank along with its game. A key for no game in the week
+// counts as locked, so a made-up key can't slip past the locks.
+export const isPickKeyLocked = (key, games, now = Date.now()) => {
+  const game = pickKeyGame(key, games);
+  return !game || isLocked(game, now);
+};
+
+// "2d 4h", "3h 12m", "9m" until the lock
+export const formatCountdown = (locksAt, now = Date.now()) => {
+  const minutes = Math.max(0, Math.floor((Date.parse(locksAt) - now) / 60000));
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+
+  if (days > 0) return `${days}d ${hours}h`;
+  if (hours > 0) return `${hours}h ${minutes % 60}m`;
+  return `${minutes}m`;
+};
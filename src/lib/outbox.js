@@ -0,0 +1,120 @@
+// Saves made while offline wait here, in IndexedDB, and are replayed in
+// the order they were made once the device is back online. PINs are never
+// written to IndexedDB: a queued save only notes whose PIN it needs.
+
+const DB_NAME = 'nfl-pickem';
+const STORE_NAME = 'outbox';
+
+let dbPromise = null;
+
+const openDb = () => {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(STORE_NAME, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+};
+
+// Run one request in its own transaction and resolve once it commits
+const withStore = async (mode, action) => {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(STORE_NAME, mode);
+    const request = action(transaction.objectStore(STORE_NAME));
+    transaction.oncomplete = () => resolve(request.result);
+    transaction.onerror = () => reject(transaction.error);
+  });
+};
+
+export const isOutboxAvailable = () => typeof indexedDB !== 'undefined';
+
+// What's kept of a save's auth: the player it's for, the parent's reason
+// and whether it was made in parent mode
+const withoutPins = ({ auth, ...data }) => (
+  auth ? { ...data, auth: { playerId: auth.playerId, reason: auth.reason, parent: !!auth.adminPin } } : data
+);
+
+// league is the league the save belongs to, so a replay after switching
+// leagues still lands in the right one
+export const queueSave = (type, data, league) => (
+  withStore('readwrite', store => store.add({ type, data: withoutPins(data), league, attempts: 0, queuedAt: new Date().toISOString() }))
+);
+
+export const pendingCount = () => withStore('readonly', store => store.count());
+
+const oldestEntry = async () => (await withStore('readonly', store => store.getAll(null, 1)))[0];
+
+const removeEntry = (id) => withStore('readwrite', store => store.delete(id));
+
+const updateEntry = (entry) => withStore('readwrite', store => store.put(entry));
+
+// The device is what's holding the save up: it's offline, or the app is
+// waiting for someone to type a PIN in again. Waiting doesn't use up tries.
+const WAITING_CODES = ['network_error', 'pin_needed'];
+
+// The server failed without refusing the save. Any other answer (a lock, a
+// wrong PIN, a save the Sheets mirror missed but the store has) is final.
+const RETRYABLE_CODES = ['internal_error', 'server_error'];
+
+// Tries a save gets against a failing server before it's given up on
+export const MAX_ATTEMPTS = 5;
+
+export const isRetryable = (error) => (
+  WAITING_CODES.includes(error.code) || RETRYABLE_CODES.includes(error.code)
+);
+
+let flushing = null;
+
+const drain = async (send) => {
+  const rejected = [];
+  let sent = 0;
+  let sheetsError = null;
+  let entry;
+
+  while ((entry = await oldestEntry())) {
+    try {
+      // Each save mirrors the whole sheet again, so the last one says how
+      // it stands
+      ({ sheetsError = null } = (await send(entry.type, entry.data, entry.league)) || {});
+      sent++;
+    } catch (error) {
+      if (WAITING_CODES.includes(error.code)) {
+        return { sent, rejected, remaining: await pendingCount(), error, sheetsError };
+      }
+
+      const attempts = (entry.attempts || 0) + 1;
+      if (isRetryable(error) && attempts < MAX_ATTEMPTS) {
+        await updateEntry({ ...entry, attempts });
+        return { sent, rejected, remaining: await pendingCount(), error, sheetsError };
+      }
+      // The server said no, or kept failing; replaying won't change that
+      rejected.push({ entry, error });
+    }
+    await removeEntry(entry.id);
+  }
+
+  return { sent, rejected, remaining: 0, error: null, sheetsError };
+};
+
+// Send every queued save, oldest first, stopping at the first one that
+// can't get through yet. Saves the server refuses, or fails MAX_ATTEMPTS
+// times, are dropped and come back as rejected. send gets the save as
+// queued, without PINs, so it has to add them. Only one replay runs at a
+// time; a flush asked for mid-replay waits for it and then sends whatever
+// was queued meanwhile. sheetsError is what the last save sent said about
+// the league's Google Sheet.
+export const flushOutbox = (send) => {
+  if (flushing) {
+    return flushing.then(() => flushOutbox(send));
+  }
+  flushing = drain(send).finally(() => {
+    flushing = null;
+  });
+  return flushing;
+};
@@ -0,0 +1,65 @@
+// Parent corrections to game results. An override replaces what the
+// schedule provider says about one game: a final score (which may be a
+// tie), or that the game was postponed or voided and doesn't count.
+
+export const OVERRIDE_RESULTS = {
+  final: 'Final score',
+  postponed: 'Postponed',
+  void: 'Void'
+};
+
+// Games that were never played to a result this week are left out of
+// scoring entirely
+export const isVoided = (game) => game.result === 'postponed' || game.result === 'void';
+
+export const isTie = (game) => game.completed && !game.winner && !isVoided(game);
+
+// Problems with an override, as a message; null when it's fine
+export const overrideProblem = (override) => {
+  if (!override || !OVERRIDE_RESULTS[override.result]) {
+    return `result must be one of ${Object.keys(OVERRIDE_RESULTS).join(', ')}`;
+  }
+  if (override.result === 'final') {
+    const scores = [override.homeScore, override.awayScore];
+    if (!scores.every(score => /^\d{1,3}$/.test(String(score ?? '')))) {
+      return 'A final score needs both teams\' points';
+    }
+  }
+  return null;
+};
+
+// The game as scoring should see it once a parent's override is applied.
+// The provider's copy stays untouched underneath so clearing the override
+// goes straight back to it.
+export const applyOverride = (game, override) => {
+  if (!override) return game;
+
+  const corrected = {
+    ...game,
+    override: { result: override.result, reason: override.reason || null, setAt: override.setAt }
+  };
+
+  if (override.result !== 'final') {
+    return { ...corrected, completed: false, winner: null, result: override.result };
+  }
+
+  const home = parseInt(override.homeScore);
+  const away = parseInt(override.awayScore);
+  return {
+    ...corrected,
+    status: 'post',
+    completed: true,
+    live: null,
+    result: null,
+    homeScore: String(home),
+    awayScore: String(away),
+    winner: home > away ? game.home : away > home ? game.away : null
+  };
+};
+
+// What an override says, e.g. "BUF 20 - 20 KC" or "Postponed"
+export const describeOverride = (game, override) => (
+  override.result === 'final'
+    ? `${game.away} ${override.awayScore} - ${override.homeScore} ${game.home}`
+    : OVERRIDE_RESULTS[override.result]
+);
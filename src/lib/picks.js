@@ -0,0 +1,104 @@
+// Week pick records shared by the app and the functions.
+//
+// A record is { picks, stamps }: picks is the familiar
+// { [player]: { [gameId]: team, tiebreaker } } object (plus confidence
+// ranks under some scoring rules) and stamps mirrors it with the ISO time
+// each entry was last changed, so two devices can be merged one pick at a
+// time instead of one object overwriting the other.
+
+export const emptyRecord = () => ({ picks: {}, stamps: {} });
+
+// The game a pick entry belongs to: the team pick itself or its
+// confidence:<gameId> rank. The tiebreaker guess has no game of its own.
+export const pickKeyGameId = (key) => {
+  if (key === 'tiebreaker') return null;
+  return key.startsWith('confidence:') ? key.slice('confidence:'.length) : key;
+};
+
+// The week's game a pick entry is for, the tiebreaker game for the guess;
+// undefined when there's no such game
+export const pickKeyGame = (key, games) => (
+  key === 'tiebreaker' ? games.find(g => g.tiebreaker) : games.find(g => g.id === pickKeyGameId(key))
+);
+
+// "KC @ BAL", "KC @ BAL confidence" or "Tiebreaker" for a pick entry
+export const describePickKey = (key, games) => {
+  if (key === 'tiebreaker') return 'Tiebreaker';
+  const game = pickKeyGame(key, games);
+  if (!game) return key;
+  return `${game.away} @ ${game.home}${key === game.id ? '' : ' confidence'}`;
+};
+
+// Stamp every entry that differs between two picks objects
+export const stampChanges = (oldPicks, newPicks, stamps, now = new Date().toISOString()) => {
+  const next = { ...stamps };
+
+  Object.entries(newPicks).forEach(([player, playerPicks]) => {
+    Object.entries(playerPicks || {}).forEach(([key, value]) => {
+      if (oldPicks[player]?.[key] !== value) {
+        next[player] = { ...next[player], [key]: now };
+      }
+    });
+  });
+
+  return next;
+};
+
+// Stamps written by another clock, with any that are unreadable or later
+// than now brought back to now, so a device can't date a change into the
+// future to outrank every change made after it
+export const clampStamps = (stamps, now = new Date().toISOString()) => {
+  const limit = Date.parse(now);
+  return Object.fromEntries(Object.entries(stamps || {}).map(([player, entries]) => [
+    player,
+    Object.fromEntries(Object.entries(entries || {}).map(([key, stamp]) => {
+      const time = Date.parse(stamp);
+      return [key, time <= limit ? new Date(time).toISOString() : now];
+    }))
+  ]));
+};
+
+// Merge two records entry by entry; the newer stamp wins and an unstamped
+// entry loses to a stamped one. Ties keep the first record's value.
+export const mergeRecords = (first, second) => {
+  const picks = {};
+  const stamps = {};
+  const players = new Set([...Object.keys(first.picks || {}), ...Object.keys(second.picks || {})]);
+
+  players.forEach(player => {
+    const a = first.picks?.[player] || {};
+    const b = second.picks?.[player] || {};
+    const aStamps = first.stamps?.[player] || {};
+    const bStamps = second.stamps?.[player] || {};
+
+    picks[player] = {};
+    stamps[player] = {};
+
+    new Set([...Object.keys(a), ...Object.keys(b)]).forEach(key => {
+      const useSecond = !(key in a) || (key in b && (bStamps[key] || '') > (aStamps[key] || ''));
+      const [value, stamp] = useSecond ? [b[key], bStamps[key]] : [a[key], aStamps[key]];
+
+      picks[player][key] = value;
+      if (stamp) {
+        stamps[player][key] = stamp;
+      }
+    });
+  });
+
+  return { picks, stamps };
+};
+
+// True when the first record has an entry the second lacks or changed later
+export const hasNewerEntries = (record, than) => Object.entries(record.picks || {}).some(([player, playerPicks]) => (
+  Object.keys(playerPicks || {}).some(key => (
+    !(key in (than.picks?.[player] || {}))
+    || (record.stamps?.[player]?.[key] || '') > (than.stamps?.[player]?.[key] || '')
+  ))
+));
+
+// Every { player, key } whose value differs between two records
+export const changedEntries = (before, after) => Object.entries(after.picks || {}).flatMap(([player, playerPicks]) => (
+  Object.entries(playerPicks || {})
+    .filter(([key, value]) => before.picks?.[player]?.[key] !== value)
+    .map(([key]) => ({ player, key }))
+));
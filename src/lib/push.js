@@ -0,0 +1,42 @@
+// Web push on this device, through the service worker registered in
+// main.jsx. send-reminders pushes to the subscriptions made here.
+
+export const isPushAvailable = () => (
+  'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window
+);
+
+// VAPID keys travel as base64url; the push manager wants the raw bytes
+const keyBytes = (base64url) => {
+  const base64 = (base64url + '='.repeat((4 - base64url.length % 4) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+};
+
+// This device's subscription, or null when it has none
+export const currentSubscription = async () => {
+  if (!isPushAvailable()) return null;
+  const registration = await navigator.serviceWorker.getRegistration();
+  return registration ? registration.pushManager.getSubscription() : null;
+};
+
+// Asks for permission the first time; resolves to the subscription as JSON
+export const subscribePush = async (vapidPublicKey) => {
+  if (!isPushAvailable()) {
+    throw new Error('This browser can\'t show reminders');
+  }
+  if (await Notification.requestPermission() !== 'granted') {
+    throw new Error('Reminders need permission to show notifications');
+  }
+
+  const registration = await navigator.serviceWorker.ready;
+  const subscription = await registration.pushManager.getSubscription()
+    || await registration.pushManager.subscribe({ userVisibleOnly: true, applicationServerKey: keyBytes(vapidPublicKey) });
+  return subscription.toJSON();
+};
+
+// Resolves to the endpoint that was dropped, or null if there was none
+export const unsubscribePush = async () => {
+  const subscription = await currentSubscription();
+  if (!subscription) return null;
+  await subscription.unsubscribe();
+  return subscription.endpoint;
+};
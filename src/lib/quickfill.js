@@ -0,0 +1,96 @@
+// Quick fills: a whole week of picks for one player in a tap, previewed
+// before anything is saved. Locked and voided games are never touched.
+import { isLocked } from './locks.js';
+import { isVoided } from './overrides.js';
+
+export const QUICK_FILLS = {
+  home: {
+    label: 'All home teams',
+    description: 'Every open game goes to the home team.'
+  },
+  favorites: {
+    label: 'All favorites',
+    description: 'Every open game goes to the team ESPN favors. Games without a line are left alone.'
+  },
+  random: {
+    label: 'Coin flip',
+    description: 'A coin flip for every game not picked yet.'
+  },
+  template: {
+    label: 'Copy a player',
+    description: 'Start from another player\'s picks for the open games.'
+  }
+};
+
+// Small and good enough for coin flips; the same seed flips the same way
+const seededRandom = (seed) => {
+  let state = 0;
+  for (const char of String(seed)) {
+    state = Math.imul(state ^ char.charCodeAt(0), 2654435761);
+  }
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// The team a fill would pick for a game, or null to leave it alone
+const choosers = {
+  home: () => (game) => game.home,
+  favorites: () => (game) => game.odds?.favorite || null,
+  random: ({ seed, playerPicks }) => {
+    const random = seededRandom(seed);
+    return (game) => {
+      const flip = random() < 0.5 ? game.away : game.home;
+      return playerPicks[game.id] ? null : flip;
+    };
+  },
+  template: ({ template = {} }) => (game) => template[game.id] || null
+};
+
+// What a quick fill would change for one player. Returns the player's picks
+// with the fill applied, the changes as [{ gameId, from, to }] and how many
+// games were left alone because they're locked or (for favorites) have no
+// line. options: seed for random, template (another player's picks).
+export const previewQuickFill = (kind, { games, playerPicks = {}, now = Date.now(), seed, template }) => {
+  const choose = choosers[kind]({ seed, template, playerPicks });
+  const next = { ...playerPicks };
+  const changes = [];
+  let locked = 0;
+  let noLine = 0;
+
+  games.filter(game => !isVoided(game)).forEach(game => {
+    const team = choose(game);
+    if (!team) {
+      if (kind === 'favorites') noLine++;
+      return;
+    }
+    if (team === playerPicks[game.id]) return;
+    if (isLocked(game, now)) {
+      locked++;
+      return;
+    }
+
+    next[game.id] = team;
+    changes.push({ gameId: game.id, from: playerPicks[game.id] ?? null, to: team });
+  });
+
+  return { kind, seed, playerPicks: next, changes, locked, noLine };
+};
+
+// Puts back what a confirmed fill replaced, except in games that have
+// locked since or been picked again by hand. A game that had no pick goes
+// back to null rather than losing its key, so the clear syncs like any
+// other change.
+export const undoQuickFill = (fill, playerPicks = {}, games, now = Date.now()) => {
+  const next = { ...playerPicks };
+  fill.changes.forEach(({ gameId, from }) => {
+    const game = games.find(g => g.id === gameId);
+    if (!game || isLocked(game, now) || next[gameId] !== fill.playerPicks[gameId]) return;
+    next[gameId] = from;
+  });
+  return next;
+};
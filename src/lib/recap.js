@@ -0,0 +1,94 @@
+// The weekly recap: who won, how the tiebreaker went, everyone's score,
+// their best and worst picks, and the week's biggest upset. Built from
+// scoreWeek's output so it always agrees with the standings.
+import { pickConsensus } from './consensus.js';
+import { DEFAULT_RULES, normalizeRules, SCORING_RULES } from './rules.js';
+import { scoreWeek } from './scoring.js';
+
+// Share of the players who picked a game that picked this team, 0-1
+const shareOf = (consensus, game, team) => {
+  const entry = consensus[game.id];
+  return entry?.total ? entry.counts[team] / entry.total : 0;
+};
+
+// The upset is the underdog that won with the biggest spread; without
+// betting lines it's the winner the fewest players picked
+const biggestUpset = (games, consensus) => {
+  const decided = games.filter(game => game.completed && game.winner);
+
+  const underdogs = decided
+    .filter(game => game.odds?.favorite && game.odds.spread > 0 && game.winner !== game.odds.favorite)
+    .sort((a, b) => b.odds.spread - a.odds.spread);
+  if (underdogs.length > 0) {
+    const game = underdogs[0];
+    return { game, winner: game.winner, spread: game.odds.spread, share: shareOf(consensus, game, game.winner) };
+  }
+
+  const surprises = decided
+    .filter(game => consensus[game.id]?.total > 0)
+    .map(game => ({ game, winner: game.winner, spread: null, share: shareOf(consensus, game, game.winner) }))
+    .filter(upset => upset.share < 0.5)
+    .sort((a, b) => a.share - b.share);
+  return surprises[0] || null;
+};
+
+// A player's best pick is the right call the fewest others made; the worst
+// is the wrong call on a game most others got right
+const bestAndWorst = (player, details, picks, consensus) => {
+  const { correct, incorrect } = details[player];
+
+  const best = [...correct].sort((a, b) => (
+    shareOf(consensus, a, picks[player][a.id]) - shareOf(consensus, b, picks[player][b.id])
+  ))[0];
+  const worst = [...incorrect].sort((a, b) => (
+    shareOf(consensus, a, picks[player][a.id]) - shareOf(consensus, b, picks[player][b.id])
+  ))[0];
+
+  const describe = (game) => game && {
+    game,
+    team: picks[player][game.id],
+    share: shareOf(consensus, game, picks[player][game.id])
+  };
+  return { best: describe(best), worst: describe(worst) };
+};
+
+export const buildRecap = ({ ref, players, games, picks, rules = DEFAULT_RULES, nameOf = (id) => id }) => {
+  const settings = normalizeRules(rules);
+  const { scores, details, winners, complete, tiebreaker } = scoreWeek({ players, games, picks, rules: settings });
+  const consensus = pickConsensus(games, players, picks);
+
+  const rows = players
+    .filter(player => picks[player])
+    .map(player => ({
+      player,
+      name: nameOf(player),
+      score: scores[player],
+      correct: details[player].correct.length,
+      incorrect: details[player].incorrect.length,
+      pending: details[player].pending.length,
+      tiebreaker: picks[player]?.tiebreaker ?? null,
+      ...bestAndWorst(player, details, picks, consensus)
+    }))
+    .sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+
+  const tiebreakerGame = games.find(game => game.tiebreaker) || null;
+
+  return {
+    week: ref,
+    rules: { ...settings, label: SCORING_RULES[settings.type].label },
+    complete,
+    finished: games.filter(game => game.completed).length,
+    total: games.length,
+    winners: complete ? winners.map(player => ({ player, name: nameOf(player) })) : [],
+    tiebreaker: tiebreaker && {
+      game: tiebreakerGame,
+      total: tiebreaker.total,
+      rule: tiebreaker.rule,
+      guesses: Object.entries(tiebreaker.guesses)
+        .map(([player, { guess, diff }]) => ({ player, name: nameOf(player), guess, diff }))
+        .sort((a, b) => Math.abs(a.diff) - Math.abs(b.diff))
+    },
+    rows,
+    upset: biggestUpset(games, consensus)
+  };
+};
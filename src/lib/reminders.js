@@ -0,0 +1,49 @@
+// Pick reminders: which games a player still has to pick before they lock.
+// The app shows this as a banner and send-reminders turns it into
+// notifications ahead of each lock window.
+import { formatCountdown, isLocked } from './locks.js';
+import { isVoided } from './overrides.js';
+import { confidenceKey } from './rules.js';
+
+// How long before a lock window reminders go out
+export const REMINDER_LEAD_MINUTES = 180;
+
+// Games still open that the player hasn't picked, with a confidence rank
+// counting as part of the pick under confidence rules. tiebreaker says
+// whether the tiebreaker guess is still open and missing.
+export const missingPicks = (games, playerPicks = {}, rules, now = Date.now()) => {
+  const open = games.filter(game => !isLocked(game, now) && !isVoided(game));
+  const missing = open.filter(game => (
+    !playerPicks[game.id] || (rules?.type === 'confidence' && !playerPicks[confidenceKey(game.id)])
+  ));
+
+  const tiebreakerGame = open.find(game => game.tiebreaker);
+  const locks = missing.map(game => game.locksAt).filter(Boolean).sort();
+
+  return {
+    games: missing,
+    tiebreaker: !!tiebreakerGame && !playerPicks.tiebreaker,
+    firstLock: locks[0] || (tiebreakerGame && !playerPicks.tiebreaker ? tiebreakerGame.locksAt : null)
+  };
+};
+
+export const hasMissingPicks = (missing) => missing.games.length > 0 || missing.tiebreaker;
+
+// "3 games left to pick, first locks in 2h 10m"
+export const reminderText = (missing, now = Date.now()) => {
+  const count = missing.games.length;
+  const parts = [];
+  if (count > 0) parts.push(`${count} game${count === 1 ? '' : 's'} left to pick`);
+  if (missing.tiebreaker) parts.push(count > 0 ? 'plus the tiebreaker' : 'The tiebreaker is still empty');
+
+  const text = parts.join(', ');
+  return missing.firstLock ? `${text}, first locks in ${formatCountdown(missing.firstLock, now)}` : text;
+};
+
+// The lock time a reminder sent now would be for: the player's first lock
+// when it falls within the lead time, otherwise null
+export const dueWindow = (missing, now = Date.now(), leadMinutes = REMINDER_LEAD_MINUTES) => {
+  if (!hasMissingPicks(missing) || !missing.firstLock) return null;
+  const until = Date.parse(missing.firstLock) - now;
+  return until > 0 && until <= leadMinutes * 60000 ? missing.firstLock : null;
+};
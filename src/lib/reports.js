@@ -0,0 +1,127 @@
+// Printable pages: the weekly recap and a blank pick sheet. Both render to
+// a complete HTML document with their own print CSS, so the app can open
+// one in a new tab and the report function can serve the same page at a
+// link that can be shared.
+import { confidenceValues, SCORING_RULES, spreadLabel } from './rules.js';
+import { groupBySlot } from './schedule.js';
+import { weekLabel } from './weeks.js';
+
+export const escapeHTML = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&#39;'
+}[char]));
+
+const STYLES = `
+  body { font-family: Georgia, 'Times New Roman', serif; color: #111; margin: 2rem auto; max-width: 48rem; padding: 0 1rem; }
+  h1 { font-size: 1.8rem; margin-bottom: 0.25rem; }
+  h2 { font-size: 1.2rem; margin: 1.5rem 0 0.5rem; border-bottom: 2px solid #111; }
+  .subtitle { color: #555; margin-top: 0; }
+  table { width: 100%; border-collapse: collapse; font-size: 1rem; }
+  th, td { text-align: left; padding: 0.4rem 0.5rem; border-bottom: 1px solid #bbb; }
+  th { font-size: 0.85rem; text-transform: uppercase; color: #555; }
+  .winner { font-size: 1.4rem; font-weight: bold; }
+  .box { display: inline-block; width: 1rem; height: 1rem; border: 2px solid #111; vertical-align: middle; margin-right: 0.4rem; }
+  .blank { display: inline-block; min-width: 8rem; border-bottom: 1px solid #111; }
+  .note { color: #555; font-size: 0.9rem; }
+  .slot { background: #eee; font-weight: bold; }
+  .print { margin: 1rem 0; padding: 0.5rem 1rem; font-size: 1rem; cursor: pointer; }
+  @media print {
+    body { margin: 0; max-width: none; font-size: 12pt; }
+    .print { display: none; }
+    tr { page-break-inside: avoid; }
+    h2 { page-break-after: avoid; }
+  }
+`;
+
+const page = (title, body) => `<!doctype html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHTML(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<button class="print" onclick="window.print()">Print</button>
+${body}
+</body>
+</html>
+`;
+
+const matchup = (game) => `${game.away} @ ${game.home}`;
+
+const percent = (share) => `${Math.round(share * 100)}%`;
+
+const pickCell = (pick) => (
+  pick ? `${escapeHTML(pick.team)} <span class="note">(${escapeHTML(matchup(pick.game))}, picked by ${percent(pick.share)})</span>` : '—'
+);
+
+// recap is buildRecap's output; leagueName heads the page
+export const renderRecapHTML = (recap, { leagueName = "NFL Pick'em" } = {}) => {
+  const title = `${leagueName}: ${weekLabel(recap.week)} ${recap.week.season} Recap`;
+  const scoreHeading = recap.rules.type === 'classic' ? 'Correct' : 'Points';
+
+  const winner = recap.winners.length > 0
+    ? `<p class="winner">🏆 ${recap.winners.map(w => escapeHTML(w.name)).join(' & ')}</p>`
+    : `<p class="note">Not final yet: ${recap.finished} of ${recap.total} games finished.</p>`;
+
+  const tiebreaker = recap.tiebreaker ? `
+<h2>Tiebreaker</h2>
+<p>${escapeHTML(matchup(recap.tiebreaker.game))} finished with ${recap.tiebreaker.total} total points.</p>
+<table>
+<tr><th>Player</th><th>Guess</th><th>Off by</th></tr>
+${recap.tiebreaker.guesses.map(g => `<tr><td>${escapeHTML(g.name)}</td><td>${g.guess}</td><td>${g.diff === 0 ? 'Exact!' : `${Math.abs(g.diff)} ${g.diff > 0 ? 'under' : 'over'}`}</td></tr>`).join('\n')}
+</table>` : '';
+
+  const upset = recap.upset ? `
+<h2>Biggest Upset</h2>
+<p>${escapeHTML(recap.upset.winner)} won ${escapeHTML(matchup(recap.upset.game))} ${recap.upset.game.awayScore}-${recap.upset.game.homeScore}${
+  recap.upset.spread ? ` as a ${recap.upset.spread}-point underdog` : ''
+}. ${percent(recap.upset.share)} of picks saw it coming.</p>` : '';
+
+  return page(title, `
+<h1>${escapeHTML(title)}</h1>
+<p class="subtitle">${escapeHTML(recap.rules.label)} scoring</p>
+${winner}
+<h2>Scores</h2>
+<table>
+<tr><th>Player</th><th>${scoreHeading}</th><th>Right</th><th>Wrong</th><th>Best pick</th><th>Worst pick</th></tr>
+${recap.rows.map(row => `<tr><td>${escapeHTML(row.name)}</td><td><strong>${row.score}</strong></td><td>${row.correct}</td><td>${row.incorrect}</td><td>${pickCell(row.best)}</td><td>${pickCell(row.worst)}</td></tr>`).join('\n')}
+</table>
+${tiebreaker}
+${upset}
+`);
+};
+
+// A blank sheet to fill in by hand: one row per game grouped by TV slot,
+// with confidence and spread columns when the rules use them
+export const renderPickSheetHTML = ({ ref, games, rules, leagueName = "NFL Pick'em" }) => {
+  const title = `${leagueName}: ${weekLabel(ref)} ${ref.season} Picks`;
+  const confidence = rules.type === 'confidence';
+  const spread = rules.type === 'spread';
+  const tiebreakerGame = games.find(game => game.tiebreaker);
+
+  const team = (game, abbreviation, name) => {
+    const line = spread && spreadLabel(game, abbreviation);
+    return `<span class="box"></span>${escapeHTML(name || abbreviation)}${line ? ` <span class="note">${escapeHTML(line)}</span>` : ''}`;
+  };
+
+  const rows = groupBySlot(games).map(group => `
+<tr class="slot"><td colspan="${confidence ? 4 : 3}">${escapeHTML(group.label)}</td></tr>
+${group.games.map(game => `<tr><td class="note">${escapeHTML(game.time)}</td><td>${team(game, game.away, game.awayTeam)}</td><td>${team(game, game.home, game.homeTeam)}</td>${confidence ? '<td><span class="blank" style="min-width:3rem"></span></td>' : ''}</tr>`).join('\n')}`).join('\n');
+
+  return page(title, `
+<h1>${escapeHTML(title)}</h1>
+<p class="subtitle">${escapeHTML(SCORING_RULES[rules.type].label)}: ${escapeHTML(SCORING_RULES[rules.type].description)}</p>
+<p>Name: <span class="blank" style="min-width:16rem"></span></p>
+<table>
+<tr><th>Kickoff</th><th>Away</th><th>Home</th>${confidence ? `<th>Confidence (1-${confidenceValues(games).length})</th>` : ''}</tr>
+${rows}
+</table>
+${tiebreakerGame ? `<h2>Tiebreaker</h2>
+<p>Total points in ${escapeHTML(tiebreakerGame.awayTeam || tiebreakerGame.away)} @ ${escapeHTML(tiebreakerGame.homeTeam || tiebreakerGame.home)}: <span class="blank"></span></p>` : ''}
+`);
+};
@@ -0,0 +1,18 @@
+// Retry with exponential backoff, shared by the app and the functions
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Call fn until it resolves, trying up to `retries` more times and waiting
+// roughly baseDelay, then twice that, then four times... in between. The
+// waits are jittered so clients that failed together don't retry together.
+// Errors marked retryable: false are thrown straight away.
+export const withRetry = async (fn, { retries = 2, baseDelay = 500, wait = sleep } = {}) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (error) {
+      if (attempt >= retries || error.retryable === false) throw error;
+      await wait(baseDelay * 2 ** attempt * (0.5 + Math.random() / 2));
+    }
+  }
+};
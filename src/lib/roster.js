@@ -0,0 +1,45 @@
+// League roster. Picks are keyed by player id so renaming a player keeps
+// their history. The original players use their names as ids, which keeps
+// picks saved before the roster existed attached to the right person.
+
+export const PLAYER_COLORS = ['blue', 'green', 'red', 'purple', 'orange', 'pink', 'teal', 'yellow'];
+
+export const DEFAULT_ROSTER = {
+  updatedAt: null,
+  players: ['Brixon', 'Jace', 'Knox', 'Makena', 'Cal', 'Will'].map((name, index) => ({
+    id: name,
+    name,
+    active: true,
+    color: PLAYER_COLORS[index % PLAYER_COLORS.length],
+    emoji: ''
+  }))
+};
+
+// New leagues start with nobody on the roster
+export const EMPTY_ROSTER = { updatedAt: null, players: [] };
+
+export const createPlayer = (name, roster) => ({
+  id: `p-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+  name: name.trim(),
+  active: true,
+  color: PLAYER_COLORS[roster.players.length % PLAYER_COLORS.length],
+  emoji: ''
+});
+
+export const activePlayers = (roster) => roster.players.filter(player => player.active);
+
+export const findPlayer = (roster, id) => roster.players.find(player => player.id === id);
+
+// Display name for a player id, falling back to the id for unknown players
+export const playerName = (roster, id) => {
+  const player = findPlayer(roster, id);
+  if (!player) return id;
+  return player.emoji ? `${player.emoji} ${player.name}` : player.name;
+};
+
+export const isValidRoster = (roster) => (
+  !!roster
+  && Array.isArray(roster.players)
+  && roster.players.every(player => player && typeof player.id === 'string' && typeof player.name === 'string' && player.name.trim())
+  && new Set(roster.players.map(player => player.id)).size === roster.players.length
+);
@@ -0,0 +1,161 @@
+// Scoring rules a league can choose for each season. A rule grades each
+// pick (correct, incorrect, push or pending) and says what a correct pick
+// is worth; scoring.js adds everything up.
+import { pickKeyGame, pickKeyGameId } from './picks.js';
+
+// How a pick on a game that ended tied is scored: half what it would have
+// been worth, a push worth nothing, or as if the game was never played
+export const TIE_SCORING = {
+  half: 'Half points',
+  push: 'Push (no points)',
+  void: 'Void (game doesn\'t count)'
+};
+
+export const DEFAULT_RULES = { type: 'classic', upsetBonus: 1, ties: 'push' };
+
+// Confidence ranks ride along with the picks as their own entries so they
+// are stamped, merged and locked like any other pick
+export const confidenceKey = (gameId) => `confidence:${gameId}`;
+
+// A tie is a push here; scoring.js applies the league's tie setting
+const gradeStraightUp = (game, team) => {
+  if (!game.completed) return 'pending';
+  if (!game.winner) return 'push';
+  return team === game.winner ? 'correct' : 'incorrect';
+};
+
+// Margin the favorite won by, less the points it was giving
+const coverMargin = (game) => {
+  const homeMargin = parseInt(game.homeScore) - parseInt(game.awayScore);
+  const favoriteMargin = game.odds.favorite === game.home ? homeMargin : -homeMargin;
+  return favoriteMargin - game.odds.spread;
+};
+
+// Games ESPN never posted a line for are picked straight up
+const gradeAgainstSpread = (game, team) => {
+  if (!game.odds?.favorite) return gradeStraightUp(game, team);
+  if (!game.completed) return 'pending';
+
+  const margin = coverMargin(game);
+  if (margin === 0) return 'push';
+
+  const covered = margin > 0 ? game.odds.favorite : (game.odds.favorite === game.home ? game.away : game.home);
+  return team === covered ? 'correct' : 'incorrect';
+};
+
+export const isUnderdog = (game, team) => !!game.odds?.favorite && game.odds.spread > 0 && team !== game.odds.favorite;
+
+export const SCORING_RULES = {
+  classic: {
+    label: 'Classic',
+    description: 'One point for every correct pick.',
+    grade: gradeStraightUp,
+    points: () => 1
+  },
+  confidence: {
+    label: 'Confidence Points',
+    description: 'Rank every pick from 1 to the number of games, using each number once. A correct pick scores its rank.',
+    grade: gradeStraightUp,
+    points: (game, playerPicks) => parseInt(playerPicks[confidenceKey(game.id)]) || 0
+  },
+  upset: {
+    label: 'Upset Bonus',
+    description: 'One point for every correct pick, plus a bonus for correctly picking the underdog.',
+    grade: gradeStraightUp,
+    points: (game, playerPicks, rules) => 1 + (isUnderdog(game, playerPicks[game.id]) ? rules.upsetBonus : 0)
+  },
+  spread: {
+    label: 'Against the Spread',
+    description: 'Your team has to cover the ESPN spread. Landing right on it is a push worth nothing.',
+    grade: gradeAgainstSpread,
+    points: () => 1
+  }
+};
+
+// Fill in defaults and drop anything unknown
+export const normalizeRules = (rules) => {
+  const type = SCORING_RULES[rules?.type] ? rules.type : DEFAULT_RULES.type;
+  const bonus = parseInt(rules?.upsetBonus);
+  return {
+    type,
+    upsetBonus: bonus > 0 ? bonus : DEFAULT_RULES.upsetBonus,
+    ties: TIE_SCORING[rules?.ties] ? rules.ties : DEFAULT_RULES.ties
+  };
+};
+
+export const isValidRules = (rules) => (
+  !!rules
+  && !!SCORING_RULES[rules.type]
+  && (rules.upsetBonus === undefined || (Number.isInteger(rules.upsetBonus) && rules.upsetBonus > 0))
+  && (rules.ties === undefined || !!TIE_SCORING[rules.ties])
+);
+
+// 1..N for a week of N games
+export const confidenceValues = (games) => games.map((_, index) => index + 1);
+
+// The line as shown on a team's button, e.g. -3.5 or +3.5
+export const spreadLabel = (game, team) => {
+  if (!game.odds?.favorite) return null;
+  if (game.odds.spread === 0) return 'EVEN';
+  return team === game.odds.favorite ? `-${game.odds.spread}` : `+${game.odds.spread}`;
+};
+
+// What's wrong with a player's entry for key, given all their picks once
+// it's in: a team that isn't playing, a confidence rank outside 1..N or
+// already given to another game, or a tiebreaker that isn't a whole number
+// of points. null when it's fine or cleared. key has to be for one of the
+// week's games (see pickKeyGame). The server checks every change with this,
+// whatever the rules, so a value the app would never send isn't stored.
+export const pickValueProblem = (key, playerPicks, games) => {
+  const value = playerPicks[key];
+  if (value === null || value === undefined || value === '') return null;
+
+  if (key === 'tiebreaker') {
+    return /^\d+$/.test(String(value)) ? null : 'The tiebreaker is a whole number of points';
+  }
+
+  const game = pickKeyGame(key, games);
+  if (key === game.id) {
+    return value === game.away || value === game.home ? null : `Pick ${game.away} or ${game.home}`;
+  }
+
+  const rank = Number(value);
+  if (!Number.isInteger(rank) || rank < 1 || rank > games.length) {
+    return `Confidence numbers go from 1 to ${games.length}`;
+  }
+  const taken = Object.entries(playerPicks).some(([other, otherValue]) => (
+    other !== key && other.startsWith('confidence:') && otherValue !== null && otherValue !== '' && Number(otherValue) === rank
+  ));
+  return taken ? `Confidence ${rank} is already used` : null;
+};
+
+// Problems with one player's picks under a rule set, as messages
+export const validatePicks = (rules, games, playerPicks = {}) => {
+  if (rules.type !== 'confidence') return [];
+
+  const problems = [];
+  const ranks = Object.entries(playerPicks)
+    .filter(([key, value]) => key.startsWith('confidence:') && value !== null && value !== '')
+    .map(([key, value]) => ({ gameId: pickKeyGameId(key), rank: parseInt(value) }));
+
+  const missing = games.filter(game => playerPicks[game.id] && !ranks.some(r => r.gameId === game.id));
+  if (missing.length > 0) {
+    problems.push(`Give a confidence number to ${missing.map(g => `${g.away} @ ${g.home}`).join(', ')}`);
+  }
+
+  const seen = new Set();
+  const duplicates = new Set();
+  ranks.forEach(({ rank }) => {
+    if (seen.has(rank)) duplicates.add(rank);
+    seen.add(rank);
+  });
+  if (duplicates.size > 0) {
+    problems.push(`Each confidence number can only be used once (${[...duplicates].join(', ')} used twice)`);
+  }
+
+  if (ranks.some(({ rank }) => !(rank >= 1 && rank <= games.length))) {
+    problems.push(`Confidence numbers go from 1 to ${games.length}`);
+  }
+
+  return problems;
+};
@@ -0,0 +1,85 @@
+// Kickoff order, TV slots and the week's tiebreaker game. Everything is
+// worked out from the ISO kickoff in Eastern time, so a Monday night game
+// is still Monday night for relatives on the West Coast.
+
+export const SLOTS = {
+  thu: 'Thursday Night',
+  fri: 'Friday',
+  sat: 'Saturday',
+  'sun-early': 'Sunday Early',
+  'sun-late': 'Sunday Late',
+  snf: 'Sunday Night',
+  mnf: 'Monday Night',
+  other: 'Other'
+};
+
+const easternParts = (iso) => {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    weekday: 'short',
+    hour: 'numeric',
+    hourCycle: 'h23',
+    timeZone: 'America/New_York'
+  }).formatToParts(new Date(iso));
+
+  return {
+    weekday: parts.find(part => part.type === 'weekday').value,
+    hour: parseInt(parts.find(part => part.type === 'hour').value)
+  };
+};
+
+// Sunday 1:00 (and London mornings) is early, 4:05/4:25 is late and
+// anything from 7 PM is the night game
+export const gameSlot = (kickoff) => {
+  if (!kickoff) return 'other';
+
+  const { weekday, hour } = easternParts(kickoff);
+  switch (weekday) {
+    case 'Thu': return 'thu';
+    case 'Fri': return 'fri';
+    case 'Sat': return 'sat';
+    case 'Sun':
+      if (hour < 16) return 'sun-early';
+      return hour < 19 ? 'sun-late' : 'snf';
+    case 'Mon': return 'mnf';
+    default: return 'other';
+  }
+};
+
+const kickoffTime = (game) => (game.kickoff ? Date.parse(game.kickoff) : Infinity);
+
+// Copy of the games in kickoff order; games at the same time keep ESPN id order
+export const sortByKickoff = (games) => [...games].sort((a, b) => (
+  kickoffTime(a) - kickoffTime(b) || Number(a.id) - Number(b.id)
+));
+
+// The default tiebreaker is the last game of the week to kick off. When two
+// games share the last kickoff the one with the higher ESPN id is used, so
+// every client and function agrees.
+export const defaultTiebreakerId = (games) => {
+  const ordered = sortByKickoff(games);
+  return ordered.length ? ordered[ordered.length - 1].id : null;
+};
+
+// Flag exactly one game as the tiebreaker: the admin's choice when it's
+// one of this week's games, otherwise the default rule
+export const assignTiebreaker = (games, overrideId = null) => {
+  const tiebreakerId = games.some(game => game.id === overrideId) ? overrideId : defaultTiebreakerId(games);
+  return games.map(game => ({ ...game, tiebreaker: game.id === tiebreakerId }));
+};
+
+// Consecutive runs of games in the same slot, in kickoff order
+export const groupBySlot = (games) => {
+  const groups = [];
+
+  sortByKickoff(games).forEach(game => {
+    const slot = game.slot || gameSlot(game.kickoff);
+    const last = groups[groups.length - 1];
+    if (last && last.slot === slot) {
+      last.games.push(game);
+    } else {
+      groups.push({ slot, label: SLOTS[slot], games: [game] });
+    }
+  });
+
+  return groups;
+};
@@ -0,0 +1,118 @@
+// Weekly scoring shared by the app and the calculate-winners function
+import { isTie, isVoided } from './overrides.js';
+import { DEFAULT_RULES, normalizeRules, SCORING_RULES } from './rules.js';
+
+// What to do when every tied player's tiebreaker guess went over the total
+export const TIEBREAKER_FALLBACKS = {
+  CLOSEST: 'closest', // closest guess wins even though it went over
+  SHARE: 'share'      // tied players share the week
+};
+
+export const gameTotal = (game) => parseInt(game.homeScore) + parseInt(game.awayScore);
+
+// How far each player's tiebreaker guess was from the actual total points;
+// positive is under, negative went over. Players without a guess are left out.
+export const tiebreakerGuesses = (players, picks, total) => {
+  const guesses = {};
+  players.forEach(player => {
+    const guess = parseInt(picks[player]?.tiebreaker);
+    if (!isNaN(guess)) {
+      guesses[player] = { guess, diff: total - guess };
+    }
+  });
+  return guesses;
+};
+
+// Points per player under the league's rules, with each picked game
+// bucketed by how the pick did. Postponed and voided games land in void and
+// score nothing; a pick that pushed because the game ended tied follows the
+// league's tie setting.
+export const scorePicks = (players, games, picks, rules = DEFAULT_RULES) => {
+  const settings = normalizeRules(rules);
+  const rule = SCORING_RULES[settings.type];
+  const scores = {};
+  const details = {};
+
+  players.forEach(player => {
+    scores[player] = 0;
+    details[player] = { correct: [], incorrect: [], push: [], pending: [], void: [] };
+
+    if (picks[player]) {
+      games.forEach(game => {
+        const playerPick = picks[player][game.id];
+        if (!playerPick) return;
+
+        let outcome = isVoided(game) ? 'void' : rule.grade(game, playerPick);
+        if (outcome === 'push' && isTie(game)) {
+          if (settings.ties === 'void') {
+            outcome = 'void';
+          } else if (settings.ties === 'half') {
+            scores[player] += rule.points(game, picks[player], settings) / 2;
+          }
+        }
+        if (outcome === 'correct') {
+          scores[player] += rule.points(game, picks[player], settings);
+        }
+        details[player][outcome].push(game);
+      });
+    }
+  });
+
+  return { scores, details };
+};
+
+// Closest to the actual total without going over wins. Players who never
+// entered a guess can't win the tiebreaker; if nobody did, everyone shares.
+export const resolveTiebreaker = (tied, picks, total, fallback = TIEBREAKER_FALLBACKS.CLOSEST) => {
+  const guesses = tied
+    .map(player => ({ player, guess: parseInt(picks[player]?.tiebreaker) }))
+    .filter(entry => !isNaN(entry.guess));
+
+  if (guesses.length === 0) {
+    return { winners: tied, rule: 'no-guesses' };
+  }
+
+  let pool = guesses.filter(entry => entry.guess <= total);
+  let rule = 'closest-without-going-over';
+  if (pool.length === 0) {
+    if (fallback === TIEBREAKER_FALLBACKS.SHARE) {
+      return { winners: tied, rule: 'all-over-shared' };
+    }
+    pool = guesses;
+    rule = 'all-over-closest';
+  }
+
+  const best = Math.min(...pool.map(entry => Math.abs(total - entry.guess)));
+  return {
+    winners: pool.filter(entry => Math.abs(total - entry.guess) === best).map(entry => entry.player),
+    rule
+  };
+};
+
+// Score a full week: per-player results, leaders on points, and the
+// winner(s) once the tiebreaker game has gone final. Games are expected to
+// carry exactly one tiebreaker flag (see assignTiebreaker).
+export const scoreWeek = ({ players, games, picks, rules = DEFAULT_RULES, tiebreakerFallback = TIEBREAKER_FALLBACKS.CLOSEST }) => {
+  const { scores, details } = scorePicks(players, games, picks, rules);
+  const complete = games.length > 0 && games.every(g => g.completed || isVoided(g));
+
+  const maxScore = players.length ? Math.max(...players.map(p => scores[p])) : 0;
+  const leaders = players.filter(p => scores[p] === maxScore);
+
+  let winners = leaders;
+  let tiebreaker = null;
+
+  const tiebreakerGame = games.find(g => g.tiebreaker);
+  if (tiebreakerGame?.completed) {
+    const total = gameTotal(tiebreakerGame);
+    tiebreaker = { gameId: tiebreakerGame.id, total, rule: null, guesses: tiebreakerGuesses(players, picks, total) };
+
+    if (leaders.length > 1) {
+      const result = resolveTiebreaker(leaders, picks, total, tiebreakerFallback);
+      winners = result.winners;
+      tiebreaker.rule = result.rule;
+    }
+  }
+
+  return { scores, details, leaders, winners, complete, tiebreaker };
+};
@@ -0,0 +1,68 @@
+// Season-long standings built from every scored week
+import { scoreWeek } from './scoring.js';
+
+// weeks is [{ key, games, picks }] in season order, keyed by weekKey(), and
+// rules the scoring rules the league chose for the season
+export const scoreSeason = (weeks, players, rules) => {
+  const standings = {};
+
+  players.forEach(player => {
+    standings[player] = {
+      player,
+      points: 0,
+      correct: 0,
+      decided: 0,
+      weeklyWins: 0,
+      winPct: 0,
+      streak: 0,
+      bestWeek: null,
+      byWeek: {}
+    };
+  });
+
+  weeks.forEach(({ key, games, picks }) => {
+    const { scores, details, winners, complete } = scoreWeek({ players, games, picks, rules });
+
+    players.forEach(player => {
+      const row = standings[player];
+      const { correct, incorrect, push } = details[player];
+      if (correct.length + incorrect.length + push.length === 0) return;
+
+      row.points += scores[player];
+      row.correct += correct.length;
+      row.decided += correct.length + incorrect.length;
+      row.byWeek[key] = scores[player];
+
+      if (complete && winners.includes(player)) {
+        row.weeklyWins++;
+      }
+      if (!row.bestWeek || scores[player] > row.bestWeek.score) {
+        row.bestWeek = { key, score: scores[player] };
+      }
+
+      // Streak runs over decided picks in kickoff order: +n for n right in
+      // a row, -n for n wrong in a row
+      const decided = [...correct.map(game => ({ game, hit: true })), ...incorrect.map(game => ({ game, hit: false }))]
+        .sort((a, b) => games.indexOf(a.game) - games.indexOf(b.game));
+      decided.forEach(({ hit }) => {
+        if (hit) {
+          row.streak = row.streak > 0 ? row.streak + 1 : 1;
+        } else {
+          row.streak = row.streak < 0 ? row.streak - 1 : -1;
+        }
+      });
+    });
+  });
+
+  const rows = Object.values(standings).map(row => ({
+    ...row,
+    winPct: row.decided ? row.correct / row.decided : 0
+  }));
+
+  rows.sort((a, b) => b.points - a.points || b.correct - a.correct || b.weeklyWins - a.weeklyWins || b.winPct - a.winPct);
+
+  return {
+    weeks: weeks.map(({ key }) => key),
+    standings: rows
+  };
+};
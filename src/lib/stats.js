@@ -0,0 +1,166 @@
+// Player profiles: career stats and badges built from every stored week.
+//
+// weeks is [{ key, games, picks, rules }] in order (oldest first), each with
+// the scoring rules of its season. A pick counts as right or wrong the way
+// the week was scored, so under spread rules it's against the spread.
+import { isVoided } from './overrides.js';
+import { isUnderdog } from './rules.js';
+import { gameTotal, scoreWeek } from './scoring.js';
+
+// Weeks in a row with more picks right than wrong for the streak badge
+const STREAK_WEEKS = 5;
+// Underdogs that have to win in one week for Upset Hunter
+const UPSET_HUNTER_WINS = 3;
+// Straight right picks for Hot Hand
+const HOT_HAND_PICKS = 10;
+
+export const BADGES = {
+  'perfect-week': { label: 'Perfect Week', description: 'Every game right in a finished week' },
+  'upset-hunter': { label: 'Upset Hunter', description: `${UPSET_HUNTER_WINS} underdogs right in one week` },
+  'week-streak': { label: `${STREAK_WEEKS}-week streak`, description: `More right than wrong ${STREAK_WEEKS} weeks in a row` },
+  'hot-hand': { label: 'Hot Hand', description: `${HOT_HAND_PICKS} right picks in a row` },
+  'weekly-winner': { label: 'Weekly Winner', description: 'Won a week' },
+  bullseye: { label: 'Bullseye', description: 'Guessed the tiebreaker total exactly' }
+};
+
+const ratio = (hits, total) => (total ? hits / total : null);
+
+const tally = () => ({ picked: 0, correct: 0, decided: 0 });
+
+const count = (bucket, hit) => {
+  bucket.picked++;
+  if (hit !== null) {
+    bucket.decided++;
+    if (hit) bucket.correct++;
+  }
+};
+
+const withAccuracy = (bucket) => ({ ...bucket, accuracy: ratio(bucket.correct, bucket.decided) });
+
+// Everything the profile page shows for one player. opponents are the
+// other players to keep head-to-head records against, by weekly score in
+// finished weeks; only opponents they've met are returned.
+export const playerProfile = (weeks, player, opponents = []) => {
+  const overall = { weeksPlayed: 0, correct: 0, decided: 0, points: 0, weeklyWins: 0 };
+  const teams = {};
+  const sides = { home: tally(), away: tally() };
+  const lines = { favorite: tally(), underdog: tally() };
+  const tiebreaker = { guesses: 0, exact: 0, totalMiss: 0 };
+  const headToHead = {};
+  const earned = {};
+  let run = 0;
+  let bestStreak = 0;
+  let weekRun = 0;
+
+  opponents.forEach(opponent => {
+    headToHead[opponent] = { wins: 0, losses: 0, ties: 0 };
+  });
+
+  const earn = (badge, key) => {
+    earned[badge] = earned[badge] || { ...BADGES[badge], id: badge, count: 0, first: key };
+    earned[badge].count++;
+  };
+
+  weeks.forEach(({ key, games, picks, rules }) => {
+    const myPicks = picks[player];
+    if (!myPicks || !games.some(game => myPicks[game.id])) return;
+
+    const players = [player, ...opponents.filter(opponent => picks[opponent])];
+    const { scores, details, winners, complete } = scoreWeek({ players, games, picks, rules });
+    const { correct, incorrect } = details[player];
+    const outcome = (game) => {
+      if (correct.includes(game)) return true;
+      if (incorrect.includes(game)) return false;
+      return null;
+    };
+
+    overall.weeksPlayed++;
+    overall.correct += correct.length;
+    overall.decided += correct.length + incorrect.length;
+    overall.points += scores[player];
+
+    let upsets = 0;
+    games.forEach(game => {
+      const team = myPicks[game.id];
+      if (!team) return;
+      const hit = outcome(game);
+
+      teams[team] = teams[team] || tally();
+      count(teams[team], hit);
+      count(sides[team === game.home ? 'home' : 'away'], hit);
+      if (game.odds?.favorite && game.odds.spread > 0) {
+        count(lines[isUnderdog(game, team) ? 'underdog' : 'favorite'], hit);
+      }
+      if (hit && isUnderdog(game, team)) upsets++;
+
+      // Games come in kickoff order, and so do the weeks
+      if (hit !== null) {
+        run = hit ? run + 1 : 0;
+        bestStreak = Math.max(bestStreak, run);
+        if (run === HOT_HAND_PICKS) earn('hot-hand', key);
+      }
+    });
+
+    if (upsets >= UPSET_HUNTER_WINS) earn('upset-hunter', key);
+
+    const tiebreakerGame = games.find(game => game.tiebreaker);
+    const guess = parseInt(myPicks.tiebreaker);
+    if (tiebreakerGame?.completed && !isNaN(guess)) {
+      const miss = Math.abs(gameTotal(tiebreakerGame) - guess);
+      tiebreaker.guesses++;
+      tiebreaker.totalMiss += miss;
+      if (miss === 0) {
+        tiebreaker.exact++;
+        earn('bullseye', key);
+      }
+    }
+
+    if (!complete) return;
+
+    if (winners.includes(player)) {
+      overall.weeklyWins++;
+      earn('weekly-winner', key);
+    }
+    // Every game that counted has to be picked and right; voided games and
+    // ties scored as void are left out
+    const counted = games.filter(game => !isVoided(game) && !details[player].void.includes(game));
+    if (counted.length > 0 && counted.every(game => correct.includes(game))) {
+      earn('perfect-week', key);
+    }
+
+    weekRun = correct.length > incorrect.length ? weekRun + 1 : 0;
+    if (weekRun === STREAK_WEEKS) {
+      earn('week-streak', key);
+      weekRun = 0;
+    }
+
+    players.filter(opponent => opponent !== player).forEach(opponent => {
+      const record = headToHead[opponent];
+      if (scores[player] > scores[opponent]) record.wins++;
+      else if (scores[player] < scores[opponent]) record.losses++;
+      else record.ties++;
+    });
+  });
+
+  const byTeam = Object.entries(teams)
+    .map(([team, bucket]) => ({ team, ...withAccuracy(bucket) }))
+    .sort((a, b) => b.picked - a.picked || a.team.localeCompare(b.team));
+
+  return {
+    player,
+    overall: { ...overall, accuracy: ratio(overall.correct, overall.decided) },
+    teams: byTeam,
+    favoriteTeam: byTeam[0] || null,
+    sides: { home: withAccuracy(sides.home), away: withAccuracy(sides.away) },
+    lines: { favorite: withAccuracy(lines.favorite), underdog: withAccuracy(lines.underdog) },
+    tiebreaker: {
+      guesses: tiebreaker.guesses,
+      exact: tiebreaker.exact,
+      averageMiss: tiebreaker.guesses ? tiebreaker.totalMiss / tiebreaker.guesses : null
+    },
+    bestStreak,
+    currentStreak: run,
+    headToHead: Object.fromEntries(Object.entries(headToHead).filter(([, { wins, losses, ties }]) => wins + losses + ties > 0)),
+    badges: Object.values(earned)
+  };
+};
@@ -0,0 +1,158 @@
+// Where the app keeps the league's shared data: every player's picks for a
+// week, the roster, and the schedule and standings it mirrors out. Each
+// backend is a StorageAdapter. createStorageFromEnv picks one from the Vite
+// config. Calls that only the functions answer live in api.js; see there.
+
+/**
+ * @typedef {'schedule' | 'picks' | 'standings' | 'roster'} SaveType
+ *
+ * @typedef {{ season: number, type: string, week: number }} WeekRef
+ *
+ * @typedef {{ picks: Object<string, Object<string, *>>, stamps: Object<string, Object<string, string>> }} PickRecord
+ *
+ * @typedef {{ playerId?: string, pin?: string, adminPin?: string }} ViewerAuth
+ *
+ * @typedef {{ ok: true } | { ok: false, error: string }} StorageHealth
+ *
+ * @typedef {Object} StorageAdapter
+ * @property {'functions' | 'local' | 'memory'} name
+ * @property {string} label What the app calls it on screen
+ * @property {boolean} remote True when saves go to the server and other
+ *   devices see them
+ * @property {(leagueId?: string) => Promise<StorageHealth>} check Never
+ *   rejects; the app's connection status shows this
+ * @property {(type: SaveType, data: Object, leagueId?: string) => Promise<{ success: boolean, type: SaveType, sheetsError?: ({ code: string, message: string } | null) }>} save
+ *   data as save-to-sheets takes it. Rejects with an error carrying code
+ *   (network_error when the backend couldn't be reached) and status.
+ * @property {(type: SaveType, week: WeekRef | null, leagueId?: string, auth?: ViewerAuth) => Promise<PickRecord | Object | null>} load
+ *   Picks resolve to the week's PickRecord, roster to the roster; null when
+ *   there's nothing saved. The server leaves out other players' picks for
+ *   games that haven't locked unless auth unlocks them.
+ */
+
+import { createFunctionsClient, viewerHeaders } from './api.js';
+import { DEFAULT_LEAGUE_ID } from './leagues.js';
+import { emptyRecord, mergeRecords } from './picks.js';
+import { weekKey, weekQuery } from './weeks.js';
+
+// The Netlify functions, which keep the store and mirror it to the league's
+// Google Sheet
+/** @returns {StorageAdapter} */
+export const functionsAdapter = ({ base, fetcher } = {}) => {
+  const call = createFunctionsClient({ base, fetcher });
+
+  return {
+    name: 'functions',
+    label: 'the server',
+    remote: true,
+
+    // Looks the league up without creating anything
+    check: async (leagueId = DEFAULT_LEAGUE_ID) => {
+      try {
+        await call('leagues?check=1', { leagueId });
+        return { ok: true };
+      } catch (err) {
+        return { ok: false, error: err.message };
+      }
+    },
+
+    save: (type, data, leagueId = DEFAULT_LEAGUE_ID) => (
+      call('save-to-sheets', { method: 'POST', body: { type, week: data.week, data }, leagueId })
+    ),
+
+    load: async (type, week, leagueId = DEFAULT_LEAGUE_ID, auth) => {
+      if (type === 'roster') {
+        return (await call('load-roster', { leagueId })).roster;
+      }
+      if (type !== 'picks') return null;
+
+      const { picks, stamps } = await call(`load-picks?${weekQuery(week)}`, { leagueId, headers: viewerHeaders(auth) });
+      return { picks, stamps };
+    }
+  };
+};
+
+// Keeps records the way the functions do: picks merged entry by entry on
+// their stamps, and the newer roster winning. backing is { get, set } over
+// JSON-able values.
+/** @returns {StorageAdapter} */
+const recordAdapter = (name, label, backing, check) => {
+  const keyFor = (leagueId, key) => `${leagueId || DEFAULT_LEAGUE_ID}/${key}`;
+  const picksKey = (leagueId, week) => keyFor(leagueId, `picks/${weekKey(week)}`);
+
+  return {
+    name,
+    label,
+    remote: false,
+    check,
+
+    save: async (type, data, leagueId) => {
+      if (type === 'picks') {
+        const stored = backing.get(picksKey(leagueId, data.week)) || emptyRecord();
+        backing.set(picksKey(leagueId, data.week), mergeRecords(stored, { picks: data.picks, stamps: data.stamps || {} }));
+      } else if (type === 'roster') {
+        const stored = backing.get(keyFor(leagueId, 'roster'));
+        if (!stored || (stored.updatedAt || '') <= (data.roster.updatedAt || '')) {
+          backing.set(keyFor(leagueId, 'roster'), data.roster);
+        }
+      } else if (type === 'schedule') {
+        backing.set(keyFor(leagueId, `schedule/${weekKey(data.week)}`), data.games);
+      }
+      // Standings are worked out from the picks wherever they're shown
+      return { success: true, type };
+    },
+
+    load: async (type, week, leagueId) => {
+      if (type === 'roster') return backing.get(keyFor(leagueId, 'roster'));
+      if (type === 'picks') return backing.get(picksKey(leagueId, week));
+      return null;
+    }
+  };
+};
+
+const LOCAL_PREFIX = 'storage:';
+
+// This device only, in localStorage, for running without the functions
+/** @returns {StorageAdapter} */
+export const localAdapter = (storage = window.localStorage) => recordAdapter('local', 'this device only', {
+  get: (key) => {
+    const saved = storage.getItem(`${LOCAL_PREFIX}${key}`);
+    return saved ? JSON.parse(saved) : null;
+  },
+  set: (key, value) => storage.setItem(`${LOCAL_PREFIX}${key}`, JSON.stringify(value))
+}, async () => {
+  // Private browsing and full quotas make writes throw
+  try {
+    storage.setItem(`${LOCAL_PREFIX}check`, '1');
+    storage.removeItem(`${LOCAL_PREFIX}check`);
+    return { ok: true };
+  } catch (err) {
+    return { ok: false, error: 'This browser won\'t let the app save anything' };
+  }
+});
+
+// Nothing outlives the page; for tests and trying the app out
+/** @returns {StorageAdapter} */
+export const memoryAdapter = (initial = {}) => {
+  const data = new Map(Object.entries(initial));
+  return recordAdapter('memory', 'memory only, gone on reload', {
+    get: (key) => (data.has(key) ? structuredClone(data.get(key)) : null),
+    set: (key, value) => data.set(key, structuredClone(value))
+  }, async () => ({ ok: true }));
+};
+
+export const ADAPTERS = { functions: functionsAdapter, local: localAdapter, memory: memoryAdapter };
+
+// VITE_STORAGE_BACKEND names a backend outright: functions, local or
+// memory, and anything else is a configuration mistake that stops the app
+// rather than quietly not syncing. Without it, a configured
+// VITE_GOOGLE_SHEET_ID means the functions and their spreadsheet, and no
+// sheet means this device only.
+/** @returns {StorageAdapter} */
+export const createStorageFromEnv = (env = import.meta.env) => {
+  const backend = env.VITE_STORAGE_BACKEND || (env.VITE_GOOGLE_SHEET_ID ? 'functions' : 'local');
+  if (!ADAPTERS[backend]) {
+    throw new Error(`VITE_STORAGE_BACKEND is "${backend}"; use ${Object.keys(ADAPTERS).join(', ')}`);
+  }
+  return ADAPTERS[backend]();
+};
@@ -0,0 +1,285 @@
+// Spreadsheet-ready pick exports and the import that reads them back.
+//
+// Exports take weeks as [{ key, games, picks }] (the shape scoreSeason
+// uses) so one week and a whole season come out the same way. Two CSV
+// layouts are written: one row per player per game, and a pick grid with a
+// column per player. Imports accept either CSV or an exported JSON file.
+import { csvRecords, toCSV } from './csv.js';
+import { confidenceKey, DEFAULT_RULES, normalizeRules, SCORING_RULES } from './rules.js';
+import { findPlayer } from './roster.js';
+import { toWeekRef, weekKey, weekLabel } from './weeks.js';
+
+// Grid cells read like "KC (12)" when the pick has a confidence rank
+const GRID_CELL = /^([A-Za-z]+)(?:\s*\((\d+)\))?$/;
+
+const TIEBREAKER = 'tiebreaker';
+
+const PICK_COLUMNS = [
+  ['week', 'Week'],
+  ['playerId', 'Player ID'],
+  ['player', 'Player'],
+  ['gameId', 'Game ID'],
+  ['away', 'Away'],
+  ['home', 'Home'],
+  ['kickoff', 'Kickoff'],
+  ['pick', 'Pick'],
+  ['confidence', 'Confidence'],
+  ['result', 'Result']
+];
+
+const GRID_COLUMNS = [
+  ['week', 'Week'],
+  ['gameId', 'Game ID'],
+  ['matchup', 'Matchup'],
+  ['winner', 'Winner']
+];
+
+// Headings are matched loosely so "Game ID", "gameId" and "game_id" agree
+const columnName = (heading) => heading.toLowerCase().replace(/[^a-z]/g, '');
+
+const FIXED_GRID_NAMES = GRID_COLUMNS.map(([, heading]) => columnName(heading));
+
+// One row per player per picked game, plus a row for the tiebreaker guess
+export const picksCSV = (weeks, players, nameOf, rules = DEFAULT_RULES) => {
+  const rule = SCORING_RULES[normalizeRules(rules).type];
+
+  const rows = weeks.flatMap(({ key, games, picks }) => players.flatMap(player => {
+    const playerPicks = picks[player] || {};
+    const gameRows = games
+      .filter(game => playerPicks[game.id])
+      .map(game => ({
+        week: key,
+        playerId: player,
+        player: nameOf(player),
+        gameId: game.id,
+        away: game.away,
+        home: game.home,
+        kickoff: game.kickoff,
+        pick: playerPicks[game.id],
+        confidence: playerPicks[confidenceKey(game.id)],
+        result: rule.grade(game, playerPicks[game.id])
+      }));
+
+    const guess = playerPicks[TIEBREAKER];
+    if (guess === undefined || guess === null || guess === '') return gameRows;
+    return [...gameRows, { week: key, playerId: player, player: nameOf(player), gameId: TIEBREAKER, pick: guess }];
+  }));
+
+  return toCSV(PICK_COLUMNS, rows);
+};
+
+// Games down the side, players across the top, tiebreaker guesses last
+export const pickGridCSV = (weeks, players, nameOf) => {
+  const columns = [...GRID_COLUMNS, ...players.map(player => [`player:${player}`, nameOf(player)])];
+
+  const rows = weeks.flatMap(({ key, games, picks }) => {
+    const cells = (value) => Object.fromEntries(players.map(player => [`player:${player}`, value(picks[player] || {})]));
+    const tiebreakerGame = games.find(game => game.tiebreaker);
+
+    return [
+      ...games.map(game => ({
+        week: key,
+        gameId: game.id,
+        matchup: `${game.away} @ ${game.home}`,
+        winner: game.winner,
+        ...cells(playerPicks => {
+          const pick = playerPicks[game.id];
+          const rank = playerPicks[confidenceKey(game.id)];
+          return pick && rank ? `${pick} (${rank})` : pick;
+        })
+      })),
+      {
+        week: key,
+        gameId: TIEBREAKER,
+        matchup: tiebreakerGame ? `Total points, ${tiebreakerGame.away} @ ${tiebreakerGame.home}` : 'Total points',
+        ...cells(playerPicks => playerPicks[TIEBREAKER])
+      }
+    ];
+  });
+
+  return toCSV(columns, rows);
+};
+
+// Read an exported file into flat entries of { week, player, key, value }.
+// week is a weekKey or null when the file doesn't say; player is whatever
+// the file calls them, an id or a name.
+export const parseImport = (text, fileName = '') => {
+  const trimmed = text.trim();
+  if (!trimmed) {
+    throw new Error('The file is empty');
+  }
+
+  if (fileName.toLowerCase().endsWith('.json') || trimmed.startsWith('{')) {
+    return parseJSONImport(trimmed);
+  }
+  return parseCSVImport(trimmed);
+};
+
+const parseJSONImport = (text) => {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+
+  if (typeof data?.picks !== 'object' || data.picks === null) {
+    throw new Error('The JSON file has no picks');
+  }
+
+  const ref = data.week ? toWeekRef(data.week) : null;
+  const week = ref ? weekKey(ref) : null;
+
+  return Object.entries(data.picks).flatMap(([player, playerPicks]) => (
+    Object.entries(playerPicks || {}).map(([key, value]) => ({ week, player, key, value }))
+  ));
+};
+
+const parseCSVImport = (text) => {
+  const { header, records } = csvRecords(text);
+  const names = header.map(columnName);
+  const column = (record, name) => {
+    const index = names.indexOf(name);
+    return index === -1 ? '' : record[header[index]];
+  };
+
+  if (!names.includes('gameid')) {
+    throw new Error('The CSV file needs a Game ID column');
+  }
+
+  // One row per player per game
+  if (names.includes('pick')) {
+    return records.flatMap(record => {
+      const week = column(record, 'week') || null;
+      const player = column(record, 'playerid') || column(record, 'player');
+      const gameId = column(record, 'gameid');
+      const entries = [{ week, player, key: gameId, value: column(record, 'pick') }];
+
+      const rank = column(record, 'confidence');
+      if (rank && gameId !== TIEBREAKER) {
+        entries.push({ week, player, key: confidenceKey(gameId), value: rank });
+      }
+      return entries;
+    });
+  }
+
+  // Pick grid: every column that isn't one of ours is a player
+  const playerColumns = header.filter((_, i) => !FIXED_GRID_NAMES.includes(names[i]));
+  if (playerColumns.length === 0) {
+    throw new Error('The CSV file has no Pick column and no player columns');
+  }
+
+  return records.flatMap(record => {
+    const week = column(record, 'week') || null;
+    const gameId = column(record, 'gameid');
+
+    return playerColumns.flatMap(player => {
+      const cell = record[player];
+      if (!cell) return [];
+      if (gameId === TIEBREAKER) return [{ week, player, key: TIEBREAKER, value: cell }];
+
+      const match = cell.match(GRID_CELL);
+      if (!match) return [{ week, player, key: gameId, value: cell }];
+      return [
+        { week, player, key: gameId, value: match[1] },
+        ...(match[2] ? [{ week, player, key: confidenceKey(gameId), value: match[2] }] : [])
+      ];
+    });
+  });
+};
+
+// A player named in a file, by id, by name or by name with emoji
+const resolvePlayer = (roster, label) => {
+  const wanted = String(label).trim().toLowerCase();
+  const player = findPlayer(roster, label) || roster.players.find(p => (
+    p.name.toLowerCase() === wanted || `${p.emoji} ${p.name}`.trim().toLowerCase() === wanted
+  ));
+  return player?.id || null;
+};
+
+// Check imported entries against a week's schedule and the roster and work
+// out what would change. Nothing is written here; the caller shows the
+// changes and applies picks once they're confirmed. Problems block the
+// import; skipped entries are valid but left alone, e.g. locked games when
+// the importer can't change them.
+export const previewImport = (entries, { ref, games, roster, picks, canChange = () => true }) => {
+  const key = weekKey(ref);
+  const forWeek = entries.filter(entry => !entry.week || entry.week === key);
+  const problems = [];
+  const skipped = [];
+  const changes = [];
+
+  if (entries.length > 0 && forWeek.length === 0) {
+    problems.push(`The file has no picks for ${weekLabel(ref)} of ${ref.season}`);
+  }
+
+  const unknownPlayers = new Set();
+  const next = { ...picks };
+
+  forWeek.forEach(({ player: label, key: pickKey, value }) => {
+    const player = resolvePlayer(roster, label);
+    if (!player) {
+      unknownPlayers.add(label);
+      return;
+    }
+
+    const text = value === null || value === undefined ? '' : String(value).trim();
+    if (text === '') return;
+
+    let parsed;
+    if (pickKey === TIEBREAKER) {
+      // Kept as typed, the way the tiebreaker box saves it
+      if (!/^\d+$/.test(text)) {
+        problems.push(`${label}: the tiebreaker guess "${text}" isn't a number of points`);
+        return;
+      }
+      parsed = text;
+    } else if (pickKey.startsWith('confidence:')) {
+      const gameId = pickKey.slice('confidence:'.length);
+      parsed = parseInt(text);
+      if (!games.some(game => game.id === gameId)) return; // reported with its pick
+      if (!(parsed >= 1 && parsed <= games.length)) {
+        problems.push(`${label}: confidence ${text} is outside 1 to ${games.length}`);
+        return;
+      }
+    } else {
+      const game = games.find(g => g.id === pickKey);
+      if (!game) {
+        problems.push(`${label}: game ${pickKey} isn't on this week's schedule`);
+        return;
+      }
+      parsed = text.toUpperCase();
+      if (parsed !== game.away && parsed !== game.home) {
+        problems.push(`${label}: ${text} isn't playing in ${game.away} @ ${game.home}`);
+        return;
+      }
+    }
+
+    const from = picks[player]?.[pickKey];
+    if (String(from ?? '') === String(parsed)) return;
+
+    if (!canChange(player, pickKey)) {
+      skipped.push({ player, key: pickKey, from: from ?? null, to: parsed });
+      return;
+    }
+
+    changes.push({ player, key: pickKey, from: from ?? null, to: parsed });
+    next[player] = { ...next[player], [pickKey]: parsed };
+  });
+
+  unknownPlayers.forEach(label => problems.push(`"${label}" isn't on the roster`));
+
+  // A confidence number can still only be used once per player after the
+  // file is applied
+  new Set(changes.map(change => change.player)).forEach(player => {
+    const ranks = Object.entries(next[player])
+      .filter(([pickKey, value]) => pickKey.startsWith('confidence:') && value !== null && value !== '')
+      .map(([, value]) => parseInt(value));
+    const duplicates = [...new Set(ranks.filter((rank, i) => ranks.indexOf(rank) !== i))];
+    if (duplicates.length > 0) {
+      problems.push(`${findPlayer(roster, player).name}: confidence ${duplicates.join(', ')} would be used twice`);
+    }
+  });
+
+  return { changes, skipped, problems, picks: next };
+};
@@ -0,0 +1,130 @@
+// Week references. A week is identified by { season, type, week } where
+// season is the year the season kicked off and type is pre, reg or post,
+// so 2025 week 1 and 2026 week 1 never share storage.
+
+export const SEASON_TYPES = {
+  pre: { id: 1, label: 'Preseason', weeks: [1, 2, 3, 4] },
+  reg: { id: 2, label: 'Regular Season', weeks: Array.from({ length: 18 }, (_, i) => i + 1) },
+  // ESPN's postseason week 4 is the Pro Bowl, which nobody picks
+  post: { id: 3, label: 'Postseason', weeks: [1, 2, 3, 5] }
+};
+
+const TYPE_ORDER = ['pre', 'reg', 'post'];
+
+const POSTSEASON_ROUNDS = {
+  1: { label: 'Wild Card', short: 'WC' },
+  2: { label: 'Divisional Round', short: 'DIV' },
+  3: { label: 'Conference Championships', short: 'CONF' },
+  5: { label: 'Super Bowl', short: 'SB' }
+};
+
+// Seasons start in the fall, so January and February still belong to last
+// year's season
+export const seasonForDate = (date = new Date()) => (
+  date.getMonth() >= 2 ? date.getFullYear() : date.getFullYear() - 1
+);
+
+// Offline guess at the current week. Week 1 kicks off the Thursday after
+// Labor Day and each week runs Tuesday through Monday.
+export const guessWeekRef = (date = new Date()) => {
+  const season = seasonForDate(date);
+  const septemberFirst = new Date(season, 8, 1);
+  const laborDay = new Date(season, 8, 1 + ((8 - septemberFirst.getDay()) % 7));
+  const weekOneStart = new Date(season, 8, laborDay.getDate() + 1);
+
+  const weekIndex = Math.floor((date - weekOneStart) / (7 * 24 * 60 * 60 * 1000));
+  const regularWeeks = SEASON_TYPES.reg.weeks.length;
+
+  if (weekIndex < 0) return { season, type: 'reg', week: 1 };
+  if (weekIndex < regularWeeks) return { season, type: 'reg', week: weekIndex + 1 };
+
+  // Wild Card, Divisional, Conference, then the off week and Super Bowl
+  const postWeeks = SEASON_TYPES.post.weeks;
+  return { season, type: 'post', week: postWeeks[Math.min(weekIndex - regularWeeks, postWeeks.length - 1)] };
+};
+
+export const typeForId = (id) => TYPE_ORDER.find(type => SEASON_TYPES[type].id === Number(id)) || null;
+
+export const isValidWeekRef = (ref) => (
+  !!ref
+  && Number.isInteger(ref.season)
+  && !!SEASON_TYPES[ref.type]
+  && SEASON_TYPES[ref.type].weeks.includes(ref.week)
+);
+
+// Accepts a week reference, possibly with string fields from a query
+// string, or a bare week number meaning that regular season week this season
+export const toWeekRef = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+
+  const source = typeof value === 'object' ? value : { week: value };
+  const ref = {
+    season: source.season ? parseInt(source.season) : seasonForDate(),
+    type: source.type || 'reg',
+    week: parseInt(source.week)
+  };
+  return isValidWeekRef(ref) ? ref : null;
+};
+
+// Storage key segment, e.g. 2025-reg-7
+export const weekKey = ({ season, type, week }) => `${season}-${type}-${week}`;
+
+export const parseWeekKey = (key) => {
+  const [season, type, week] = String(key).split('-');
+  const ref = { season: parseInt(season), type, week: parseInt(week) };
+  return isValidWeekRef(ref) ? ref : null;
+};
+
+export const weekQuery = ({ season, type, week }) => `season=${season}&type=${type}&week=${week}`;
+
+// Deep links: /week/7 is this season's week 7, /2026/post/2 is fully spelled out
+export const weekRefFromPath = (path) => {
+  const parts = path.split('/').filter(Boolean);
+
+  if (parts.length === 2 && parts[0] === 'week') {
+    return toWeekRef(parts[1]);
+  }
+  if (parts.length === 3) {
+    return toWeekRef({ season: parts[0], type: parts[1], week: parts[2] });
+  }
+  return null;
+};
+
+export const pathForWeekRef = ({ season, type, week }) => `/${season}/${type}/${week}`;
+
+export const weekLabel = ({ type, week }) => {
+  if (type === 'post') return POSTSEASON_ROUNDS[week]?.label || `Postseason Week ${week}`;
+  if (type === 'pre') return `Preseason Week ${week}`;
+  return `Week ${week}`;
+};
+
+export const shortWeekLabel = ({ type, week }) => {
+  if (type === 'post') return POSTSEASON_ROUNDS[week]?.short || `P${week}`;
+  if (type === 'pre') return `PRE${week}`;
+  return String(week);
+};
+
+// Every week of a season in order, preseason included when asked for
+export const seasonWeeks = (season, { preseason = false } = {}) => (
+  TYPE_ORDER
+    .filter(type => preseason || type !== 'pre')
+    .flatMap(type => SEASON_TYPES[type].weeks.map(week => ({ season, type, week })))
+);
+
+// Sort order for weeks across seasons: by season, then preseason, regular
+// season and postseason, then week
+export const compareWeekRefs = (a, b) => (
+  a.season - b.season || TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type) || a.week - b.week
+);
+
+const allWeeks = (season) => seasonWeeks(season, { preseason: true });
+
+const stepWeek = (ref, offset) => {
+  const weeks = allWeeks(ref.season);
+  const index = weeks.findIndex(w => w.type === ref.type && w.week === ref.week);
+  return weeks[index + offset] || null;
+};
+
+export const nextWeekRef = (ref) => stepWeek(ref, 1);
+
+export const prevWeekRef = (ref) => stepWeek(ref, -1);
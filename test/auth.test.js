@@ -0,0 +1,144 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  authorizeChanges,
+  hashPin,
+  isLeagueAdmin,
+  isPlayerPin,
+  MAX_PIN_ATTEMPTS,
+  PIN_LOCKOUT_MS,
+  PINS_KEY,
+  pinLockedUntil,
+  viewerFrom
+} from '../netlify/lib/auth.js';
+import { scopeStore } from '../netlify/lib/leagues.js';
+import { createMemoryStore } from '../netlify/lib/store.js';
+
+const withPins = () => createMemoryStore({ [PINS_KEY]: { ava: hashPin('1234') } });
+
+const tryPin = async (store, pin) => isPlayerPin(store, await store.get(PINS_KEY), 'ava', pin);
+
+describe('isPlayerPin', () => {
+  it('checks a player\'s PIN, and lets a player without one through', async () => {
+    const store = withPins();
+    expect(await tryPin(store, '1234')).toBe(true);
+    expect(await tryPin(store, '4321')).toBe(false);
+    expect(await isPlayerPin(store, await store.get(PINS_KEY), 'ben', undefined)).toBe(true);
+  });
+
+  it('turns down a malformed stored hash instead of throwing', async () => {
+    const store = createMemoryStore({ [PINS_KEY]: { ava: 'not-a-hash' } });
+    expect(await tryPin(store, '1234')).toBe(false);
+  });
+});
+
+describe('PIN lockout', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+    vi.setSystemTime(new Date('2025-09-07T12:00:00.000Z'));
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+    vi.unstubAllEnvs();
+  });
+
+  it('locks a PIN after too many wrong tries, even the right PIN, until the window passes', async () => {
+    const store = withPins();
+    for (let i = 0; i < MAX_PIN_ATTEMPTS; i++) {
+      expect(await tryPin(store, '0000')).toBe(false);
+    }
+
+    expect(await pinLockedUntil(store, 'ava')).toBe(new Date(Date.now() + PIN_LOCKOUT_MS).toISOString());
+    expect(await tryPin(store, '1234')).toBe(false);
+
+    vi.advanceTimersByTime(PIN_LOCKOUT_MS + 1);
+    expect(await pinLockedUntil(store, 'ava')).toBeNull();
+    expect(await tryPin(store, '1234')).toBe(true);
+  });
+
+  it('counts every wrong PIN sent at the same time', async () => {
+    const store = withPins();
+    await Promise.all(Array.from({ length: 30 }, () => tryPin(store, '0000')));
+
+    expect(await pinLockedUntil(store, 'ava')).not.toBeNull();
+    expect(await tryPin(store, '1234')).toBe(false);
+  });
+
+  it('starts the count again after the right PIN', async () => {
+    const store = withPins();
+    for (let i = 0; i < MAX_PIN_ATTEMPTS - 1; i++) {
+      await tryPin(store, '0000');
+    }
+    vi.advanceTimersByTime(1);
+    expect(await tryPin(store, '1234')).toBe(true);
+
+    vi.advanceTimersByTime(1);
+    await tryPin(store, '0000');
+    expect(await pinLockedUntil(store, 'ava')).toBeNull();
+    expect(await tryPin(store, '1234')).toBe(true);
+  });
+
+  it('doesn\'t count a missing PIN as a try', async () => {
+    const store = withPins();
+    for (let i = 0; i < MAX_PIN_ATTEMPTS + 1; i++) {
+      await tryPin(store, undefined);
+    }
+    expect(await pinLockedUntil(store, 'ava')).toBeNull();
+  });
+
+  it('locks the parent PIN apart from the players\'', async () => {
+    vi.stubEnv('ADMIN_PIN', '9999');
+    const store = withPins();
+    for (let i = 0; i < MAX_PIN_ATTEMPTS; i++) {
+      await isLeagueAdmin(store, '0000');
+    }
+
+    expect(await isLeagueAdmin(store, '9999')).toBe(false);
+    expect(await tryPin(store, '1234')).toBe(true);
+  });
+
+  it('keeps each league\'s count to itself', async () => {
+    const shared = createMemoryStore();
+    const home = scopeStore(shared, 'default');
+    const cousins = scopeStore(shared, 'cousins');
+    await home.set(PINS_KEY, { ava: hashPin('1234') });
+    await cousins.set(PINS_KEY, { ava: hashPin('5678') });
+
+    for (let i = 0; i < MAX_PIN_ATTEMPTS; i++) {
+      await tryPin(home, '0000');
+    }
+    expect(await tryPin(home, '1234')).toBe(false);
+    expect(await tryPin(cousins, '5678')).toBe(true);
+  });
+});
+
+describe('viewerFrom', () => {
+  afterEach(() => {
+    vi.unstubAllEnvs();
+  });
+
+  it('knows a player only by their own PIN, and a parent by theirs', async () => {
+    vi.stubEnv('ADMIN_PIN', '9999');
+    const store = withPins();
+    const as = (headers) => viewerFrom(store, { headers });
+
+    expect(await as({ 'x-player-id': 'ava', 'x-player-pin': '1234' })).toEqual({ viewer: 'ava', admin: false });
+    expect(await as({ 'x-player-id': 'ava', 'x-player-pin': '4321' })).toEqual({ viewer: null, admin: false });
+    expect(await as({ 'x-player-id': 'ben' })).toEqual({ viewer: 'ben', admin: false });
+    expect(await as({ 'x-admin-pin': '9999' })).toEqual({ viewer: null, admin: true });
+  });
+});
+
+describe('authorizeChanges', () => {
+  const pins = { ava: 'hash' };
+
+  it('needs the PIN of every player with one whose picks change', () => {
+    expect(() => authorizeChanges([{ player: 'ava', key: 'g1' }], pins)).toThrow(/ava/);
+    expect(authorizeChanges([{ player: 'ava', key: 'g1' }], pins, { player: 'ava' })).toEqual({ admin: false });
+    expect(authorizeChanges([{ player: 'ben', key: 'g1' }], pins)).toEqual({ admin: false });
+  });
+
+  it('lets a parent change anyone\'s picks', () => {
+    expect(authorizeChanges([{ player: 'ava', key: 'g1' }], pins, { admin: true })).toEqual({ admin: true });
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, expect, it } from 'vitest';
+import { createHandler } from '../netlify/functions/calculate-winners.js';
+import { picksKey } from '../netlify/lib/picks.js';
+import { fixtureProvider } from '../netlify/lib/providers.js';
+import { createMemoryStore } from '../netlify/lib/store.js';
+
+// Week 1 has one final game, one in progress and one not started; every
+// game in week 2 is final and the tiebreaker (KC @ PHI) totals 37 points
+const fixtures = fixtureProvider('fixtures/scoreboard');
+const WEEK_1 = { season: 2025, type: 'reg', week: 1 };
+const WEEK_2 = { season: 2025, type: 'reg', week: 2 };
+
+const calculate = async (week, picks, query = {}) => {
+  const store = createMemoryStore({ [picksKey(week)]: { picks, stamps: {} } });
+  const handler = createHandler({ loadScoreboard: fixtures.fetchScoreboard, getStore: () => store });
+  const response = await handler({
+    httpMethod: 'GET',
+    headers: {},
+    queryStringParameters: { season: String(week.season), type: week.type, week: String(week.week), ...query }
+  });
+  return { statusCode: response.statusCode, body: JSON.parse(response.body) };
+};
+
+const player = (body, name) => body.players.find(entry => entry.name === name);
+
+describe('calculate-winners', () => {
+  it('scores finished games and leaves the rest pending', async () => {
+    const { statusCode, body } = await calculate(WEEK_1, {
+      ava: { 401772510: 'PHI', 401772511: 'TB', 401772512: 'PIT' },
+      ben: { 401772510: 'DAL', 401772511: 'ATL' }
+    });
+
+    expect(statusCode).toBe(200);
+    expect(body).toMatchObject({ complete: false, games: 3, gamesCompleted: 1, leaders: ['ava'], winner: null });
+    expect(player(body, 'ava')).toMatchObject({
+      score: 1,
+      correct: ['401772510'],
+      incorrect: [],
+      pending: ['401772511', '401772512']
+    });
+    expect(player(body, 'ben')).toMatchObject({ score: 0, correct: [], incorrect: ['401772510'], pending: ['401772511'] });
+  });
+
+  it('breaks a tie with the guess closest to the total without going over', async () => {
+    const { body } = await calculate(WEEK_2, {
+      ava: { 401772520: 'GB', 401772521: 'BUF', 401772522: 'KC', tiebreaker: '35' },
+      ben: { 401772520: 'WSH', 401772521: 'BUF', 401772522: 'PHI', tiebreaker: '38' },
+      cara: { 401772520: 'GB', 401772521: 'NYJ', 401772522: 'KC', tiebreaker: '37' }
+    });
+
+    expect(body.complete).toBe(true);
+    expect(body.leaders).toEqual(['ava', 'ben']);
+    expect(body.winner).toBe('ava');
+    expect(body.tiebreaker).toMatchObject({ gameId: '401772522', total: 37, rule: 'closest-without-going-over' });
+  });
+
+  it('follows the fallback rule when every tied guess went over', async () => {
+    const picks = {
+      ava: { 401772520: 'GB', 401772521: 'BUF', tiebreaker: '45' },
+      ben: { 401772520: 'GB', 401772521: 'BUF', tiebreaker: '40' }
+    };
+
+    const closest = await calculate(WEEK_2, picks);
+    expect(closest.body.winner).toBe('ben');
+    expect(closest.body.tiebreaker.rule).toBe('all-over-closest');
+
+    const shared = await calculate(WEEK_2, picks, { fallback: 'share' });
+    expect(shared.body.winners).toEqual(['ava', 'ben']);
+    expect(shared.body.winner).toBeNull();
+    expect(shared.body.tiebreaker.rule).toBe('all-over-shared');
+  });
+
+  it('refuses an unknown fallback rule', async () => {
+    const { statusCode } = await calculate(WEEK_2, {}, { fallback: 'coin-flip' });
+    expect(statusCode).toBe(400);
+  });
+});
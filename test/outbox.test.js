@@ -0,0 +1,123 @@
+import { IDBFactory } from 'fake-indexeddb';
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+// Each test gets an empty IndexedDB and a fresh copy of the module, which
+// holds the open database
+let outbox;
+
+beforeEach(async () => {
+  vi.stubGlobal('indexedDB', new IDBFactory());
+  vi.resetModules();
+  outbox = await import('../src/lib/outbox.js');
+});
+
+const failure = (code) => Object.assign(new Error(code), { code });
+
+const picksSave = (player) => ({
+  week: { season: 2025, type: 'reg', week: 1 },
+  picks: { [player]: { g1: 'KC' } },
+  auth: { playerId: player, pin: '1234', adminPin: '9999', reason: 'fixing a typo' }
+});
+
+describe('outbox', () => {
+  it('replays saves oldest first, without the PINs they were made with', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+    await outbox.queueSave('picks', picksSave('ben'), 'other');
+
+    const sent = [];
+    const result = await outbox.flushOutbox(async (type, data, league) => {
+      sent.push({ type, data, league });
+    });
+
+    expect(result).toMatchObject({ sent: 2, rejected: [], remaining: 0, error: null });
+    expect(sent.map(({ data, league }) => [data.picks, league])).toEqual([
+      [{ ava: { g1: 'KC' } }, 'default'],
+      [{ ben: { g1: 'KC' } }, 'other']
+    ]);
+    expect(sent[0].data.auth).toEqual({ playerId: 'ava', reason: 'fixing a typo', parent: true });
+  });
+
+  it('keeps everything queued while the device is offline, however often it tries', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+
+    for (let i = 0; i < outbox.MAX_ATTEMPTS + 2; i++) {
+      const result = await outbox.flushOutbox(async () => {
+        throw failure('network_error');
+      });
+      expect(result).toMatchObject({ sent: 0, remaining: 1 });
+    }
+
+    const sent = [];
+    await outbox.flushOutbox(async (type, data) => sent.push(data));
+    expect(sent).toHaveLength(1);
+  });
+
+  it('retries server failures up to MAX_ATTEMPTS, then gives the save up', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+    await outbox.queueSave('picks', picksSave('ben'), 'default');
+
+    const send = vi.fn(async (type, data) => {
+      if (data.picks.ava) throw failure('server_error');
+    });
+
+    for (let i = 1; i < outbox.MAX_ATTEMPTS; i++) {
+      expect(await outbox.flushOutbox(send)).toMatchObject({ sent: 0, remaining: 2 });
+    }
+
+    const last = await outbox.flushOutbox(send);
+    expect(last.sent).toBe(1);
+    expect(last.remaining).toBe(0);
+    expect(last.rejected).toHaveLength(1);
+    expect(last.rejected[0].entry.data.picks).toEqual({ ava: { g1: 'KC' } });
+    expect(last.rejected[0].error.code).toBe('server_error');
+  });
+
+  it('drops a save the server refuses without retrying it', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+    await outbox.queueSave('picks', picksSave('ben'), 'default');
+
+    const send = vi.fn(async (type, data) => {
+      if (data.picks.ava) throw failure('picks_locked');
+    });
+    const result = await outbox.flushOutbox(send);
+
+    expect(send).toHaveBeenCalledTimes(2);
+    expect(result).toMatchObject({ sent: 1, remaining: 0 });
+    expect(result.rejected.map(({ error }) => error.code)).toEqual(['picks_locked']);
+    expect(await outbox.pendingCount()).toBe(0);
+  });
+
+  it('waits, without using up tries, for a PIN to be typed in again', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+
+    const result = await outbox.flushOutbox(async () => {
+      throw failure('pin_needed');
+    });
+
+    expect(result).toMatchObject({ sent: 0, rejected: [], remaining: 1 });
+    expect(result.error.code).toBe('pin_needed');
+  });
+
+  it('passes on what the last save sent said about the Google Sheet', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+    await outbox.queueSave('picks', picksSave('ben'), 'default');
+
+    const mirror = [{ code: 'sheets_write_failed', message: 'quota exceeded' }, null];
+    const result = await outbox.flushOutbox(async () => ({ success: true, sheetsError: mirror.shift() }));
+    expect(result).toMatchObject({ sent: 2, sheetsError: null });
+
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+    const failed = await outbox.flushOutbox(async () => ({ success: true, sheetsError: { code: 'sheets_write_failed', message: 'quota exceeded' } }));
+    expect(failed.sheetsError.code).toBe('sheets_write_failed');
+  });
+
+  it('runs one replay at a time', async () => {
+    await outbox.queueSave('picks', picksSave('ava'), 'default');
+
+    const send = vi.fn(async () => {});
+    const [first, second] = await Promise.all([outbox.flushOutbox(send), outbox.flushOutbox(send)]);
+
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(first.sent + second.sent).toBe(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { describe, expect, it } from 'vitest';
+import { isPickKeyLocked } from '../src/lib/locks.js';
+import { clampStamps, mergeRecords } from '../src/lib/picks.js';
+import { loadPickHistory, loadWeekPicks, PicksLockedError, saveWeekPicks, UnknownPicksError } from '../netlify/lib/picks.js';
+import { createMemoryStore } from '../netlify/lib/store.js';
+
+const WEEK = { season: 2025, type: 'reg', week: 1 };
+const HOUR = 60 * 60 * 1000;
+
+const game = (id, offset, extra = {}) => {
+  const kickoff = new Date(Date.now() + offset).toISOString();
+  return { id, away: 'KC', home: 'BAL', kickoff, locksAt: kickoff, completed: false, tiebreaker: false, ...extra };
+};
+
+describe('mergeRecords', () => {
+  it('keeps the newer entry from either record', () => {
+    const phone = { picks: { ava: { g1: 'KC', g2: 'BAL' } }, stamps: { ava: { g1: '2025-09-01T10:00:00.000Z', g2: '2025-09-01T12:00:00.000Z' } } };
+    const laptop = { picks: { ava: { g1: 'BAL', g2: 'KC' } }, stamps: { ava: { g1: '2025-09-01T11:00:00.000Z', g2: '2025-09-01T09:00:00.000Z' } } };
+
+    const merged = mergeRecords(phone, laptop);
+    expect(merged.picks.ava).toEqual({ g1: 'BAL', g2: 'BAL' });
+    expect(merged.stamps.ava).toEqual({ g1: '2025-09-01T11:00:00.000Z', g2: '2025-09-01T12:00:00.000Z' });
+  });
+
+  it('lets a stamped entry beat an unstamped one and keeps entries only one side has', () => {
+    const first = { picks: { ava: { g1: 'KC' }, ben: { g1: 'BAL' } }, stamps: {} };
+    const second = { picks: { ava: { g1: 'BAL', g2: 'KC' } }, stamps: { ava: { g1: '2025-09-01T10:00:00.000Z' } } };
+
+    const merged = mergeRecords(first, second);
+    expect(merged.picks).toEqual({ ava: { g1: 'BAL', g2: 'KC' }, ben: { g1: 'BAL' } });
+  });
+
+  it('keeps the first record on a tie', () => {
+    const stamps = { ava: { g1: '2025-09-01T10:00:00.000Z' } };
+    expect(mergeRecords({ picks: { ava: { g1: 'KC' } }, stamps }, { picks: { ava: { g1: 'BAL' } }, stamps }).picks.ava.g1).toBe('KC');
+  });
+});
+
+describe('clampStamps', () => {
+  it('brings future and unreadable stamps back to now', () => {
+    const now = '2025-09-01T12:00:00.000Z';
+    const clamped = clampStamps({ ava: { g1: '2099-01-01T00:00:00.000Z', g2: 'soon', g3: '2025-09-01T11:00:00Z' } }, now);
+    expect(clamped).toEqual({ ava: { g1: now, g2: now, g3: '2025-09-01T11:00:00.000Z' } });
+  });
+});
+
+describe('isPickKeyLocked', () => {
+  const games = [game('g1', -HOUR), game('g2', HOUR, { tiebreaker: true })];
+
+  it('locks a pick and its confidence rank with the game', () => {
+    expect(isPickKeyLocked('g1', games)).toBe(true);
+    expect(isPickKeyLocked('confidence:g1', games)).toBe(true);
+    expect(isPickKeyLocked('g2', games)).toBe(false);
+  });
+
+  it('locks the tiebreaker guess with the tiebreaker game', () => {
+    expect(isPickKeyLocked('tiebreaker', games)).toBe(false);
+    expect(isPickKeyLocked('tiebreaker', games, Date.now() + 2 * HOUR)).toBe(true);
+  });
+
+  it('treats a key for no game in the week as locked', () => {
+    expect(isPickKeyLocked('g9', games)).toBe(true);
+  });
+});
+
+describe('saveWeekPicks', () => {
+  const games = [game('g1', -HOUR), game('g2', HOUR, { tiebreaker: true })];
+
+  it('merges open picks and records them in the history', async () => {
+    const store = createMemoryStore();
+    await saveWeekPicks(store, WEEK, { picks: { ava: { g2: 'KC' } }, stamps: { ava: { g2: '2025-09-01T10:00:00.000Z' } } }, { games });
+    await saveWeekPicks(store, WEEK, { picks: { ben: { g2: 'BAL' } }, stamps: {} }, { games });
+
+    const record = await loadWeekPicks(store, WEEK);
+    expect(record.picks).toEqual({ ava: { g2: 'KC' }, ben: { g2: 'BAL' } });
+    expect((await loadPickHistory(store, WEEK)).map(({ player, key, to }) => [player, key, to])).toEqual([
+      ['ava', 'g2', 'KC'],
+      ['ben', 'g2', 'BAL']
+    ]);
+  });
+
+  it('refuses changes to locked games and leaves the store alone', async () => {
+    const store = createMemoryStore();
+    const saving = saveWeekPicks(store, WEEK, { picks: { ava: { g1: 'KC', g2: 'KC' } }, stamps: {} }, { games });
+
+    await expect(saving).rejects.toBeInstanceOf(PicksLockedError);
+    await expect(saving).rejects.toMatchObject({ entries: [{ player: 'ava', key: 'g1' }] });
+    expect((await loadWeekPicks(store, WEEK)).picks).toEqual({});
+  });
+
+  it('refuses keys for games that aren\'t in the week', async () => {
+    const store = createMemoryStore();
+    const saving = saveWeekPicks(store, WEEK, { picks: { ava: { g9: 'KC' } }, stamps: {} }, { games });
+
+    await expect(saving).rejects.toBeInstanceOf(UnknownPicksError);
+    expect((await loadWeekPicks(store, WEEK)).picks).toEqual({});
+  });
+
+  it('holds future stamps to the server clock', async () => {
+    const store = createMemoryStore();
+    const record = await saveWeekPicks(store, WEEK, { picks: { ava: { g2: 'KC' } }, stamps: { ava: { g2: '2099-01-01T00:00:00.000Z' } } }, { games });
+
+    expect(Date.parse(record.stamps.ava.g2)).toBeLessThanOrEqual(Date.now());
+  });
+});
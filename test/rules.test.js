@@ -0,0 +1,133 @@
+import { describe, expect, it } from 'vitest';
+import { InvalidPicksError, loadWeekPicks, saveWeekPicks } from '../netlify/lib/picks.js';
+import { createMemoryStore } from '../netlify/lib/store.js';
+import { normalizeRules, pickValueProblem, validatePicks } from '../src/lib/rules.js';
+import { scorePicks } from '../src/lib/scoring.js';
+
+const final = (id, away, home, awayScore, homeScore, odds = null) => ({
+  id,
+  away,
+  home,
+  awayScore: String(awayScore),
+  homeScore: String(homeScore),
+  completed: true,
+  winner: awayScore === homeScore ? null : (awayScore > homeScore ? away : home),
+  odds,
+  tiebreaker: false
+});
+
+const score = (games, playerPicks, rules) => {
+  const { scores, details } = scorePicks(['ava'], games, { ava: playerPicks }, rules);
+  const ids = (bucket) => details.ava[bucket].map(game => game.id);
+  return { score: scores.ava, correct: ids('correct'), incorrect: ids('incorrect'), push: ids('push'), void: ids('void') };
+};
+
+describe('scoring rules', () => {
+  it('gives a point per correct pick under classic rules', () => {
+    const games = [final('g1', 'KC', 'BAL', 24, 20), final('g2', 'DAL', 'PHI', 20, 24)];
+    expect(score(games, { g1: 'KC', g2: 'DAL' }, { type: 'classic' })).toMatchObject({ score: 1, correct: ['g1'], incorrect: ['g2'] });
+  });
+
+  it('scores a correct confidence pick at its rank', () => {
+    const games = [final('g1', 'KC', 'BAL', 24, 20), final('g2', 'DAL', 'PHI', 20, 24)];
+    const picks = { g1: 'KC', 'confidence:g1': 2, g2: 'DAL', 'confidence:g2': 1 };
+    expect(score(games, picks, { type: 'confidence' }).score).toBe(2);
+  });
+
+  it('adds the upset bonus only for a correct underdog pick', () => {
+    const games = [
+      final('g1', 'KC', 'BAL', 20, 24, { favorite: 'KC', spread: 3 }),
+      final('g2', 'DAL', 'PHI', 20, 24, { favorite: 'PHI', spread: 7 })
+    ];
+    expect(score(games, { g1: 'BAL', g2: 'PHI' }, { type: 'upset', upsetBonus: 2 }).score).toBe(3 + 1);
+  });
+
+  it('grades spread picks on the cover and pushes a game landing on the number', () => {
+    const games = [
+      final('g1', 'KC', 'BAL', 24, 21, { favorite: 'KC', spread: 3 }),
+      final('g2', 'DAL', 'PHI', 20, 24, { favorite: 'PHI', spread: 6.5 }),
+      final('g3', 'NYJ', 'BUF', 10, 30)
+    ];
+    expect(score(games, { g1: 'KC', g2: 'DAL', g3: 'BUF' }, { type: 'spread' })).toMatchObject({
+      score: 2,
+      correct: ['g2', 'g3'],
+      push: ['g1']
+    });
+  });
+
+  it('scores a pick on a tied game by the league\'s tie setting', () => {
+    const games = [final('g1', 'KC', 'BAL', 20, 20), final('g2', 'DAL', 'PHI', 20, 24)];
+    const picks = { g1: 'KC', g2: 'PHI' };
+
+    expect(score(games, picks, { type: 'classic', ties: 'push' })).toMatchObject({ score: 1, push: ['g1'] });
+    expect(score(games, picks, { type: 'classic', ties: 'half' })).toMatchObject({ score: 1.5, push: ['g1'] });
+    expect(score(games, picks, { type: 'classic', ties: 'void' })).toMatchObject({ score: 1, push: [], void: ['g1'] });
+  });
+
+  it('falls back to the defaults for rules it doesn\'t know', () => {
+    expect(normalizeRules({ type: 'lottery', upsetBonus: -1, ties: 'coin' })).toEqual({ type: 'classic', upsetBonus: 1, ties: 'push' });
+  });
+});
+
+describe('validatePicks', () => {
+  const games = [final('g1', 'KC', 'BAL', 0, 0), final('g2', 'DAL', 'PHI', 0, 0)];
+
+  it('wants every picked game ranked once from 1 to N under confidence rules', () => {
+    expect(validatePicks({ type: 'confidence' }, games, { g1: 'KC', 'confidence:g1': 1, g2: 'DAL', 'confidence:g2': 2 })).toEqual([]);
+    expect(validatePicks({ type: 'confidence' }, games, { g1: 'KC', 'confidence:g1': 1, g2: 'DAL', 'confidence:g2': 1 })).toHaveLength(1);
+    expect(validatePicks({ type: 'confidence' }, games, { g1: 'KC', 'confidence:g1': 3, g2: 'DAL' })).toHaveLength(2);
+  });
+});
+
+describe('pickValueProblem', () => {
+  const games = [final('g1', 'KC', 'BAL', 0, 0), { ...final('g2', 'DAL', 'PHI', 0, 0), tiebreaker: true }];
+
+  it('accepts the teams playing, ranks 1..N used once and whole-number tiebreakers', () => {
+    const picks = { g1: 'KC', 'confidence:g1': 2, g2: 'PHI', 'confidence:g2': '1', tiebreaker: '41' };
+    expect(Object.keys(picks).map(key => pickValueProblem(key, picks, games))).toEqual([null, null, null, null, null]);
+  });
+
+  it('lets any entry be cleared', () => {
+    expect(pickValueProblem('confidence:g1', { 'confidence:g1': null }, games)).toBeNull();
+    expect(pickValueProblem('tiebreaker', { tiebreaker: '' }, games)).toBeNull();
+  });
+
+  it('turns down teams that aren\'t playing, ranks out of range or taken and odd tiebreakers', () => {
+    expect(pickValueProblem('g1', { g1: 'ZZZ' }, games)).toBe('Pick KC or BAL');
+    expect(pickValueProblem('confidence:g1', { 'confidence:g1': 999 }, games)).toMatch(/1 to 2/);
+    expect(pickValueProblem('confidence:g1', { 'confidence:g1': 1.5 }, games)).toMatch(/1 to 2/);
+    expect(pickValueProblem('confidence:g1', { 'confidence:g1': 1, 'confidence:g2': 1 }, games)).toMatch(/already used/);
+    expect(pickValueProblem('tiebreaker', { tiebreaker: '-3' }, games)).toMatch(/whole number/);
+    expect(pickValueProblem('tiebreaker', { tiebreaker: '40.5' }, games)).toMatch(/whole number/);
+  });
+});
+
+describe('saveWeekPicks values', () => {
+  const WEEK = { season: 2025, type: 'reg', week: 1 };
+  const locksAt = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  const games = [
+    { id: 'g1', away: 'KC', home: 'BAL', locksAt, completed: false, tiebreaker: false },
+    { id: 'g2', away: 'DAL', home: 'PHI', locksAt, completed: false, tiebreaker: true }
+  ];
+
+  it('refuses a save with a value the app would never send, parents included', async () => {
+    const store = createMemoryStore();
+    const saving = saveWeekPicks(store, WEEK, { picks: { ava: { g1: 'KC', 'confidence:g1': '999', g2: 'ZZZ' } }, stamps: {} }, { games });
+
+    await expect(saving).rejects.toBeInstanceOf(InvalidPicksError);
+    await expect(saving).rejects.toMatchObject({
+      entries: [{ player: 'ava', key: 'confidence:g1' }, { player: 'ava', key: 'g2' }]
+    });
+    expect((await loadWeekPicks(store, WEEK)).picks).toEqual({});
+  });
+
+  it('checks a new rank against the ranks already stored', async () => {
+    const store = createMemoryStore();
+    await saveWeekPicks(store, WEEK, { picks: { ava: { g1: 'KC', 'confidence:g1': 1 } }, stamps: {} }, { games });
+
+    await expect(saveWeekPicks(store, WEEK, { picks: { ava: { 'confidence:g2': 1 } }, stamps: {} }, { games }))
+      .rejects.toBeInstanceOf(InvalidPicksError);
+    await saveWeekPicks(store, WEEK, { picks: { ava: { 'confidence:g2': 2 } }, stamps: {} }, { games });
+    expect((await loadWeekPicks(store, WEEK)).picks.ava).toEqual({ g1: 'KC', 'confidence:g1': 1, 'confidence:g2': 2 });
+  });
+});
@@ -0,0 +1,107 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import { createHandler } from '../netlify/functions/save-to-sheets.js';
+import { loadWeekPicks } from '../netlify/lib/picks.js';
+import { resultsKey } from '../netlify/lib/results.js';
+import { createMemorySheetsClient, SheetsError } from '../netlify/lib/sheets.js';
+import { createMemoryStore } from '../netlify/lib/store.js';
+
+const WEEK = { season: 2025, type: 'reg', week: 1 };
+
+// A week the store already has fresh, so the schedule provider isn't asked
+const seededStore = () => {
+  const now = new Date().toISOString();
+  const kickoff = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+  return createMemoryStore({
+    [resultsKey(WEEK)]: {
+      week: WEEK,
+      updatedAt: now,
+      checkedAt: now,
+      games: [{ id: 'g1', away: 'KC', home: 'BAL', kickoff, status: 'pre', completed: false, tiebreaker: true }]
+    }
+  });
+};
+
+const noProvider = async () => {
+  throw new Error('The schedule provider should not be asked');
+};
+
+const savePicks = (handler, picks) => handler({
+  httpMethod: 'POST',
+  headers: {},
+  body: JSON.stringify({ type: 'picks', week: WEEK, data: { week: WEEK, picks, stamps: {} } })
+});
+
+describe('save-to-sheets', () => {
+  beforeEach(() => {
+    vi.stubEnv('GOOGLE_SHEET_ID', 'sheet-1');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    vi.unstubAllEnvs();
+    vi.restoreAllMocks();
+  });
+
+  it('mirrors the saved picks and standings to the sheet', async () => {
+    const store = seededStore();
+    const sheets = createMemorySheetsClient();
+    const handler = createHandler({ loadScoreboard: noProvider, getStore: () => store, getSheets: () => sheets });
+
+    const response = await savePicks(handler, { ava: { g1: 'KC' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.sheetsError).toBeNull();
+    expect(sheets.tabs.picks).toHaveLength(1);
+    expect(sheets.tabs.standings).toHaveLength(1);
+  });
+
+  it('keeps the picks and answers 200 with sheetsError when the sheet write fails', async () => {
+    const store = seededStore();
+    const upsertRows = vi.fn(async () => {
+      throw new SheetsError('sheets_write_failed', 'Could not write the picks tab: quota exceeded', 502);
+    });
+    const handler = createHandler({ loadScoreboard: noProvider, getStore: () => store, getSheets: () => ({ upsertRows }) });
+
+    const response = await savePicks(handler, { ava: { g1: 'KC' } });
+    const body = JSON.parse(response.body);
+
+    expect(response.statusCode).toBe(200);
+    expect(body.success).toBe(true);
+    expect(body.sheetsError).toEqual({ code: 'sheets_write_failed', message: 'Could not write the picks tab: quota exceeded' });
+    // The standings tab isn't tried once the mirror has failed
+    expect(upsertRows).toHaveBeenCalledTimes(1);
+    expect((await loadWeekPicks(store, WEEK)).picks).toEqual({ ava: { g1: 'KC' } });
+  });
+
+  it('keeps the picks when the sheet can\'t be opened at all', async () => {
+    const store = seededStore();
+    const handler = createHandler({
+      loadScoreboard: noProvider,
+      getStore: () => store,
+      getSheets: () => {
+        throw new SheetsError('sheets_not_configured', 'Google Sheets credentials are not configured', 503);
+      }
+    });
+
+    const response = await savePicks(handler, { ava: { g1: 'KC' } });
+
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body).sheetsError.code).toBe('sheets_not_configured');
+    expect((await loadWeekPicks(store, WEEK)).picks).toEqual({ ava: { g1: 'KC' } });
+  });
+
+  it('answers with an error when the store write fails', async () => {
+    const store = seededStore();
+    store.set = async () => {
+      throw new Error('Blobs unavailable');
+    };
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    const handler = createHandler({ loadScoreboard: noProvider, getStore: () => store, getSheets: () => createMemorySheetsClient() });
+
+    const response = await savePicks(handler, { ava: { g1: 'KC' } });
+
+    expect(response.statusCode).toBe(500);
+    expect(JSON.parse(response.body).error.code).toBe('internal_error');
+  });
+});
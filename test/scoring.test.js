@@ -0,0 +1,78 @@
+import { describe, expect, it } from 'vitest';
+import { resolveTiebreaker, scoreWeek, TIEBREAKER_FALLBACKS } from '../src/lib/scoring.js';
+
+const final = (id, away, home, awayScore, homeScore, extra = {}) => ({
+  id,
+  away,
+  home,
+  awayScore: String(awayScore),
+  homeScore: String(homeScore),
+  completed: true,
+  winner: awayScore === homeScore ? null : (awayScore > homeScore ? away : home),
+  tiebreaker: false,
+  ...extra
+});
+
+describe('resolveTiebreaker', () => {
+  const picks = { ava: { tiebreaker: '40' }, ben: { tiebreaker: '44' }, cara: { tiebreaker: '50' }, dan: {} };
+
+  it('picks the closest guess that didn\'t go over', () => {
+    expect(resolveTiebreaker(['ava', 'ben', 'cara'], picks, 45)).toEqual({ winners: ['ben'], rule: 'closest-without-going-over' });
+  });
+
+  it('shares a guess that ties', () => {
+    const even = { ava: { tiebreaker: '40' }, ben: { tiebreaker: '40' } };
+    expect(resolveTiebreaker(['ava', 'ben'], even, 45).winners).toEqual(['ava', 'ben']);
+  });
+
+  it('falls back to the closest guess when everyone went over', () => {
+    expect(resolveTiebreaker(['ben', 'cara'], picks, 30)).toEqual({ winners: ['ben'], rule: 'all-over-closest' });
+  });
+
+  it('shares the week when everyone went over and the fallback says so', () => {
+    expect(resolveTiebreaker(['ben', 'cara'], picks, 30, TIEBREAKER_FALLBACKS.SHARE)).toEqual({
+      winners: ['ben', 'cara'],
+      rule: 'all-over-shared'
+    });
+  });
+
+  it('leaves out players with no guess, and shares when nobody guessed', () => {
+    expect(resolveTiebreaker(['ava', 'dan'], picks, 45).winners).toEqual(['ava']);
+    expect(resolveTiebreaker(['dan'], picks, 45)).toEqual({ winners: ['dan'], rule: 'no-guesses' });
+  });
+});
+
+describe('scoreWeek', () => {
+  const games = [
+    final('g1', 'DAL', 'PHI', 20, 24),
+    { ...final('g2', 'KC', 'BAL', 0, 0), completed: false, winner: null, tiebreaker: true }
+  ];
+
+  it('names leaders but no winner until the tiebreaker game is final', () => {
+    const result = scoreWeek({
+      players: ['ava', 'ben'],
+      games,
+      picks: { ava: { g1: 'PHI', g2: 'KC', tiebreaker: '40' }, ben: { g1: 'PHI', g2: 'BAL', tiebreaker: '45' } }
+    });
+
+    expect(result.complete).toBe(false);
+    expect(result.scores).toEqual({ ava: 1, ben: 1 });
+    expect(result.leaders).toEqual(['ava', 'ben']);
+    expect(result.tiebreaker).toBeNull();
+    expect(result.details.ava.pending.map(game => game.id)).toEqual(['g2']);
+  });
+
+  it('breaks the tie once the tiebreaker game is final', () => {
+    const done = [games[0], final('g2', 'KC', 'BAL', 21, 20, { tiebreaker: true })];
+    const result = scoreWeek({
+      players: ['ava', 'ben'],
+      games: done,
+      picks: { ava: { g1: 'PHI', g2: 'KC', tiebreaker: '40' }, ben: { g1: 'DAL', g2: 'KC', tiebreaker: '41' } }
+    });
+
+    expect(result.complete).toBe(true);
+    expect(result.scores).toEqual({ ava: 2, ben: 1 });
+    expect(result.winners).toEqual(['ava']);
+    expect(result.tiebreaker).toMatchObject({ gameId: 'g2', total: 41, rule: null });
+  });
+});
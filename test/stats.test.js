@@ -0,0 +1,106 @@
+import { describe, expect, it } from 'vitest';
+import { playerProfile } from '../src/lib/stats.js';
+
+const CLASSIC = { type: 'classic' };
+
+const final = (id, away, home, awayScore, homeScore, extra = {}) => ({
+  id,
+  away,
+  home,
+  awayScore: String(awayScore),
+  homeScore: String(homeScore),
+  completed: true,
+  winner: awayScore === homeScore ? null : (awayScore > homeScore ? away : home),
+  odds: null,
+  tiebreaker: false,
+  ...extra
+});
+
+// Four finished games, the home team winning each, the last one the
+// tiebreaker with 41 points
+const homeWins = () => [
+  final('g1', 'KC', 'BAL', 20, 24),
+  final('g2', 'DAL', 'PHI', 17, 21),
+  final('g3', 'NYJ', 'BUF', 10, 30),
+  final('g4', 'GB', 'WSH', 20, 21, { tiebreaker: true })
+];
+
+const allHome = { g1: 'BAL', g2: 'PHI', g3: 'BUF', g4: 'WSH' };
+
+const badgeIds = (profile) => profile.badges.map(badge => badge.id).sort();
+
+describe('playerProfile badges', () => {
+  it('gives Perfect Week for every game picked and right', () => {
+    const profile = playerProfile([{ key: 'w1', games: homeWins(), picks: { ava: allHome }, rules: CLASSIC }], 'ava');
+    expect(badgeIds(profile)).toContain('perfect-week');
+  });
+
+  it('doesn\'t give Perfect Week for one right pick out of four finished games', () => {
+    const profile = playerProfile([{ key: 'w1', games: homeWins(), picks: { ava: { g1: 'BAL' } }, rules: CLASSIC }], 'ava');
+    expect(badgeIds(profile)).not.toContain('perfect-week');
+  });
+
+  it('leaves voided games out of Perfect Week but not pushes', () => {
+    const voided = homeWins().map(game => (game.id === 'g3' ? { ...game, result: 'void' } : game));
+    const skipVoided = { g1: 'BAL', g2: 'PHI', g4: 'WSH' };
+    expect(badgeIds(playerProfile([{ key: 'w1', games: voided, picks: { ava: skipVoided }, rules: CLASSIC }], 'ava')))
+      .toContain('perfect-week');
+
+    const tied = homeWins().map(game => (game.id === 'g3' ? final('g3', 'NYJ', 'BUF', 20, 20) : game));
+    expect(badgeIds(playerProfile([{ key: 'w1', games: tied, picks: { ava: allHome }, rules: CLASSIC }], 'ava')))
+      .not.toContain('perfect-week');
+  });
+
+  it('waits for the week to finish before Perfect Week', () => {
+    const games = homeWins().map(game => (game.id === 'g4' ? { ...game, completed: false, winner: null } : game));
+    expect(badgeIds(playerProfile([{ key: 'w1', games, picks: { ava: allHome }, rules: CLASSIC }], 'ava')))
+      .not.toContain('perfect-week');
+  });
+
+  it('gives Upset Hunter for three right underdogs in a week', () => {
+    const games = homeWins().map(game => ({ ...game, odds: { favorite: game.away, spread: 3 } }));
+    const profile = playerProfile([{ key: 'w1', games, picks: { ava: { g1: 'BAL', g2: 'PHI', g3: 'BUF', g4: 'GB' } }, rules: CLASSIC }], 'ava');
+
+    expect(badgeIds(profile)).toContain('upset-hunter');
+    expect(profile.lines.underdog).toMatchObject({ picked: 3, correct: 3 });
+    expect(profile.lines.favorite).toMatchObject({ picked: 1, correct: 0 });
+  });
+
+  it('gives the week streak after five winning weeks in a row, and Bullseye for an exact tiebreaker', () => {
+    const weeks = Array.from({ length: 5 }, (_, i) => ({
+      key: `w${i + 1}`,
+      games: homeWins(),
+      picks: { ava: { g1: 'BAL', g2: 'PHI', g3: 'BUF', g4: 'GB', tiebreaker: i === 0 ? '41' : '30' } },
+      rules: CLASSIC
+    }));
+    const profile = playerProfile(weeks, 'ava');
+
+    expect(badgeIds(profile)).toEqual(['bullseye', 'week-streak', 'weekly-winner']);
+    expect(profile.badges.find(badge => badge.id === 'week-streak').first).toBe('w5');
+    expect(profile.tiebreaker).toEqual({ guesses: 5, exact: 1, averageMiss: 11 * 4 / 5 });
+  });
+});
+
+describe('playerProfile stats', () => {
+  it('keeps accuracy by team and side, the best streak and head-to-head records', () => {
+    const weeks = [
+      { key: 'w1', games: homeWins(), picks: { ava: allHome, ben: { g1: 'KC', g2: 'PHI', g3: 'BUF', g4: 'GB' } }, rules: CLASSIC },
+      { key: 'w2', games: homeWins(), picks: { ava: { g1: 'KC', g2: 'DAL', g3: 'BUF', g4: 'WSH' }, ben: allHome }, rules: CLASSIC }
+    ];
+    const profile = playerProfile(weeks, 'ava', ['ben', 'cara']);
+
+    expect(profile.overall).toMatchObject({ weeksPlayed: 2, correct: 6, decided: 8, accuracy: 0.75, weeklyWins: 1 });
+    expect(profile.sides.home).toMatchObject({ picked: 6, correct: 6, accuracy: 1 });
+    expect(profile.sides.away).toMatchObject({ picked: 2, correct: 0, accuracy: 0 });
+    expect(profile.teams.find(team => team.team === 'BUF')).toMatchObject({ picked: 2, correct: 2 });
+    expect(profile.bestStreak).toBe(4);
+    expect(profile.currentStreak).toBe(2);
+    expect(profile.headToHead).toEqual({ ben: { wins: 1, losses: 1, ties: 0 } });
+  });
+
+  it('skips weeks the player made no picks in', () => {
+    const profile = playerProfile([{ key: 'w1', games: homeWins(), picks: { ben: allHome }, rules: CLASSIC }], 'ava');
+    expect(profile.overall.weeksPlayed).toBe(0);
+    expect(profile.badges).toEqual([]);
+  });
+});
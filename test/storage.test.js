@@ -0,0 +1,122 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { createStorageFromEnv, functionsAdapter, localAdapter, memoryAdapter } from '../src/lib/storage.js';
+
+const WEEK = { season: 2025, type: 'reg', week: 1 };
+
+// Just enough of window.localStorage for the local adapter
+const createLocalStorage = () => {
+  const items = new Map();
+  return {
+    getItem: (key) => (items.has(key) ? items.get(key) : null),
+    setItem: (key, value) => items.set(key, String(value)),
+    removeItem: (key) => items.delete(key)
+  };
+};
+
+const answer = (status, body) => new Response(JSON.stringify(body), { status });
+
+describe('createStorageFromEnv', () => {
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  it('uses the functions and their sheet when VITE_GOOGLE_SHEET_ID is set', () => {
+    const storage = createStorageFromEnv({ VITE_GOOGLE_SHEET_ID: 'sheet-1' });
+    expect(storage.name).toBe('functions');
+    expect(storage.remote).toBe(true);
+  });
+
+  it('keeps to this device when no sheet is configured', () => {
+    vi.stubGlobal('window', { localStorage: createLocalStorage() });
+    const storage = createStorageFromEnv({});
+    expect(storage.name).toBe('local');
+    expect(storage.remote).toBe(false);
+  });
+
+  it('lets VITE_STORAGE_BACKEND override the sheet id', () => {
+    vi.stubGlobal('window', { localStorage: createLocalStorage() });
+    expect(createStorageFromEnv({ VITE_STORAGE_BACKEND: 'local', VITE_GOOGLE_SHEET_ID: 'sheet-1' }).name).toBe('local');
+    expect(createStorageFromEnv({ VITE_STORAGE_BACKEND: 'functions' }).name).toBe('functions');
+  });
+
+  it('picks local and memory storage by name, each with its own label', () => {
+    vi.stubGlobal('window', { localStorage: createLocalStorage() });
+    const local = createStorageFromEnv({ VITE_STORAGE_BACKEND: 'local' });
+    const memory = createStorageFromEnv({ VITE_STORAGE_BACKEND: 'memory' });
+
+    expect([local.name, local.remote]).toEqual(['local', false]);
+    expect([memory.name, memory.remote]).toEqual(['memory', false]);
+    expect(local.label).not.toBe(memory.label);
+  });
+
+  it('refuses a backend it doesn\'t know', () => {
+    expect(() => createStorageFromEnv({ VITE_STORAGE_BACKEND: 'sheets' })).toThrow(/VITE_STORAGE_BACKEND/);
+  });
+});
+
+describe('functionsAdapter', () => {
+  it('checks the league without writing anything', async () => {
+    const fetcher = vi.fn(async () => answer(200, { ok: true }));
+    const storage = functionsAdapter({ fetcher });
+
+    expect(await storage.check('cousins')).toEqual({ ok: true });
+    const [url, init] = fetcher.mock.calls[0];
+    expect(url).toBe('/.netlify/functions/leagues?check=1');
+    expect(init.method).toBe('GET');
+    expect(init.headers['X-League-Id']).toBe('cousins');
+  });
+
+  it('reports an unknown league as not ok', async () => {
+    const storage = functionsAdapter({ fetcher: async () => answer(404, { error: 'No league with that id' }) });
+    expect(await storage.check('nobody')).toEqual({ ok: false, error: 'No league with that id' });
+  });
+
+  it('tells an unreachable server apart from a refused save', async () => {
+    const offline = functionsAdapter({
+      fetcher: async () => {
+        throw new TypeError('Failed to fetch');
+      }
+    });
+    await expect(offline.save('picks', { week: WEEK, picks: {} })).rejects.toMatchObject({ code: 'network_error' });
+    expect(await offline.check()).toEqual({ ok: false, error: 'Could not reach the server' });
+
+    const refusing = functionsAdapter({
+      fetcher: async () => answer(409, { error: { code: 'picks_locked', message: 'These picks are locked' } })
+    });
+    await expect(refusing.save('picks', { week: WEEK, picks: {} })).rejects.toMatchObject({
+      code: 'picks_locked',
+      status: 409,
+      retryable: false
+    });
+  });
+
+  it('hands back what the server said about the sheet', async () => {
+    const sheetsError = { code: 'sheets_write_failed', message: 'quota exceeded' };
+    const storage = functionsAdapter({ fetcher: async () => answer(200, { success: true, type: 'picks', sheetsError }) });
+    expect((await storage.save('picks', { week: WEEK, picks: {} })).sheetsError).toEqual(sheetsError);
+  });
+
+  it('sends who is reading along with a picks load', async () => {
+    const fetcher = vi.fn(async () => answer(200, { picks: { ava: { g1: 'KC' } }, stamps: {} }));
+    const storage = functionsAdapter({ fetcher });
+
+    const record = await storage.load('picks', WEEK, 'default', { playerId: 'ava', pin: '1234' });
+    expect(record).toEqual({ picks: { ava: { g1: 'KC' } }, stamps: {} });
+    expect(fetcher.mock.calls[0][1].headers).toMatchObject({ 'X-Player-Id': 'ava', 'X-Player-Pin': '1234' });
+  });
+});
+
+describe('local and memory storage', () => {
+  it.each([
+    ['local', () => localAdapter(createLocalStorage())],
+    ['memory', () => memoryAdapter()]
+  ])('%s storage merges picks by stamp and keeps leagues apart', async (name, create) => {
+    const storage = create();
+    await storage.save('picks', { week: WEEK, picks: { ava: { g1: 'KC' } }, stamps: { ava: { g1: '2025-09-01T10:00:00.000Z' } } }, 'default');
+    await storage.save('picks', { week: WEEK, picks: { ava: { g1: 'BAL' } }, stamps: { ava: { g1: '2025-09-01T09:00:00.000Z' } } }, 'default');
+
+    expect((await storage.load('picks', WEEK, 'default')).picks).toEqual({ ava: { g1: 'KC' } });
+    expect(await storage.load('picks', WEEK, 'cousins')).toBeNull();
+    expect(await storage.check()).toEqual({ ok: true });
+  });
+});